@@ -0,0 +1,28 @@
+/**
+ * GET /api/calendar/event?token=...&sig=...
+ * Serves the .ics for an "Add to Apple Calendar" link in a workshop/retreat
+ * email. The event is carried in the link itself, signed with
+ * CALENDAR_LINK_SECRET, so nothing is looked up and unsigned events are refused.
+ */
+
+const { createIcsEvent, decodeEventToken } = require('../../lib/calendar.js');
+
+module.exports = function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.CALENDAR_LINK_SECRET) {
+    return res.status(404).json({ error: 'Calendar links are not enabled' });
+  }
+
+  const event = decodeEventToken(req.query.token, req.query.sig);
+  if (!event) {
+    return res.status(400).json({ error: 'Invalid calendar link' });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="event.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  return res.status(200).send(createIcsEvent(event));
+};
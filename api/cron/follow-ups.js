@@ -0,0 +1,178 @@
+/**
+ * GET /api/cron/follow-ups  (Vercel cron, or a signed-in dashboard user)
+ *
+ * Sends the post-workshop thank-you / feedback email. Finds the bookings whose
+ * workshop ended WORKSHOP_FOLLOW_UP_DAYS ago (by the end stored on the roster
+ * when the order was processed), loads the content of just those workshops,
+ * then follows up each line item once (see lib/followUps.js). Bookings whose
+ * follow-up time is more than CATCH_UP_DAYS past are left alone, so a missed
+ * run is caught up but old workshops are never emailed. Orders refunded in
+ * Webflow are skipped. Sent follow-ups are logged to email_log as type
+ * 'follow_up'.
+ */
+
+const { isCronRequest, requireAuth } = require('../../lib/auth.js');
+const { listWorkshopLineItems, claimFollowUp, completeFollowUp, skipFollowUp, failFollowUp } = require('../../lib/followUps.js');
+const { sendWorkshopFollowUpEmail, createWorkshopFollowUpEmailTemplate, workshopFollowUpSubject, EmailSuppressedError } = require('../../lib/resend.js');
+const { resolveGuidelines, getOrder, isOrderCancelled } = require('../../lib/webflow.js');
+const { withBackoff } = require('../../lib/retry.js');
+const { logEmail, resendMessageId } = require('../../lib/emailLog.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_FOLLOW_UP_DAYS = 2;
+
+// How long after its follow-up time a workshop is still followed up.
+const CATCH_UP_DAYS = 3;
+
+function getFollowUpDays() {
+  const days = parseInt(process.env.WORKSHOP_FOLLOW_UP_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_FOLLOW_UP_DAYS;
+}
+
+/**
+ * Send one line item's follow-up. Returns 'sent', 'skipped', 'already_handled'
+ * or 'failed'. Order lookups are cached per run in `orders`.
+ */
+async function followUpLineItem(lineItem, workshop, orders) {
+  const workshopEnd = new Date(lineItem.event_end);
+  if (!(await claimFollowUp(lineItem, workshopEnd))) {
+    return 'already_handled';
+  }
+
+  const key = lineItem.idempotency_key;
+  try {
+    if (!orders.has(lineItem.webflow_order_id)) {
+      orders.set(lineItem.webflow_order_id, withBackoff(() => getOrder(process.env.WEBFLOW_SITE_ID, lineItem.webflow_order_id)));
+    }
+    if (isOrderCancelled(await orders.get(lineItem.webflow_order_id))) {
+      await skipFollowUp(key, 'order_refunded');
+      return 'skipped';
+    }
+
+    const orderData = lineItem.orders?.payload || {};
+    const customerData = {
+      customerName: orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName || null,
+      orderId: lineItem.webflow_order_id
+    };
+    const links = {
+      feedbackUrl: process.env.WORKSHOP_FEEDBACK_URL || null,
+      shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters'
+    };
+    const payload = {
+      productId: lineItem.product_id,
+      orderId: lineItem.webflow_order_id,
+      customerName: customerData.customerName,
+      name: workshop.data.name,
+      workshopEnd: workshopEnd.toISOString(),
+      contentSource: workshop.source,
+      cmsItemId: workshop.cmsItemId
+    };
+
+    const result = await sendWorkshopFollowUpEmail({
+      email: lineItem.customer_email,
+      workshopData: workshop.data,
+      customerData,
+      ...links,
+      logContext: { productId: lineItem.product_id, payload }
+    });
+
+    const logged = await logEmail({
+      emailType: 'follow_up',
+      toEmail: lineItem.customer_email,
+      subject: workshopFollowUpSubject(workshop.data.name),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: lineItem.webflow_order_id,
+      productId: lineItem.product_id,
+      html: createWorkshopFollowUpEmailTemplate(workshop.data, customerData, links),
+      payload
+    });
+
+    await completeFollowUp(key, { emailLogId: logged?.id });
+    return 'sent';
+
+  } catch (error) {
+    if (error instanceof EmailSuppressedError) {
+      console.warn(`🚫 ${error.message}`);
+      await skipFollowUp(key, 'suppressed');
+      return 'skipped';
+    }
+
+    console.error(`Error sending follow-up for line item ${key.substring(0, 8)}...:`, error.message);
+    await failFollowUp(key, error);
+    return 'failed';
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!isCronRequest(req)) {
+    const session = await requireAuth(req, res);
+    if (!session) return;
+  }
+
+  if (!process.env.WEBFLOW_SITE_ID) {
+    console.error('WEBFLOW_SITE_ID is not set; cannot send follow-ups');
+    return res.status(500).json({ error: 'Follow-ups are not configured' });
+  }
+
+  try {
+    const now = Date.now();
+    const followUpMs = getFollowUpDays() * DAY_MS;
+    // Bookings whose follow-up time falls in the catch-up window.
+    const lineItems = await listWorkshopLineItems({
+      endedAfter: new Date(now - followUpMs - CATCH_UP_DAYS * DAY_MS).toISOString(),
+      endedBefore: new Date(now - followUpMs).toISOString()
+    });
+    const productIds = [...new Set(lineItems.map(item => item.product_id).filter(Boolean))];
+
+    // Content for just the workshops that are due (care instructions, name).
+    const workshops = new Map();
+    await Promise.all(productIds.map(async productId => {
+      try {
+        const guidelines = await withBackoff(() =>
+          resolveGuidelines(process.env.WEBFLOW_SITE_ID, { productId })
+        );
+
+        workshops.set(productId, {
+          source: guidelines.source,
+          cmsItemId: guidelines.cmsItemId || null,
+          data: {
+            productId,
+            name: guidelines.name || lineItems.find(item => item.product_id === productId)?.workshop_name,
+            careInstructions: guidelines.careInstructions
+          }
+        });
+      } catch (error) {
+        console.error(`Error resolving workshop ${productId} for follow-ups:`, error.message);
+      }
+    }));
+
+    const counts = { sent: 0, skipped: 0, already_handled: 0, failed: 0 };
+    const orders = new Map();
+
+    for (const lineItem of lineItems) {
+      const workshop = workshops.get(lineItem.product_id);
+      if (!workshop) continue;
+
+      let outcome;
+      try {
+        outcome = await followUpLineItem(lineItem, workshop, orders);
+      } catch (error) {
+        // Claiming or recording the outcome failed; a stale claim is retried next run.
+        console.error(`Error following up line item ${lineItem.idempotency_key.substring(0, 8)}...:`, error.message);
+        outcome = 'failed';
+      }
+      counts[outcome] += 1;
+    }
+
+    console.log(`💌 Follow-up run: ${workshops.size} workshop(s) due`, counts);
+
+    return res.status(200).json({ success: true, workshops: workshops.size, ...counts });
+  } catch (error) {
+    console.error('Error running follow-ups:', error);
+    return res.status(500).json({ error: 'Failed to run follow-ups' });
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * GET /api/cron/reminders  (Vercel cron, or a signed-in dashboard user)
+ *
+ * Sends the pre-workshop reminders that are due (see lib/reminders.js). Each
+ * claimed reminder is checked before sending:
+ *   - orders refunded in Webflow are skipped
+ *   - workshop content is re-resolved, so the email shows current details; if
+ *     the workshop date moved, the reminder is rescheduled to match
+ *   - reminders for workshops that already started, or that are too late to be
+ *     useful (less than half their offset left), are skipped
+ * Sent reminders are logged to email_log as type 'reminder'. Failed sends go
+ * back in the queue for the next run (up to a few attempts).
+ */
+
+const { isCronRequest, requireAuth } = require('../../lib/auth.js');
+const { claimDueReminders, completeReminder, skipReminder, rescheduleReminder, failReminder } = require('../../lib/reminders.js');
+const { sendWorkshopReminderEmail, createWorkshopReminderEmailTemplate, workshopReminderSubject, EmailSuppressedError } = require('../../lib/resend.js');
+const { resolveGuidelines, getOrder, isOrderCancelled } = require('../../lib/webflow.js');
+const { parseEventDate } = require('../../lib/calendar.js');
+const { withBackoff } = require('../../lib/retry.js');
+const { logEmail, resendMessageId } = require('../../lib/emailLog.js');
+
+const BATCH_SIZE = 50;
+
+// A date change smaller than this isn't treated as a reschedule.
+const DATE_CHANGE_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Send one claimed reminder. Returns its outcome: 'sent', 'skipped',
+ * 'rescheduled', 'retrying' or 'failed'. Lookups are cached per run in `cache`.
+ */
+async function processReminder(reminder, cache) {
+  const siteId = process.env.WEBFLOW_SITE_ID;
+
+  try {
+    if (!cache.orders.has(reminder.webflow_order_id)) {
+      cache.orders.set(reminder.webflow_order_id, withBackoff(() => getOrder(siteId, reminder.webflow_order_id)));
+    }
+    const order = await cache.orders.get(reminder.webflow_order_id);
+    if (isOrderCancelled(order)) {
+      await skipReminder(reminder.id, 'order_refunded');
+      return 'skipped';
+    }
+
+    if (!cache.guidelines.has(reminder.product_id)) {
+      cache.guidelines.set(reminder.product_id, withBackoff(() =>
+        resolveGuidelines(siteId, { productId: reminder.product_id })
+      ));
+    }
+    const guidelines = await cache.guidelines.get(reminder.product_id);
+
+    const now = Date.now();
+    const offsetMs = reminder.offset_minutes * 60 * 1000;
+    let eventStart = new Date(reminder.event_start);
+    const currentStart = parseEventDate(guidelines.date)?.date;
+    if (currentStart && Math.abs(currentStart - eventStart) > DATE_CHANGE_TOLERANCE_MS) {
+      eventStart = currentStart;
+      if (eventStart.getTime() - offsetMs > now) {
+        await rescheduleReminder(reminder, eventStart);
+        return 'rescheduled';
+      }
+    }
+
+    if (eventStart.getTime() <= now) {
+      await skipReminder(reminder.id, 'event_passed');
+      return 'skipped';
+    }
+    if (eventStart.getTime() - now < offsetMs / 2) {
+      await skipReminder(reminder.id, 'too_late');
+      return 'skipped';
+    }
+
+    const workshopData = {
+      productId: reminder.product_id,
+      name: guidelines.name || reminder.workshop_name,
+      date: guidelines.date || reminder.event_start,
+      location: guidelines.location,
+      duration: guidelines.duration,
+      whatToBring: guidelines.whatToBring,
+      parking: guidelines.parking
+    };
+    const customerData = {
+      customerName: reminder.customer_name,
+      orderId: reminder.webflow_order_id
+    };
+    const payload = {
+      productId: reminder.product_id,
+      orderId: reminder.webflow_order_id,
+      customerName: reminder.customer_name,
+      name: workshopData.name,
+      idempotencyKey: reminder.idempotency_key,
+      reminderId: reminder.id,
+      offsetMinutes: reminder.offset_minutes,
+      contentSource: guidelines.source,
+      cmsItemId: guidelines.cmsItemId || null
+    };
+
+    const result = await sendWorkshopReminderEmail({
+      email: reminder.to_email,
+      workshopData,
+      customerData,
+      offsetMinutes: reminder.offset_minutes,
+      logContext: { productId: reminder.product_id, payload }
+    });
+
+    const logged = await logEmail({
+      emailType: 'reminder',
+      toEmail: reminder.to_email,
+      subject: workshopReminderSubject(workshopData.name, reminder.offset_minutes),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: reminder.webflow_order_id,
+      productId: reminder.product_id,
+      html: createWorkshopReminderEmailTemplate(workshopData, customerData, { offsetMinutes: reminder.offset_minutes }),
+      payload
+    });
+
+    await completeReminder(reminder.id, { emailLogId: logged?.id });
+    return 'sent';
+
+  } catch (error) {
+    if (error instanceof EmailSuppressedError) {
+      console.warn(`🚫 ${error.message}`);
+      await skipReminder(reminder.id, 'suppressed');
+      return 'skipped';
+    }
+
+    console.error(`Error sending reminder ${reminder.id}:`, error.message);
+    const retrying = await failReminder(reminder, error);
+    return retrying ? 'retrying' : 'failed';
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!isCronRequest(req)) {
+    const session = await requireAuth(req, res);
+    if (!session) return;
+  }
+
+  if (!process.env.WEBFLOW_SITE_ID) {
+    console.error('WEBFLOW_SITE_ID is not set; cannot send reminders');
+    return res.status(500).json({ error: 'Reminders are not configured' });
+  }
+
+  try {
+    const reminders = await claimDueReminders(BATCH_SIZE);
+    const cache = { orders: new Map(), guidelines: new Map() };
+    const counts = { sent: 0, skipped: 0, rescheduled: 0, retrying: 0, failed: 0 };
+
+    // One at a time: keeps well under the email provider's rate limit.
+    for (const reminder of reminders) {
+      let outcome;
+      try {
+        outcome = await processReminder(reminder, cache);
+      } catch (error) {
+        // Recording the outcome itself failed; the claim goes stale and is retried.
+        console.error(`Error recording outcome of reminder ${reminder.id}:`, error.message);
+        outcome = 'failed';
+      }
+      counts[outcome] += 1;
+    }
+
+    console.log(`⏰ Reminder run: ${reminders.length} due`, counts);
+
+    return res.status(200).json({ success: true, claimed: reminders.length, ...counts });
+  } catch (error) {
+    console.error('Error running reminders:', error);
+    return res.status(500).json({ error: 'Failed to run reminders' });
+  }
+};
@@ -1,6 +1,7 @@
 /**
  * GET /api/dashboard/email-html?id=<email_log id>  (auth required)
- * Returns the rendered HTML of a logged email for in-dashboard preview.
+ * Returns the rendered HTML of a logged email for in-dashboard preview, plus
+ * the plain-text part that was sent with it when one was stored.
  *
  * Resolution order:
  *   1. Stored html (permanent, preferred).
@@ -29,7 +30,7 @@ module.exports = async function handler(req, res) {
     const supabase = getSupabaseClient();
     const { data: row, error } = await supabase
       .from('email_log')
-      .select('id, html, resend_message_id, subject, to_email, email_type, amount_cents, payload')
+      .select('id, html, text_body, resend_message_id, subject, to_email, email_type, amount_cents, payload')
       .eq('id', id)
       .single();
 
@@ -38,6 +39,7 @@ module.exports = async function handler(req, res) {
     }
 
     let html = row.html;
+    let text = row.text_body || null;
 
     // Gift cards can always be re-rendered from what we stored.
     if (!html && row.email_type === 'gift_card' && row.payload && row.payload.code) {
@@ -62,6 +64,7 @@ module.exports = async function handler(req, res) {
         const resend = new Resend(readKey);
         const got = await resend.emails.get(row.resend_message_id);
         html = got?.data?.html || null;
+        text = text || got?.data?.text || null;
         if (html) {
           supabase.from('email_log').update({ html }).eq('id', row.id).then(null, () => {});
         }
@@ -74,7 +77,7 @@ module.exports = async function handler(req, res) {
       return res.status(404).json({ error: 'No preview is available for this email.' });
     }
 
-    return res.status(200).json({ html, subject: row.subject, to: row.to_email });
+    return res.status(200).json({ html, text, subject: row.subject, to: row.to_email });
   } catch (error) {
     console.error('Error loading email html:', error);
     return res.status(500).json({ error: 'Failed to load email preview' });
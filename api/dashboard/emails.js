@@ -3,7 +3,9 @@
  * Returns a filtered, paginated list of logged emails plus summary counts.
  *
  * Query params:
- *   type    - 'workshop' | 'retreat' | 'gift_card'  (optional)
+ *   type    - 'workshop' | 'retreat' | 'gift_card' | 'reminder' | 'follow_up' | 'waitlist' | 'cancellation' | 'reschedule' | 'refund'  (optional)
+ *   delivery - 'delivered' | 'bounced' | 'complained' | 'delayed'  (optional;
+ *              from the latest Resend event — 'delivered' includes opened/clicked)
  *   search  - matches to_email or webflow_order_id   (optional)
  *   days    - only include the last N days            (optional)
  *   limit   - page size (default 50, max 200)
@@ -13,7 +15,16 @@
 const { getSupabaseClient } = require('../../lib/supabase.js');
 const { requireAuth } = require('../../lib/auth.js');
 
-const VALID_TYPES = ['workshop', 'retreat', 'gift_card'];
+const VALID_TYPES = ['workshop', 'retreat', 'gift_card', 'reminder', 'follow_up', 'waitlist', 'cancellation', 'reschedule', 'refund'];
+
+// Delivery filter -> the last_event values it covers. An opened or clicked
+// email was necessarily delivered.
+const DELIVERY_FILTERS = {
+  delivered: ['delivered', 'opened', 'clicked'],
+  bounced: ['bounced'],
+  complained: ['complained'],
+  delayed: ['delivery_delayed']
+};
 
 function sinceIso(days) {
   return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
@@ -30,6 +41,7 @@ module.exports = async function handler(req, res) {
     const url = new URL(req.url, 'http://localhost');
 
     const type = url.searchParams.get('type');
+    const delivery = url.searchParams.get('delivery');
     const search = url.searchParams.get('search');
     const days = parseInt(url.searchParams.get('days'), 10);
     const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 200);
@@ -45,6 +57,9 @@ module.exports = async function handler(req, res) {
     if (type && VALID_TYPES.includes(type)) {
       query = query.eq('email_type', type);
     }
+    if (delivery && DELIVERY_FILTERS[delivery]) {
+      query = query.in('last_event', DELIVERY_FILTERS[delivery]);
+    }
     if (Number.isFinite(days) && days > 0) {
       query = query.gte('created_at', sinceIso(days));
     }
@@ -67,14 +82,22 @@ module.exports = async function handler(req, res) {
       return build(q).then(({ count: c }) => c || 0);
     };
 
-    const [total, last24h, last7d, last30d, workshop, retreat, giftCard] = await Promise.all([
+    const [total, last24h, last7d, last30d, workshop, retreat, giftCard, reminder, followUp, waitlist, cancellation, reschedule, refund, bounced, complained] = await Promise.all([
       countFor((q) => q),
       countFor((q) => q.gte('created_at', sinceIso(1))),
       countFor((q) => q.gte('created_at', sinceIso(7))),
       countFor((q) => q.gte('created_at', sinceIso(30))),
       countFor((q) => q.eq('email_type', 'workshop')),
       countFor((q) => q.eq('email_type', 'retreat')),
-      countFor((q) => q.eq('email_type', 'gift_card'))
+      countFor((q) => q.eq('email_type', 'gift_card')),
+      countFor((q) => q.eq('email_type', 'reminder')),
+      countFor((q) => q.eq('email_type', 'follow_up')),
+      countFor((q) => q.eq('email_type', 'waitlist')),
+      countFor((q) => q.eq('email_type', 'cancellation')),
+      countFor((q) => q.eq('email_type', 'reschedule')),
+      countFor((q) => q.eq('email_type', 'refund')),
+      countFor((q) => q.in('last_event', DELIVERY_FILTERS.bounced)),
+      countFor((q) => q.in('last_event', DELIVERY_FILTERS.complained))
     ]);
 
     return res.status(200).json({
@@ -85,7 +108,8 @@ module.exports = async function handler(req, res) {
         last24h,
         last7d,
         last30d,
-        byType: { workshop, retreat, gift_card: giftCard }
+        byType: { workshop, retreat, gift_card: giftCard, reminder, follow_up: followUp, waitlist, cancellation, reschedule, refund },
+        byDelivery: { bounced, complained }
       }
     });
   } catch (error) {
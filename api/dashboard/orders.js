@@ -0,0 +1,52 @@
+/**
+ * GET /api/dashboard/orders  (auth required)
+ * Reads the order processing ledger.
+ *
+ * Query params:
+ *   id      - a Webflow order id; returns that order with full line item results
+ *   status  - 'received' | 'processing' | 'succeeded' | 'failed'  (optional)
+ *   search  - matches webflow_order_id or customer_email          (optional)
+ *   limit   - page size (default 50, max 200)
+ *   offset  - page offset (default 0)
+ */
+
+const { requireAuth } = require('../../lib/auth.js');
+const { listOrders, getOrder } = require('../../lib/orderLedger.js');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  if (!(await requireAuth(req, res))) return;
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+
+    const id = url.searchParams.get('id');
+    if (id) {
+      const order = await getOrder(id);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      return res.status(200).json({ order });
+    }
+
+    const status = url.searchParams.get('status');
+    const search = url.searchParams.get('search');
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 200);
+    const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+
+    // Same PostgREST-safe search term handling as /api/dashboard/emails.
+    const term = search ? search.trim().replace(/[%,()*\\"]/g, '') : '';
+
+    const { orders, total } = await listOrders({ status, search: term || null, limit, offset });
+
+    return res.status(200).json({
+      orders,
+      pagination: { total, limit, offset }
+    });
+  } catch (error) {
+    console.error('Error listing orders:', error);
+    return res.status(500).json({ error: 'Failed to load orders' });
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * /api/dashboard/product-rules  (auth required)
+ * Edit the product classification rules (which Webflow products get workshop,
+ * retreat or gift card emails) and test them against the live catalog.
+ *
+ *   GET                               rules (disabled ones too) and environment fallbacks
+ *   GET     ?test=1[&productId=]      classify live products (one, or the whole catalog) with
+ *           [&emailType=&matchType=&matchValue=]
+ *                                     the current rules; with a draft rule, also whether it matches
+ *   POST    { emailType, matchType, matchValue, note? }   add a rule
+ *   PATCH   { id, enabled?, note? }                       enable/disable a rule or edit its note
+ *   DELETE  { id } or ?id=                                delete a rule
+ */
+
+const { requireAuth } = require('../../lib/auth.js');
+const {
+  PRODUCT_EMAIL_TYPES,
+  MATCH_TYPES,
+  ruleMatches,
+  validateClassificationRule,
+  listClassificationRules,
+  createClassificationRule,
+  updateClassificationRule,
+  deleteClassificationRule
+} = require('../../lib/productRules.js');
+const { listProductTypes } = require('../../lib/productHandlers/index.js');
+const { getProduct, getAllProducts } = require('../../lib/webflow.js');
+const { withBackoff } = require('../../lib/retry.js');
+const { readBody } = require('../../lib/util.js');
+
+function ruleSummary(rule) {
+  return {
+    id: rule.id,
+    emailType: rule.email_type,
+    matchType: rule.match_type,
+    matchValue: rule.match_value,
+    source: rule.source || 'table'
+  };
+}
+
+/**
+ * How the rules classify one product. `type` is what the order webhook would
+ * treat it as (handlers are tried in priority order), or null if it would be
+ * skipped.
+ */
+function classify({ product, skus }, rules, draft) {
+  const fieldData = product.fieldData || {};
+  const matched = rules.filter(rule => ruleMatches(rule, product, { skus }));
+
+  return {
+    productId: product.id,
+    name: fieldData.name || product.name || product.id,
+    productType: fieldData['ec-product-type'] || null,
+    categories: [].concat(fieldData.category || []),
+    skus: (skus || []).map(sku => sku?.fieldData?.sku).filter(Boolean),
+    archived: Boolean(product.isArchived),
+    draft: Boolean(product.isDraft),
+    type: listProductTypes().find(type => matched.some(rule => rule.email_type === type)) || null,
+    matchedRules: matched.map(ruleSummary),
+    ...(draft && { draftMatches: ruleMatches(draft, product, { skus }) })
+  };
+}
+
+async function testRules(url, res) {
+  const productId = url.searchParams.get('productId');
+  const draftRule = {
+    emailType: url.searchParams.get('emailType'),
+    matchType: url.searchParams.get('matchType'),
+    matchValue: url.searchParams.get('matchValue')
+  };
+
+  let draft = null;
+  if (draftRule.matchType || draftRule.matchValue) {
+    const invalid = validateClassificationRule(draftRule);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    draft = { email_type: draftRule.emailType, match_type: draftRule.matchType, match_value: draftRule.matchValue.trim() };
+  }
+
+  const { rules, fallbacks } = await listClassificationRules();
+  const activeRules = rules.filter(rule => rule.enabled).concat(fallbacks);
+
+  let items;
+  if (productId) {
+    try {
+      items = [await withBackoff(() => getProduct(process.env.WEBFLOW_SITE_ID, productId))];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      throw error;
+    }
+  } else {
+    items = await getAllProducts(process.env.WEBFLOW_SITE_ID);
+  }
+
+  const products = (items || [])
+    .filter(item => item?.product)
+    .map(item => classify(item, activeRules, draft))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return res.status(200).json({ products });
+}
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  const session = await requireAuth(req, res);
+  if (!session) return;
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET') {
+      if (url.searchParams.get('test')) {
+        return await testRules(url, res);
+      }
+      const { rules, fallbacks } = await listClassificationRules();
+      return res.status(200).json({ rules, fallbacks, emailTypes: PRODUCT_EMAIL_TYPES, matchTypes: MATCH_TYPES });
+    }
+
+    const body = await readBody(req);
+
+    if (req.method === 'POST') {
+      const rule = {
+        emailType: body.emailType,
+        matchType: body.matchType,
+        matchValue: String(body.matchValue || '').trim()
+      };
+      const invalid = validateClassificationRule(rule);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      try {
+        const created = await createClassificationRule({
+          ...rule,
+          note: body.note ? String(body.note).trim().substring(0, 500) : null,
+          createdBy: session.email
+        });
+        console.log(`Classification rule added by ${session.email}: ${rule.matchType} ${rule.matchValue} -> ${rule.emailType}`);
+        return res.status(200).json({ success: true, rule: created });
+      } catch (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'That rule already exists' });
+        }
+        throw error;
+      }
+    }
+
+    const id = String(body.id || url.searchParams.get('id') || '').trim();
+    if (!id) {
+      return res.status(400).json({ error: 'Missing rule id' });
+    }
+
+    if (req.method === 'PATCH') {
+      if (typeof body.enabled !== 'boolean' && body.note === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+      const updated = await updateClassificationRule(id, {
+        enabled: body.enabled,
+        note: body.note === undefined ? undefined : String(body.note || '').trim().substring(0, 500)
+      });
+      if (!updated) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      console.log(`Classification rule ${id} updated by ${session.email}`);
+      return res.status(200).json({ success: true, rule: updated });
+    }
+
+    const removed = await deleteClassificationRule(id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    console.log(`Classification rule ${id} deleted by ${session.email}`);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error managing product classification rules:', error);
+    return res.status(500).json({ error: 'Failed to update product classification rules' });
+  }
+};
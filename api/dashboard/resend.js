@@ -4,17 +4,24 @@
  *
  * Reconstructs the email from the stored snapshot and sends it again:
  *   - gift_card: rebuilt from the stored code + amount (no Webflow needed)
- *   - workshop/retreat: guidelines re-fetched fresh from Webflow by product id
+ *   - cancellation: rebuilt from the stored snapshot (the workshop, staff message and any credit code)
+ *   - refund: rebuilt from the stored snapshot (the order's items and voided codes)
+ *   - workshop/retreat/reminder/follow_up/waitlist/reschedule: guidelines re-fetched fresh from Webflow by product id
+ *   - a consolidated order email (payload.consolidated): the whole email, every
+ *     item's guidelines re-fetched; logged as one 'resent' row for this row's item
  * Records a new email_log row with status 'resent', linked to the original and
- * stamped with the dashboard user who triggered it.
+ * stamped with the dashboard user who triggered it. Suppressed recipients are
+ * refused (409) and recorded as a 'failed' row instead, as are gift cards whose
+ * code has been voided (e.g. by a refund), without a row.
  */
 
-const { getSupabaseClient } = require('../../lib/supabase.js');
+const { getSupabaseClient, getGiftCardCode } = require('../../lib/supabase.js');
 const { requireAuth } = require('../../lib/auth.js');
-const { sendGiftCardEmail, sendWorkshopEmail, sendRetreatEmail, createGiftCardEmailTemplate, createWorkshopEmailTemplate, createRetreatEmailTemplate } = require('../../lib/resend.js');
+const { sendGiftCardEmail, sendWorkshopEmail, sendWorkshopTransferEmail, sendWorkshopReminderEmail, sendWorkshopFollowUpEmail, sendWaitlistSeatEmail, sendWorkshopCancellationEmail, sendOrderRefundEmail, sendRetreatEmail, sendOrderEmail, createGiftCardEmailTemplate, createWorkshopEmailTemplate, createWorkshopReminderEmailTemplate, createWorkshopFollowUpEmailTemplate, createWaitlistSeatEmailTemplate, createWorkshopCancellationEmailTemplate, createOrderRefundEmailTemplate, createRetreatEmailTemplate, createOrderEmailTemplate, orderEmailSubject, workshopReminderSubject, workshopFollowUpSubject, waitlistSeatSubject, workshopCancellationSubject, workshopTransferSubject, orderRefundSubject, EmailSuppressedError } = require('../../lib/resend.js');
 const { resolveGuidelines } = require('../../lib/webflow.js');
 const { withBackoff } = require('../../lib/retry.js');
 const { logEmail, resendMessageId } = require('../../lib/emailLog.js');
+const { itemDataFromGuidelines } = require('../../lib/orderEmail.js');
 const { amountDisplayFromCents, readBody } = require('../../lib/util.js');
 
 module.exports = async function handler(req, res) {
@@ -43,6 +50,17 @@ module.exports = async function handler(req, res) {
     }
 
     const payload = row.payload || {};
+    // Fields for the 'failed' email_log row if the recipient turns out to be suppressed.
+    const logContext = {
+      recipientRole: row.recipient_role,
+      webflowOrderId: row.webflow_order_id,
+      productId: row.product_id,
+      giftCardCodeId: row.gift_card_code_id,
+      amountCents: row.amount_cents,
+      payload,
+      resentFrom: row.id,
+      triggeredBy: session.email
+    };
     const shopUrl = process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters';
     let result;
     let subject;
@@ -52,6 +70,10 @@ module.exports = async function handler(req, res) {
       if (!payload.code) {
         return res.status(422).json({ error: 'This gift card email has no stored code and cannot be resent.' });
       }
+      const giftCardCode = row.gift_card_code_id ? await getGiftCardCode(row.gift_card_code_id) : null;
+      if (giftCardCode?.status === 'void') {
+        return res.status(409).json({ error: 'This gift card code has been voided and cannot be resent.' });
+      }
       const amountDisplay = amountDisplayFromCents(row.amount_cents || payload.amountCents);
       const isRecipient = !!payload.isRecipient;
       subject = isRecipient
@@ -67,49 +89,219 @@ module.exports = async function handler(req, res) {
         isRecipient
       };
       html = createGiftCardEmailTemplate(giftArgs);
-      result = await withBackoff(() => sendGiftCardEmail({ to: row.to_email, ...giftArgs }));
-    } else if (row.email_type === 'workshop' || row.email_type === 'retreat') {
+      result = await sendGiftCardEmail({ to: row.to_email, ...giftArgs, logContext });
+    } else if (row.email_type === 'cancellation') {
+      // The workshop is cancelled, so its Webflow content may be gone: resend
+      // exactly what was sent, including the credit code.
+      const workshopData = { productId: row.product_id || payload.productId, name: payload.name || 'your workshop', date: payload.date };
+      const customerData = {
+        customerName: payload.customerName || null,
+        orderId: row.webflow_order_id || payload.orderId || null
+      };
+      const cancellationArgs = {
+        message: payload.message || null,
+        credit: payload.code
+          ? { code: payload.code, amountDisplay: amountDisplayFromCents(row.amount_cents || payload.amountCents) }
+          : null,
+        shopUrl
+      };
+      subject = workshopCancellationSubject(workshopData.name);
+      html = createWorkshopCancellationEmailTemplate(workshopData, customerData, cancellationArgs);
+      result = await sendWorkshopCancellationEmail({
+        email: row.to_email,
+        workshopData,
+        customerData,
+        ...cancellationArgs,
+        logContext
+      });
+    } else if (row.email_type === 'refund') {
+      // Rebuilt from the stored snapshot: the order is gone from the shop.
+      const customerData = {
+        customerName: payload.customerName || null,
+        orderId: row.webflow_order_id || payload.orderId || null
+      };
+      const refundArgs = {
+        items: payload.items || [],
+        voidedCodes: payload.voidedCodes || [],
+        releasedSeats: payload.releasedSeats > 0
+      };
+      subject = orderRefundSubject(customerData.orderId);
+      html = createOrderRefundEmailTemplate(customerData, refundArgs);
+      result = await sendOrderRefundEmail({
+        email: row.to_email,
+        customerData,
+        ...refundArgs,
+        logContext
+      });
+    } else if (['workshop', 'retreat'].includes(row.email_type) && payload.consolidated && payload.orderItems?.length > 1) {
+      // One email covered several items of the order: resend all of it.
+      const guidelinesList = await Promise.all(payload.orderItems.map(orderItem =>
+        withBackoff(() => resolveGuidelines(process.env.WEBFLOW_SITE_ID, { productId: orderItem.productId, type: orderItem.type }))
+      ));
+      if (guidelinesList.some(guidelines => !guidelines)) {
+        return res.status(422).json({ error: 'Could not load current content for every item of this order from Webflow.' });
+      }
+
+      const { sanitized, ...originalPayload } = payload;
+      logContext.payload = {
+        ...originalPayload,
+        orderItems: payload.orderItems.map((orderItem, index) => ({
+          ...orderItem,
+          contentSource: guidelinesList[index].source
+        }))
+      };
+
+      const items = payload.orderItems.map((orderItem, index) => ({
+        type: orderItem.type,
+        data: itemDataFromGuidelines(orderItem.type, orderItem.productId, guidelinesList[index], 'Katie Ann Clay')
+      }));
+      const customerData = {
+        customerName: payload.customerName || null,
+        orderId: row.webflow_order_id || payload.orderId || null
+      };
+
+      subject = orderEmailSubject(customerData.orderId);
+      html = createOrderEmailTemplate(items, customerData);
+      result = await sendOrderEmail({
+        email: row.to_email,
+        items,
+        customerData,
+        logContext
+      });
+    } else if (['workshop', 'retreat', 'reminder', 'follow_up', 'waitlist', 'reschedule'].includes(row.email_type)) {
       const productId = row.product_id || payload.productId;
       if (!productId) {
         return res.status(422).json({ error: 'No product id stored for this email; cannot rebuild it.' });
       }
 
       const guidelines = await withBackoff(() =>
-        resolveGuidelines(process.env.WEBFLOW_SITE_ID, { productId })
+        resolveGuidelines(process.env.WEBFLOW_SITE_ID, {
+          productId,
+          type: row.email_type === 'retreat' ? 'retreat' : 'workshop'
+        })
       );
       if (!guidelines) {
         return res.status(422).json({ error: 'Could not load current content for this product from Webflow.' });
       }
 
+      // The resend uses current content, so record where it came from and what
+      // sanitizing it stripped (if anything).
+      const { sanitized, ...originalPayload } = payload;
+      logContext.payload = {
+        ...originalPayload,
+        contentSource: guidelines.source,
+        cmsItemId: guidelines.cmsItemId || null,
+        ...(guidelines.sanitizeReport && { sanitized: guidelines.sanitizeReport })
+      };
+
       const name = guidelines.name || payload.name || 'Katie Ann Clay';
       const customerData = {
         customerName: payload.customerName || null,
         orderId: row.webflow_order_id || payload.orderId || null
       };
 
-      if (row.email_type === 'workshop') {
-        subject = `Workshop Details: ${name}`;
-        const workshopData = { name, guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...' };
-        html = createWorkshopEmailTemplate(workshopData, customerData);
-        result = await withBackoff(() =>
-          sendWorkshopEmail({
+      if (row.email_type === 'workshop' || row.email_type === 'reschedule') {
+        const workshopData = {
+          productId,
+          name,
+          guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...',
+          date: guidelines.date,
+          location: guidelines.location,
+          duration: guidelines.duration,
+          whatToBring: guidelines.whatToBring,
+          parking: guidelines.parking,
+          reschedulePolicy: guidelines.reschedulePolicy,
+          faq: guidelines.faq
+        };
+        if (row.email_type === 'reschedule') {
+          subject = workshopTransferSubject(name);
+          const previousWorkshop = { name: payload.previousName || 'your previous workshop', date: payload.previousDate || null };
+          html = createWorkshopEmailTemplate(workshopData, customerData, { previousWorkshop });
+          result = await sendWorkshopTransferEmail({
             email: row.to_email,
             workshopData,
             customerData,
-            templateId: process.env.RESEND_TEMPLATE_ID
-          })
-        );
+            previousWorkshop,
+            logContext
+          });
+        } else {
+          subject = `Workshop Details: ${name}`;
+          html = createWorkshopEmailTemplate(workshopData, customerData);
+          result = await sendWorkshopEmail({
+            email: row.to_email,
+            workshopData,
+            customerData,
+            templateId: process.env.RESEND_TEMPLATE_ID,
+            logContext
+          });
+        }
+      } else if (row.email_type === 'reminder') {
+        const offsetMinutes = payload.offsetMinutes || 24 * 60;
+        subject = workshopReminderSubject(name, offsetMinutes);
+        const workshopData = {
+          productId,
+          name,
+          date: guidelines.date,
+          location: guidelines.location,
+          duration: guidelines.duration,
+          whatToBring: guidelines.whatToBring,
+          parking: guidelines.parking
+        };
+        html = createWorkshopReminderEmailTemplate(workshopData, customerData, { offsetMinutes });
+        result = await sendWorkshopReminderEmail({
+          email: row.to_email,
+          workshopData,
+          customerData,
+          offsetMinutes,
+          logContext
+        });
+      } else if (row.email_type === 'follow_up') {
+        subject = workshopFollowUpSubject(name);
+        const workshopData = { productId, name, careInstructions: guidelines.careInstructions };
+        const links = { feedbackUrl: process.env.WORKSHOP_FEEDBACK_URL || null, shopUrl };
+        html = createWorkshopFollowUpEmailTemplate(workshopData, customerData, links);
+        result = await sendWorkshopFollowUpEmail({
+          email: row.to_email,
+          workshopData,
+          customerData,
+          ...links,
+          logContext
+        });
+      } else if (row.email_type === 'waitlist') {
+        subject = waitlistSeatSubject(name);
+        const workshopData = {
+          productId,
+          name,
+          date: guidelines.date,
+          duration: guidelines.duration,
+          location: guidelines.location
+        };
+        const bookingUrl = payload.bookingUrl || shopUrl;
+        html = createWaitlistSeatEmailTemplate(workshopData, customerData, { bookingUrl });
+        result = await sendWaitlistSeatEmail({
+          email: row.to_email,
+          workshopData,
+          customerData,
+          bookingUrl,
+          logContext
+        });
       } else {
         subject = `Retreat Details: ${name}`;
-        const retreatData = { name, guidelinesHtml: guidelines.guidelinesHtml || 'Retreat details coming soon...' };
+        const retreatData = {
+          productId,
+          name,
+          guidelinesHtml: guidelines.guidelinesHtml || 'Retreat details coming soon...',
+          date: guidelines.date,
+          endDate: guidelines.endDate,
+          location: guidelines.location
+        };
         html = createRetreatEmailTemplate(retreatData, customerData);
-        result = await withBackoff(() =>
-          sendRetreatEmail({
-            email: row.to_email,
-            retreatData,
-            customerData
-          })
-        );
+        result = await sendRetreatEmail({
+          email: row.to_email,
+          retreatData,
+          customerData,
+          logContext
+        });
       }
     } else {
       return res.status(422).json({ error: `Unknown email type: ${row.email_type}` });
@@ -129,7 +321,7 @@ module.exports = async function handler(req, res) {
       giftCardCodeId: row.gift_card_code_id,
       amountCents: row.amount_cents,
       html: html || row.html || null,
-      payload,
+      payload: logContext.payload,
       resentFrom: row.id,
       triggeredBy: session.email
     });
@@ -141,6 +333,9 @@ module.exports = async function handler(req, res) {
       logId: logged?.id || null
     });
   } catch (error) {
+    if (error instanceof EmailSuppressedError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error resending email:', error);
     return res.status(500).json({ error: 'Failed to resend email. Please try again.' });
   }
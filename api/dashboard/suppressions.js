@@ -0,0 +1,62 @@
+/**
+ * /api/dashboard/suppressions  (auth required)
+ * View and manage the email suppression list.
+ *
+ *   GET     ?search=&limit=&offset=   list suppressed addresses
+ *   POST    { email, note? }          suppress an address manually
+ *   DELETE  { email } or ?email=      remove an address so it can receive email again
+ */
+
+const { requireAuth } = require('../../lib/auth.js');
+const { listSuppressions, addSuppression, removeSuppression } = require('../../lib/suppressions.js');
+const { isValidEmail, readBody } = require('../../lib/util.js');
+
+module.exports = async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  const session = await requireAuth(req, res);
+  if (!session) return;
+
+  try {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET') {
+      const search = url.searchParams.get('search');
+      const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 200);
+      const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+      // Strip PostgREST pattern characters, as in /api/dashboard/emails.
+      const term = search ? search.trim().replace(/[%,()*\\"]/g, '') : '';
+
+      const { suppressions, total } = await listSuppressions({ search: term || null, limit, offset });
+      return res.status(200).json({ suppressions, pagination: { total, limit, offset } });
+    }
+
+    const body = await readBody(req);
+    const email = String(body.email || url.searchParams.get('email') || '').trim();
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    if (req.method === 'POST') {
+      const suppression = await addSuppression({
+        email,
+        reason: 'manual',
+        source: 'dashboard',
+        note: body.note ? String(body.note).trim().substring(0, 500) : null,
+        createdBy: session.email
+      });
+      return res.status(200).json({ success: true, suppression });
+    }
+
+    const removed = await removeSuppression(email);
+    if (!removed) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+    console.log(`Suppression for ${email} removed by ${session.email}`);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error managing suppressions:', error);
+    return res.status(500).json({ error: 'Failed to update suppression list' });
+  }
+};
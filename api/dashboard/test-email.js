@@ -1,6 +1,6 @@
 /**
  * POST /api/dashboard/test-email  (auth required)
- * Body: { type: 'gift_card'|'workshop'|'retreat', to?: string }
+ * Body: { type: 'gift_card'|'workshop'|'retreat'|'reminder'|'follow_up'|'waitlist'|'cancellation'|'reschedule'|'refund', to?: string }
  *
  * Sends a clearly-marked [TEST] sample email of the chosen type so staff can
  * preview how each email looks / verify deliverability. Defaults to sending to
@@ -8,12 +8,11 @@
  */
 
 const { requireAuth } = require('../../lib/auth.js');
-const { createGiftCardEmailTemplate, createWorkshopEmailTemplate, createRetreatEmailTemplate } = require('../../lib/resend.js');
+const { createGiftCardEmailTemplate, createWorkshopEmailTemplate, createWorkshopReminderEmailTemplate, createWorkshopFollowUpEmailTemplate, createWaitlistSeatEmailTemplate, createWorkshopCancellationEmailTemplate, createOrderRefundEmailTemplate, createRetreatEmailTemplate, workshopReminderSubject, workshopFollowUpSubject, waitlistSeatSubject, workshopCancellationSubject, workshopTransferSubject, orderRefundSubject, getEmailTransport, deliverEmail, EmailSuppressedError, EmailSendError } = require('../../lib/resend.js');
 const { logEmail, resendMessageId } = require('../../lib/emailLog.js');
 const { isValidEmail, readBody } = require('../../lib/util.js');
-const { Resend } = require('resend');
 
-const VALID_TYPES = ['gift_card', 'workshop', 'retreat'];
+const VALID_TYPES = ['gift_card', 'workshop', 'retreat', 'reminder', 'follow_up', 'waitlist', 'cancellation', 'reschedule', 'refund'];
 
 const SAMPLE_GUIDELINES =
   '<p>This is a <strong>sample</strong> email sent from the dashboard so you can preview how it looks. ' +
@@ -21,6 +20,22 @@ const SAMPLE_GUIDELINES =
   '<ul><li><strong>Date:</strong> To be announced</li><li><strong>Location:</strong> Katie Ann Clay Studio</li></ul>' +
   '<p>Bring your creativity — everything else is provided!</p>';
 
+// Structured workshop fields, so the test email shows every section (the
+// date is set to two weeks out when sending, the retreat's to a month out).
+const SAMPLE_WORKSHOP_DETAILS = {
+  duration: '2 hours',
+  location: 'Katie Ann Clay Studio',
+  whatToBring: 'Clothes that can get muddy\nA towel\nYour creativity',
+  parking: 'Free street parking is available out front.',
+  reschedulePolicy: 'Need to reschedule? Let us know at least 48 hours before the workshop.',
+  faq: 'Q: Do I need any experience?\nA: Not at all — beginners are welcome.\nQ: When will my piece be ready?\nA: About three weeks after the workshop.'
+};
+
+// YYYY-MM-DD, `days` from today.
+function sampleDay(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
 module.exports = async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -58,34 +73,128 @@ module.exports = async function handler(req, res) {
     } else if (type === 'workshop') {
       subject = '[TEST] Workshop Details: Sample Pottery Workshop';
       html = createWorkshopEmailTemplate(
-        { name: 'Sample Pottery Workshop', guidelinesHtml: SAMPLE_GUIDELINES },
+        {
+          productId: 'sample-workshop',
+          name: 'Sample Pottery Workshop',
+          guidelinesHtml: SAMPLE_GUIDELINES,
+          ...SAMPLE_WORKSHOP_DETAILS,
+          date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString()
+        },
         { customerName: 'Sample Guest', orderId: 'TEST-ORDER' }
       );
+    } else if (type === 'reschedule') {
+      subject = `[TEST] ${workshopTransferSubject('Sample Pottery Workshop')}`;
+      html = createWorkshopEmailTemplate(
+        {
+          productId: 'sample-workshop',
+          name: 'Sample Pottery Workshop',
+          guidelinesHtml: SAMPLE_GUIDELINES,
+          ...SAMPLE_WORKSHOP_DETAILS,
+          date: new Date(Date.now() + 21 * 24 * 60 * 60 * 1000).toISOString()
+        },
+        { customerName: 'Sample Guest', orderId: 'TEST-ORDER' },
+        { previousWorkshop: { name: 'Sample Pottery Workshop', date: sampleDay(14) } }
+      );
+    } else if (type === 'reminder') {
+      subject = `[TEST] ${workshopReminderSubject('Sample Pottery Workshop', 24 * 60)}`;
+      html = createWorkshopReminderEmailTemplate(
+        {
+          productId: 'sample-workshop',
+          name: 'Sample Pottery Workshop',
+          ...SAMPLE_WORKSHOP_DETAILS,
+          date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        },
+        { customerName: 'Sample Guest', orderId: 'TEST-ORDER' },
+        { offsetMinutes: 24 * 60 }
+      );
+    } else if (type === 'follow_up') {
+      subject = `[TEST] ${workshopFollowUpSubject('Sample Pottery Workshop')}`;
+      html = createWorkshopFollowUpEmailTemplate(
+        { productId: 'sample-workshop', name: 'Sample Pottery Workshop' },
+        { customerName: 'Sample Guest', orderId: 'TEST-ORDER' },
+        { feedbackUrl: process.env.WORKSHOP_FEEDBACK_URL || null, shopUrl }
+      );
+    } else if (type === 'waitlist') {
+      subject = `[TEST] ${waitlistSeatSubject('Sample Pottery Workshop')}`;
+      html = createWaitlistSeatEmailTemplate(
+        {
+          productId: 'sample-workshop',
+          name: 'Sample Pottery Workshop',
+          date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
+          duration: SAMPLE_WORKSHOP_DETAILS.duration,
+          location: SAMPLE_WORKSHOP_DETAILS.location
+        },
+        { customerName: 'Sample Guest' },
+        { bookingUrl: shopUrl }
+      );
+    } else if (type === 'cancellation') {
+      subject = `[TEST] ${workshopCancellationSubject('Sample Pottery Workshop')}`;
+      html = createWorkshopCancellationEmailTemplate(
+        { productId: 'sample-workshop', name: 'Sample Pottery Workshop', date: sampleDay(14) },
+        { customerName: 'Sample Guest', orderId: 'TEST-ORDER' },
+        {
+          message: 'Our instructor is unwell, so we have to cancel this class.\nWe are so sorry for the short notice!',
+          credit: { code: 'KAC-SAMPLE-TESTCODE-0000', amountDisplay: '$75.00' },
+          shopUrl
+        }
+      );
+    } else if (type === 'refund') {
+      subject = `[TEST] ${orderRefundSubject('TEST-ORDER')}`;
+      html = createOrderRefundEmailTemplate(
+        { customerName: 'Sample Guest', orderId: 'TEST-ORDER' },
+        {
+          items: ['Sample Pottery Workshop', '$50 Gift Card'],
+          voidedCodes: ['KAC-SAMPLE-TESTCODE-0000'],
+          releasedSeats: true
+        }
+      );
     } else {
       subject = '[TEST] Retreat Details: Sample Clay Retreat';
       html = createRetreatEmailTemplate(
-        { name: 'Sample Clay Retreat', guidelinesHtml: SAMPLE_GUIDELINES },
+        {
+          productId: 'sample-retreat',
+          name: 'Sample Clay Retreat',
+          guidelinesHtml: SAMPLE_GUIDELINES,
+          date: sampleDay(30),
+          endDate: sampleDay(32),
+          location: 'Katie Ann Clay Studio'
+        },
         { customerName: 'Sample Guest', orderId: 'TEST-ORDER' }
       );
     }
 
     const fromEmail = process.env.GIFT_CARD_FROM_EMAIL || process.env.RESEND_FROM_EMAIL;
     const fromName = process.env.GIFT_CARD_SENDER_NAME || 'Katie Ann Clay';
-    if (!fromEmail || !process.env.RESEND_API_KEY) {
+    let transport;
+    try {
+      transport = fromEmail ? getEmailTransport() : null;
+    } catch (error) {
+      console.error('Email transport not configured:', error.message);
+    }
+    if (!transport) {
       return res.status(500).json({ error: 'Email sending is not configured' });
     }
 
-    const resend = new Resend(process.env.RESEND_API_KEY);
-    const result = await resend.emails.send({
-      from: `${fromName} <${fromEmail}>`,
-      to: [to],
-      subject,
-      html
-    });
-
-    if (result?.error) {
-      console.error('Test email send error:', result.error);
-      return res.status(502).json({ error: result.error.message || 'Failed to send test email' });
+    let result;
+    try {
+      result = await deliverEmail({
+        from: `${fromName} <${fromEmail}>`,
+        to: [to],
+        subject,
+        html
+      }, {
+        emailType: type,
+        logContext: { triggeredBy: session.email, payload: { test: true } }
+      });
+    } catch (error) {
+      if (error instanceof EmailSuppressedError) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error instanceof EmailSendError) {
+        console.error('Test email send error:', error);
+        return res.status(502).json({ error: error.message });
+      }
+      throw error;
     }
 
     await logEmail({
@@ -99,7 +208,7 @@ module.exports = async function handler(req, res) {
       payload: { test: true }
     });
 
-    return res.status(200).json({ success: true, to, messageId: resendMessageId(result) });
+    return res.status(200).json({ success: true, to, transport: transport.name, messageId: resendMessageId(result) });
   } catch (error) {
     console.error('Error sending test email:', error);
     return res.status(500).json({ error: 'Failed to send test email' });
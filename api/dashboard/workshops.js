@@ -0,0 +1,262 @@
+/**
+ * /api/dashboard/workshops  (auth required)
+ * Workshop attendee rosters, for the dashboard and the studio check-in table.
+ *
+ *   GET   ?scope=                    workshops with seat counts: 'upcoming' (default) | 'past' | 'all'
+ *   GET   ?productId=[&format=csv]   a workshop's roster, as JSON or a CSV download
+ *   GET   ?catalog=1                 workshop products a booking can be moved to
+ *   POST  { action: 'release_seat', idempotencyKey }
+ *                                    cancel a booking and offer its seats to the waitlist
+ *   POST  { action: 'cancel_workshop', productId, reason?, message?, issueCredit? }
+ *                                    cancel the workshop and email (and optionally credit) every
+ *                                    purchaser; repeating it retries failed notices
+ *   POST  { action: 'transfer_attendee', idempotencyKey | emailLogId, toProductId, reason? }
+ *                                    move a booking to another workshop and email the customer
+ */
+
+const { requireAuth } = require('../../lib/auth.js');
+const { listWorkshops, getRoster } = require('../../lib/attendees.js');
+const { getWorkshopCapacity, releaseWorkshopSeat } = require('../../lib/capacity.js');
+const { getCancellation, cancelWorkshop } = require('../../lib/cancellations.js');
+const { TransferError, transferAttendee } = require('../../lib/transfers.js');
+const { listGuests } = require('../../lib/guests.js');
+const { getAllProducts, isWorkshopProduct, isRetreatProduct } = require('../../lib/webflow.js');
+const { readBody } = require('../../lib/util.js');
+
+const CSV_COLUMNS = [
+  ['Name', a => a.customer_name],
+  ['Email', a => a.customer_email],
+  ['Seats', a => a.quantity],
+  ['Guests', a => a.guests.map(g => g.name ? `${g.name} <${g.email}>` : g.email).join('; ')],
+  ['Order ID', a => a.webflow_order_id],
+  ['Booked', a => a.created_at ? a.created_at.substring(0, 10) : ''],
+  ['Checked In', () => '']
+];
+
+/**
+ * Quote a CSV cell. Cells starting with a formula character are prefixed with
+ * an apostrophe so spreadsheet apps show them as text (customer names are
+ * user input).
+ */
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rosterCsv(attendees) {
+  const lines = [CSV_COLUMNS.map(([header]) => header)];
+  for (const attendee of attendees.filter(a => a.status !== 'cancelled')) {
+    lines.push(CSV_COLUMNS.map(([, value]) => value(attendee)));
+  }
+  return lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function rosterFilename(workshop) {
+  const slug = String(workshop.name || workshop.productId)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'workshop';
+  const date = workshop.eventStart ? `-${workshop.eventStart.substring(0, 10)}` : '';
+  return `roster-${slug}${date}.csv`;
+}
+
+/**
+ * Workshop details for a roster, from its most recently booked attendee (the
+ * same rule list_workshop_rosters() uses). Counts cover confirmed seats only.
+ */
+function summarizeRoster(productId, attendees, capacity, cancellation) {
+  const latest = attendees.reduce(
+    (a, b) => (!a || new Date(b.created_at) > new Date(a.created_at) ? b : a),
+    null
+  );
+  const confirmed = attendees.filter(a => a.status !== 'cancelled');
+  return {
+    productId,
+    name: latest?.workshop_name || null,
+    eventDate: latest?.event_date || null,
+    eventStart: latest?.event_start || null,
+    orderCount: new Set(confirmed.map(a => a.webflow_order_id)).size,
+    seatCount: confirmed.reduce((sum, a) => sum + (a.quantity || 0), 0),
+    capacity: capacity?.capacity || null,
+    cancellation: cancellation ? cancellationSummary(cancellation) : null
+  };
+}
+
+function cancellationSummary(cancellation) {
+  return {
+    status: cancellation.status,
+    reason: cancellation.reason,
+    message: cancellation.message,
+    issueCredit: cancellation.issue_credit,
+    purchaserCount: cancellation.purchaser_count,
+    notifiedCount: cancellation.notified_count,
+    creditedCount: cancellation.credited_count,
+    skippedCount: cancellation.skipped_count,
+    failedCount: cancellation.failed_count,
+    triggeredBy: cancellation.triggered_by,
+    createdAt: cancellation.created_at,
+    completedAt: cancellation.completed_at
+  };
+}
+
+/**
+ * Workshop products that are on sale, with the seat counts of those that have
+ * bookings, for the "move to another date" picker.
+ */
+async function workshopCatalog() {
+  const [items, workshops] = await Promise.all([
+    getAllProducts(process.env.WEBFLOW_SITE_ID),
+    listWorkshops({ scope: 'all' })
+  ]);
+  const booked = new Map(workshops.map(w => [w.product_id, w]));
+
+  const onSale = (items || []).filter(item => item.product && !item.product.isArchived && !item.product.isDraft);
+  const isWorkshop = await Promise.all(onSale.map(async ({ product, skus }) =>
+    await isWorkshopProduct(product, { skus }) && !await isRetreatProduct(product, { skus })));
+
+  return onSale
+    .filter((item, i) => isWorkshop[i])
+    .map(({ product }) => {
+      const workshop = booked.get(product.id);
+      return {
+        productId: product.id,
+        name: product.fieldData?.name || product.name || product.id,
+        eventDate: workshop?.event_date || null,
+        eventStart: workshop?.event_start || null,
+        seatCount: workshop ? Number(workshop.seat_count) : 0,
+        capacity: workshop?.capacity || null
+      };
+    })
+    .sort((a, b) => (a.eventStart || '9999').localeCompare(b.eventStart || '9999') || a.name.localeCompare(b.name));
+}
+
+async function handleAction(req, res, session) {
+  const body = await readBody(req);
+
+  if (body.action === 'release_seat') {
+    if (!body.idempotencyKey) {
+      return res.status(400).json({ error: 'Missing idempotencyKey' });
+    }
+    const released = await releaseWorkshopSeat(String(body.idempotencyKey), { reason: 'released' });
+    if (!released) {
+      return res.status(409).json({ error: 'This booking is not confirmed (already released?)' });
+    }
+    console.log(`Seat ${String(body.idempotencyKey).substring(0, 8)}... released by ${session.email}`);
+    return res.status(200).json({ success: true, notified: released.notified });
+  }
+
+  if (body.action === 'cancel_workshop') {
+    if (!body.productId) {
+      return res.status(400).json({ error: 'Missing productId' });
+    }
+    const { cancellation, created, results } = await cancelWorkshop({
+      productId: String(body.productId),
+      reason: body.reason ? String(body.reason).trim().substring(0, 1000) : null,
+      message: body.message ? String(body.message).trim().substring(0, 5000) : null,
+      issueCredit: body.issueCredit === true,
+      triggeredBy: session.email
+    });
+    return res.status(200).json({ success: true, created, results, cancellation: cancellationSummary(cancellation) });
+  }
+
+  if (body.action === 'transfer_attendee') {
+    if (!body.toProductId || (!body.idempotencyKey && !body.emailLogId)) {
+      return res.status(400).json({ error: 'Missing toProductId, or idempotencyKey / emailLogId' });
+    }
+    try {
+      const { transfer, reminders } = await transferAttendee({
+        idempotencyKey: body.idempotencyKey ? String(body.idempotencyKey) : null,
+        emailLogId: body.emailLogId ? String(body.emailLogId) : null,
+        toProductId: String(body.toProductId),
+        reason: body.reason ? String(body.reason).trim().substring(0, 1000) : null,
+        triggeredBy: session.email
+      });
+      return res.status(200).json({
+        success: true,
+        reminders,
+        transfer: {
+          id: transfer.id,
+          fromProductId: transfer.from_product_id,
+          fromName: transfer.from_workshop_name,
+          toProductId: transfer.to_product_id,
+          toName: transfer.to_workshop_name,
+          emailStatus: transfer.email_status,
+          error: transfer.error
+        }
+      });
+    } catch (error) {
+      if (error instanceof TransferError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  return res.status(400).json({ error: 'Unknown action' });
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  const session = await requireAuth(req, res);
+  if (!session) return;
+
+  try {
+    if (req.method === 'POST') {
+      return await handleAction(req, res, session);
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.searchParams.get('catalog')) {
+      return res.status(200).json({ workshops: await workshopCatalog() });
+    }
+
+    const productId = url.searchParams.get('productId');
+    if (productId) {
+      const roster = await getRoster(productId);
+      if (!roster.length) {
+        return res.status(404).json({ error: 'No attendees found for this workshop' });
+      }
+      const [capacity, cancellation, guests] = await Promise.all([
+        getWorkshopCapacity(productId),
+        getCancellation(productId),
+        listGuests(roster.map(a => a.idempotency_key))
+      ]);
+      const attendees = roster.map(a => ({ ...a, guests: guests.get(a.idempotency_key) || [] }));
+      const workshop = summarizeRoster(productId, attendees, capacity, cancellation);
+
+      if (url.searchParams.get('format') === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${rosterFilename(workshop)}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        // BOM so Excel reads the file as UTF-8.
+        return res.status(200).send('\uFEFF' + rosterCsv(attendees));
+      }
+
+      return res.status(200).json({ workshop, attendees });
+    }
+
+    const workshops = await listWorkshops({ scope: url.searchParams.get('scope') || 'upcoming' });
+
+    return res.status(200).json({
+      workshops: workshops.map(w => ({
+        productId: w.product_id,
+        name: w.workshop_name,
+        eventDate: w.event_date,
+        eventStart: w.event_start,
+        orderCount: Number(w.order_count),
+        seatCount: Number(w.seat_count),
+        lastBookedAt: w.last_booked_at,
+        capacity: w.capacity,
+        waitlistCount: Number(w.waitlist_count)
+      }))
+    });
+  } catch (error) {
+    console.error('Error handling workshop rosters request:', error);
+    return res.status(500).json({ error: req.method === 'POST' ? 'Failed to update the workshop' : 'Failed to load workshops' });
+  }
+};
@@ -5,44 +5,10 @@
  */
 
 const { storeGiftCardRecipientInfo } = require('../../lib/supabase.js');
+const { getClientIP, createRateLimiter } = require('../../lib/util.js');
 
-// Simple rate limiting: track requests by IP
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 10; // 10 requests per minute per IP
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const key = ip;
-  
-  if (!rateLimitMap.has(key)) {
-    rateLimitMap.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW });
-    return true;
-  }
-  
-  const limit = rateLimitMap.get(key);
-  
-  if (now > limit.resetAt) {
-    // Reset window
-    limit.count = 1;
-    limit.resetAt = now + RATE_LIMIT_WINDOW;
-    return true;
-  }
-  
-  if (limit.count >= RATE_LIMIT_MAX_REQUESTS) {
-    return false;
-  }
-  
-  limit.count++;
-  return true;
-}
-
-function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-         req.headers['x-real-ip'] ||
-         req.connection?.remoteAddress ||
-         'unknown';
-}
+// Simple rate limiting: 10 requests per minute per IP
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, max: 10 });
 
 module.exports = async function handler(req, res) {
   // Only allow POST requests
@@ -0,0 +1,158 @@
+/**
+ * POST /api/resend/events
+ * Resend webhook receiver for delivery events (delivered, bounced, opened,
+ * clicked, complained, delivery_delayed, ...).
+ *
+ * Requests are signed Svix-style; the signature is verified against
+ * RESEND_WEBHOOK_SECRET before anything is stored. Each event is recorded in
+ * email_events and matched to its email_log row by Resend message id. Hard
+ * bounces and spam complaints also put the address on the suppression list.
+ * Responds non-2xx on storage failures so Resend redelivers.
+ *
+ * The body parser is off for this route, so the signature is checked against
+ * the exact bytes Resend sent.
+ */
+
+const crypto = require('crypto');
+const { recordEmailEvent } = require('../../lib/emailEvents.js');
+const { addSuppression } = require('../../lib/suppressions.js');
+const { readRawBody } = require('../../lib/util.js');
+
+// Reject signatures older/newer than this, to limit replay of captured requests.
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Suppression reason for an event, or null if it shouldn't suppress the address.
+ * Temporary (soft) bounces such as a full mailbox don't suppress.
+ */
+function suppressionReasonFor(eventType, data) {
+  if (eventType === 'complained') return 'complained';
+  if (eventType === 'bounced') {
+    const bounceType = String(data.bounce?.type || '').toLowerCase();
+    return bounceType === 'transient' || bounceType === 'temporary' ? null : 'bounced';
+  }
+  return null;
+}
+
+/**
+ * Verify a Svix-style webhook signature.
+ * Signed content is `${svixId}.${svixTimestamp}.${rawBody}`, HMAC-SHA256 keyed
+ * with the base64 part of the `whsec_...` secret. The signature header holds
+ * one or more space-separated `v1,<base64>` entries (several during secret
+ * rotation); any match is accepted.
+ */
+function verifyWebhookSignature(rawBody, { svixId, svixTimestamp, svixSignature }, secret) {
+  if (!svixId || !svixTimestamp || !svixSignature || !secret) {
+    console.warn('Missing Resend webhook signature headers or secret');
+    return false;
+  }
+
+  try {
+    const timestamp = parseInt(svixTimestamp, 10);
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+      console.warn('Resend webhook timestamp outside tolerance');
+      return false;
+    }
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(`${svixId}.${svixTimestamp}.${rawBody}`)
+      .digest();
+
+    return svixSignature.split(' ').some((entry) => {
+      const [version, signature] = entry.split(',');
+      if (version !== 'v1' || !signature) return false;
+      const received = Buffer.from(signature, 'base64');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  } catch (error) {
+    console.error('Error verifying Resend webhook signature:', error);
+    return false;
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RESEND_WEBHOOK_SECRET is not set; rejecting Resend webhook');
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+    const headers = {
+      svixId: req.headers['svix-id'],
+      svixTimestamp: req.headers['svix-timestamp'],
+      svixSignature: req.headers['svix-signature']
+    };
+
+    if (!verifyWebhookSignature(rawBody, headers, secret)) {
+      console.warn('Invalid Resend webhook signature received', {
+        svixId: headers.svixId || 'missing',
+        ip: req.headers['x-forwarded-for'] || req.connection?.remoteAddress
+      });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    if (!event || typeof event.type !== 'string') {
+      return res.status(400).json({ error: 'Invalid event payload' });
+    }
+
+    const data = event.data || {};
+    const toEmail = Array.isArray(data.to) ? data.to[0] : data.to;
+
+    const recorded = await recordEmailEvent({
+      svixId: headers.svixId,
+      type: event.type,
+      messageId: data.email_id,
+      toEmail,
+      occurredAt: event.created_at || data.created_at,
+      payload: event
+    });
+
+    // Runs on redelivery too (the upsert keeps an existing entry), so a failure
+    // here is retried by Resend rather than lost.
+    const reason = suppressionReasonFor(recorded.eventType, data);
+    if (reason && toEmail) {
+      await addSuppression({
+        email: toEmail,
+        reason,
+        source: 'resend_webhook',
+        note: data.bounce?.message || null,
+        emailEventId: recorded.eventId
+      });
+      console.log(`Suppressed ${toEmail} after ${recorded.eventType} event`);
+    }
+
+    console.log('Resend event recorded', {
+      type: recorded.eventType,
+      messageId: data.email_id,
+      matched: recorded.emailLogIds.length,
+      duplicate: recorded.duplicate
+    });
+
+    return res.status(200).json({ success: true, duplicate: recorded.duplicate });
+  } catch (error) {
+    console.error('Error processing Resend webhook:', error);
+    return res.status(500).json({ error: 'Failed to process event' });
+  }
+};
+
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
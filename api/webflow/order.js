@@ -1,18 +1,36 @@
 /**
  * Webflow Order Webhook Handler
- * Processes workshop purchases and gift card purchases
- * Sends orientation emails and gift card emails
+ * Processes workshop, retreat and gift card purchases: each line item is
+ * claimed in the order ledger and handed to its product type's handler
+ * (lib/productHandlers)
+ * Order changes (ecomm_order_changed) to a refunded or disputed-and-lost
+ * order undo it: gift card codes voided, workshop seats released
  */
 
-const { resolveGuidelines, isWorkshopProduct, isRetreatProduct, isGiftCardProduct } = require('../../lib/webflow.js');
-const { sendWorkshopEmail, sendRetreatEmail, sendGiftCardEmail, createWorkshopEmailTemplate, createRetreatEmailTemplate, createGiftCardEmailTemplate } = require('../../lib/resend.js');
+const { getProduct, isOrderCancelled } = require('../../lib/webflow.js');
+const { getEmailTransport, EmailSuppressedError } = require('../../lib/resend.js');
 const { withBackoff } = require('../../lib/retry.js');
-const { assignUnusedGiftCardCodeAtomically, markGiftCardSent, getGiftCardProduct, getGiftCardRecipientInfo, consumeGiftCardRecipientInfo } = require('../../lib/supabase.js');
-const { logEmail, resendMessageId } = require('../../lib/emailLog.js');
+const { recordOrder, finishOrder, claimLineItem, completeLineItem, failLineItem } = require('../../lib/orderLedger.js');
+const { findProductHandler, getProductHandler, listProductTypes } = require('../../lib/productHandlers/index.js');
+const { isConsolidatedMode, sendConsolidatedEmail } = require('../../lib/orderEmail.js');
+const { refundOrder } = require('../../lib/refunds.js');
 const crypto = require('crypto');
 
-const processedOrders = new Map();
-const MAX_CACHE_SIZE = 1000;
+// Webflow webhook trigger types handled here. A payload without a
+// triggerType is treated as a new order.
+const NEW_ORDER_TRIGGER = 'ecomm_new_order';
+const ORDER_CHANGED_TRIGGER = 'ecomm_order_changed';
+
+/**
+ * A webhook payload that can't be processed as sent, so a Webflow retry of it
+ * would fail the same way.
+ */
+class InvalidPayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidPayloadError';
+  }
+}
 
 /**
  * Verify webhook signature
@@ -46,20 +64,19 @@ function verifyWebhookSignature(rawBody, signature, timestamp, secret) {
  * Validate required environment variables
  */
 function validateEnvironment() {
-  const required = ['WEBFLOW_SITE_ID', 'WEBFLOW_API_TOKEN', 'RESEND_API_KEY', 'RESEND_FROM_EMAIL'];
+  const required = ['WEBFLOW_SITE_ID', 'WEBFLOW_API_TOKEN', 'RESEND_FROM_EMAIL'];
   const missing = required.filter(key => !process.env[key]);
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  // Throws if the email transport selected by EMAIL_TRANSPORT isn't configured
+  getEmailTransport();
   
   // Check Supabase variables if gift card processing might be needed
   // (We don't fail here since gift cards are optional, but we'll log a warning)
   if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SECRET_KEY) {
-    console.warn('Supabase environment variables not set. Gift card processing will fail if gift cards are purchased.');
-  }
-
-  if (!process.env.WEBFLOW_RETREAT_PASSES_CATEGORY_ID || !process.env.WEBFLOW_RETREAT_ACCOMMODATIONS_CATEGORY_ID) {
-    console.warn('Retreat category environment variables not set. Retreat product detection will be disabled.');
+    console.warn('Supabase environment variables not set. Line items cannot be claimed in the processing ledger and will fail.');
   }
 }
 
@@ -68,7 +85,7 @@ function validateEnvironment() {
  */
 function validateWebhookPayload(payload) {
   if (!payload || typeof payload !== 'object') {
-    throw new Error('Invalid payload format');
+    throw new InvalidPayloadError('Invalid payload format');
   }
   
   const orderData = payload.payload || payload;
@@ -76,37 +93,186 @@ function validateWebhookPayload(payload) {
   // Check for customer email - Webflow uses customerInfo (not customer)
   const customerEmail = orderData.customerInfo?.email || orderData.customer?.email;
   if (!customerEmail || !customerEmail.includes('@')) {
-    throw new Error('Invalid or missing customer email');
+    throw new InvalidPayloadError('Invalid or missing customer email');
   }
   
   // Check for line items - Webflow uses purchasedItems (not lineItems)
   const lineItems = orderData.purchasedItems || orderData.lineItems || [];
   if (!Array.isArray(lineItems) || lineItems.length === 0) {
-    throw new Error('No items in order');
+    throw new InvalidPayloadError('No items in order');
   }
   
   return { customerEmail, lineItems, orderData };
 }
 
 /**
- * Check if an order has already been processed
+ * Check if a line item has already been processed.
+ * Claims it in the processing ledger; returns true when it already succeeded
+ * or another instance is processing it right now.
+ */
+async function isAlreadyProcessed(idempotencyKey, { orderId, productId, customerEmail }) {
+  const claim = await withBackoff(() =>
+    claimLineItem({ idempotencyKey, orderId, productId, customerEmail })
+  );
+  return !claim.claimed;
+}
+
+/**
+ * Mark a claimed line item as processed
+ */
+async function markAsProcessed(idempotencyKey, result, lineItem) {
+  await withBackoff(() =>
+    completeLineItem(idempotencyKey, result, {
+      productName: lineItem?.productName || lineItem?.name,
+      quantity: lineItem?.count || lineItem?.quantity
+    })
+  );
+}
+
+/**
+ * Result for a line item whose email went to a suppressed address.
+ * Not an error: retrying can't help, and for gift cards a retry would assign
+ * another code. The suppressed send is already in email_log as 'failed'.
  */
-function isAlreadyProcessed(idempotencyKey) {
-  return processedOrders.has(idempotencyKey);
+function suppressedResult(lineItem, error, type) {
+  return {
+    productId: lineItem.productId,
+    status: 'skipped',
+    type,
+    reason: error.message
+  };
 }
 
 /**
- * Mark an order as processed
+ * Mark a claimed line item as failed so a webhook retry can pick it up again
  */
-function markAsProcessed(idempotencyKey, result) {
-  if (processedOrders.size >= MAX_CACHE_SIZE) {
-    const firstKey = processedOrders.keys().next().value;
-    processedOrders.delete(firstKey);
+async function markAsFailed(idempotencyKey, result) {
+  try {
+    await withBackoff(() => failLineItem(idempotencyKey, result?.error, result));
+  } catch (error) {
+    // The claim goes stale and becomes claimable again after a while anyway.
+    console.error(`Failed to mark line item ${idempotencyKey.substring(0, 8)}... as failed:`, error.message);
   }
-  
-  processedOrders.set(idempotencyKey, {
+}
+
+/**
+ * The line item's result once its email went out. A failure in the handler's
+ * finish() (guest copies, reminders) doesn't fail the line item: that would
+ * release it for a retry, which sends the email again.
+ */
+async function finishSentItem(item, context) {
+  try {
+    return await getProductHandler(item.type).finish(item, context);
+  } catch (error) {
+    console.error(`[${context.requestId}] Error finishing line item ${item.lineItem.productId} (email already sent):`, error.message);
+    return {
+      productId: item.lineItem.productId,
+      status: 'success',
+      type: item.type,
+      emailSent: true,
+      finishError: error.message
+    };
+  }
+}
+
+/**
+ * Send the booking emails held back for a consolidated order email: one email
+ * for all of them, or the item's own email when it's the only one. As in the
+ * line item loop, each item ends up processed, skipped (suppressed recipient)
+ * or failed for a retry.
+ *
+ * @param {Array<{item: Object, context: Object}>} entries - as passed to
+ *   context.deliver(), with the line item's context
+ */
+async function sendDeferredItems(entries, { requestId, orderId, customerEmail, results }) {
+  const fail = async ({ item }, error) => {
+    const result = { productId: item.lineItem.productId, status: 'error', error: error.message };
+    results.push(result);
+    await markAsFailed(item.idempotencyKey, result);
+  };
+
+  try {
+    if (entries.length === 1) {
+      const [{ item, context }] = entries;
+      await getProductHandler(item.type).sendEmail(item, context);
+    } else {
+      const items = entries.map(entry => entry.item);
+      await sendConsolidatedEmail({ email: customerEmail, customerData: items[0].customerData, items });
+      console.log(`[${requestId}] 📦 Sent one email for ${items.length} items of order ${orderId}`);
+    }
+  } catch (error) {
+    if (!(error instanceof EmailSuppressedError)) {
+      console.error(`[${requestId}] Error sending the order email for ${orderId}:`, error.message);
+      for (const entry of entries) await fail(entry, error);
+      return;
+    }
+    console.warn(`[${requestId}] 🚫 ${error.message}`);
+    for (const entry of entries) {
+      try {
+        const result = suppressedResult(entry.item.lineItem, error, entry.item.type);
+        await markAsProcessed(entry.item.idempotencyKey, result, entry.item.lineItem);
+        results.push(result);
+      } catch (markError) {
+        await fail(entry, markError);
+      }
+    }
+    return;
+  }
+
+  for (const entry of entries) {
+    const { item, context } = entry;
+    const result = await finishSentItem(item, context);
+    try {
+      await markAsProcessed(item.idempotencyKey, result, item.lineItem);
+      results.push(result);
+    } catch (error) {
+      console.error(`[${requestId}] Error recording line item ${item.lineItem.productId}:`, error.message);
+      await fail(entry, error);
+    }
+  }
+}
+
+/**
+ * Handle an ecomm_order_changed webhook: a refunded or disputed-and-lost order
+ * is undone (see lib/refunds.js); any other change needs nothing.
+ */
+async function handleOrderChanged(payload, { requestId, startTime, res }) {
+  const orderData = payload.payload || payload;
+  const orderId = orderData.orderId || orderData.id;
+  if (!orderId) {
+    throw new InvalidPayloadError('Missing order id in order change');
+  }
+
+  if (!isOrderCancelled(orderData)) {
+    console.log(`[${requestId}] Order ${orderId} changed (status: ${orderData.status || 'unknown'}); nothing to undo`);
+    return res.status(200).json({
+      success: true,
+      orderId,
+      ignored: true,
+      status: orderData.status || null
+    });
+  }
+
+  const refund = await refundOrder({
+    orderId,
+    webflowStatus: orderData.status,
+    orderData,
+    triggerType: payload.triggerType
+  });
+
+  if (refund.handled) {
+    console.log(`[${requestId}] ↩️ Order ${orderId} ${orderData.status}: voided ${refund.voidedCodes} gift card code(s), released ${refund.releasedSeats} seat(s), refund email ${refund.emailStatus || 'off'}`);
+  } else {
+    console.log(`[${requestId}] Refund of order ${orderId} already handled`);
+  }
+
+  return res.status(200).json({
+    success: true,
+    orderId,
+    status: orderData.status,
+    refund,
     processedAt: new Date().toISOString(),
-    result: result
+    processingTimeMs: Date.now() - startTime
   });
 }
 
@@ -191,6 +357,14 @@ module.exports = async function handler(req, res) {
       console.error(`[${requestId}] Failed to parse webhook payload:`, parseError);
       return res.status(400).json({ error: 'Invalid JSON payload' });
     }
+
+    if (payload?.triggerType === ORDER_CHANGED_TRIGGER) {
+      return await handleOrderChanged(payload, { requestId, startTime, res });
+    }
+    if (payload?.triggerType && payload.triggerType !== NEW_ORDER_TRIGGER) {
+      console.log(`[${requestId}] Ignoring ${payload.triggerType} webhook`);
+      return res.status(200).json({ success: true, ignored: true, triggerType: payload.triggerType });
+    }
     if (isDebugMode) {
       console.log(`[${requestId}] Validating webhook payload`);
     }
@@ -217,9 +391,24 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    await recordOrder({
+      orderId,
+      customerEmail,
+      triggerType: payload.triggerType,
+      lineItemCount: lineItems.length,
+      payload: orderData
+    });
+
     const results = [];
-    
+    const consolidate = isConsolidatedMode();
+    const deferred = [];
+
     for (const lineItem of lineItems) {
+      const resultsBefore = results.length;
+      let idempotencyKey;
+      let claimed = false;
+      let handler = null;
+
       if (isDebugMode) {
         console.log(`[${requestId}] Processing line item`, {
           productId: lineItem.productId,
@@ -229,7 +418,7 @@ module.exports = async function handler(req, res) {
       }
       
       try {
-        const idempotencyKey = crypto
+        idempotencyKey = crypto
           .createHash('sha256')
           .update(`${orderId}-${customerEmail}-${lineItem.productId}`)
           .digest('hex');
@@ -238,7 +427,7 @@ module.exports = async function handler(req, res) {
           console.log(`[${requestId}] Generated idempotency key: ${idempotencyKey.substring(0, 8)}...`);
         }
 
-        if (isAlreadyProcessed(idempotencyKey)) {
+        if (await isAlreadyProcessed(idempotencyKey, { orderId, productId: lineItem.productId, customerEmail })) {
           if (isDebugMode) {
             console.log(`[${requestId}] Order ${orderId} already processed, skipping`);
           }
@@ -249,535 +438,105 @@ module.exports = async function handler(req, res) {
           });
           continue;
         }
-        if (isDebugMode) {
-          console.log(`[${requestId}] Fetching product data from Webflow`, {
-            productId: lineItem.productId
-          });
-        }
-        
-        const productResponse = await withBackoff(() => 
-          require('../../lib/webflow.js').getProduct(process.env.WEBFLOW_SITE_ID, lineItem.productId)
+        claimed = true;
+
+        const productResponse = await withBackoff(() =>
+          getProduct(process.env.WEBFLOW_SITE_ID, lineItem.productId)
         );
-        
-        if (isDebugMode) {
-          console.log(`[${requestId}] Product data fetched`, {
-            productId: lineItem.productId,
-            productName: productResponse.product?.name,
-            hasProduct: !!productResponse.product,
-            isWorkshop: isWorkshopProduct(productResponse.product)
-          });
-        }
-        
-        // Check product type — retreat must be checked before workshop
-        // because the legacy early bird retreat product has Service type
-        const isRetreat = isRetreatProduct(productResponse.product);
-        const isWorkshop = !isRetreat && isWorkshopProduct(productResponse.product);
-        const isGiftCard = isGiftCardProduct(productResponse.product);
+        const product = productResponse.product;
+        handler = await findProductHandler(product, { skus: productResponse.skus });
 
         console.log(`[${requestId}] Product check:`, {
           productId: lineItem.productId,
-          productName: productResponse.product?.name,
-          isRetreat,
-          isWorkshop,
-          isGiftCard,
-          categories: productResponse.product?.fieldData?.category
+          productName: product?.name,
+          handler: handler?.type || null,
+          categories: product?.fieldData?.category
         });
 
-        if (!isRetreat && !isWorkshop && !isGiftCard) {
-          console.log(`[${requestId}] ⏭️  Skipping product - not a retreat, workshop, or gift card`);
-          results.push({
-            productId: lineItem.productId,
-            status: 'skipped',
-            reason: 'Not a retreat, workshop, or gift card product'
-          });
-          continue;
-        }
-
-        // Process retreat (pass or accommodation)
-        if (isRetreat) {
-          console.log(`[${requestId}] 🏕️ Retreat product detected, fetching details...`);
-
-          const guidelines = await withBackoff(() =>
-            resolveGuidelines(process.env.WEBFLOW_SITE_ID, {
-              productId: lineItem.productId
-            })
-          );
-
-          if (!guidelines) {
-            console.error(`[${requestId}] No content found for retreat product ${lineItem.productId}`);
-            results.push({
-              productId: lineItem.productId,
-              status: 'error',
-              error: 'No content found for retreat product'
-            });
-            continue;
-          }
-
-          const retreatData = {
-            name: guidelines.name || lineItem.productName || lineItem.name,
-            guidelinesHtml: guidelines.guidelinesHtml || 'Retreat details coming soon...'
-          };
-
-          const customerData = {
-            customerName: orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName || 'Retreat Guest',
-            orderId: orderId
-          };
-
-          const retreatEmailResult = await withBackoff(() =>
-            sendRetreatEmail({
-              email: customerEmail,
-              retreatData,
-              customerData
-            })
-          );
-
-          await logEmail({
-            emailType: 'retreat',
-            toEmail: customerEmail,
-            subject: `Retreat Details: ${retreatData.name}`,
-            resendMessageId: resendMessageId(retreatEmailResult),
-            webflowOrderId: orderId,
-            productId: lineItem.productId,
-            html: createRetreatEmailTemplate(retreatData, customerData),
-            payload: {
-              productId: lineItem.productId,
-              orderId,
-              customerName: customerData.customerName,
-              name: retreatData.name
-            }
-          });
-
+        if (!handler) {
+          console.log(`[${requestId}] ⏭️  Skipping product - not one of: ${listProductTypes().join(', ')}`);
           const result = {
             productId: lineItem.productId,
-            status: 'success',
-            type: 'retreat',
-            retreatName: retreatData.name,
-            emailSent: true
+            status: 'skipped',
+            reason: 'No handler for this product type'
           };
-
-          markAsProcessed(idempotencyKey, result);
+          await markAsProcessed(idempotencyKey, result, lineItem);
           results.push(result);
-
-          console.log(`Successfully sent retreat email for ${retreatData.name}`);
           continue;
         }
 
-        // Process gift card
-        if (isGiftCard) {
-          // Log full lineItem structure to debug
-          console.log(`[${requestId}] 🎁 Gift card detected! Full lineItem structure:`, JSON.stringify(lineItem, null, 2));
-          
-          // Get quantity - Webflow uses 'count' field (not 'quantity')
-          const quantity = lineItem.count || lineItem.quantity || lineItem.qty || 1;
-          
-          console.log(`[${requestId}] 🎁 Gift card detected! Processing gift card product`, {
-            productId: lineItem.productId,
-            productName: productResponse.product?.name,
-            quantity: quantity,
-            rawCount: lineItem.count,
-            rawQuantity: lineItem.quantity
-          });
-          
-          try {
-            // Get gift card product mapping
-            console.log(`[${requestId}] Looking up gift card product mapping for ${lineItem.productId}`);
-            const giftCardProduct = await getGiftCardProduct(lineItem.productId);
-            
-            if (!giftCardProduct) {
-              console.error(`[${requestId}] ❌ No gift card product mapping found for product ${lineItem.productId}`);
-              results.push({
-                productId: lineItem.productId,
-                status: 'error',
-                error: 'Gift card product not configured in database'
-              });
-              continue;
-            }
-
-            const amountCents = giftCardProduct.amount_cents;
-            const amountDisplay = `$${(amountCents / 100).toFixed(2)}`;
-            
-            console.log(`[${requestId}] ✅ Found gift card mapping: ${amountDisplay} (${amountCents} cents)`);
-            console.log(`[${requestId}] Processing ${quantity} gift card(s)...`);
-
-            // Look up recipient info from database once (stored via product page form)
-            // This is the primary method since Webflow checkout doesn't support custom fields
-            let storedRecipientInfo = null;
-            try {
-              storedRecipientInfo = await getGiftCardRecipientInfo({
-                purchaserEmail: customerEmail,
-                productId: lineItem.productId
-              });
-              if (storedRecipientInfo) {
-                console.log(`[${requestId}] ✅ Found stored recipient info for purchaser ${customerEmail}`);
-              }
-            } catch (error) {
-              console.warn(`[${requestId}] ⚠️ Error looking up recipient info:`, error.message);
-              // Continue processing even if lookup fails
-            }
-
-            // Extract gift message and recipient info from order
-            // Priority: stored recipient info > order customFields > order notes
-            const giftMessage =
-              storedRecipientInfo?.message ||
-              orderData.customFields?.giftMessage ||
-              orderData.customFields?.['gift-message'] ||
-              orderData.customFields?.['gift_message'] ||
-              orderData.notes?.giftMessage ||
-              (typeof orderData.notes === 'string' ? orderData.notes : null) ||
-              lineItem.customFields?.giftMessage ||
-              lineItem.customFields?.['gift-message'] ||
-              orderData.metadata?.giftMessage ||
-              null;
-
-            const recipientName =
-              storedRecipientInfo?.recipient_name ||
-              orderData.customFields?.recipientName ||
-              orderData.customFields?.['recipient-name'] ||
-              orderData.customFields?.['recipient_name'] ||
-              orderData.customFields?.recipient ||
-              null;
-
-            const recipientEmail =
-              storedRecipientInfo?.recipient_email ||
-              orderData.customFields?.recipientEmail ||
-              orderData.customFields?.['recipient-email'] ||
-              orderData.customFields?.['recipient_email'] ||
-              null;
-
-            if (giftMessage) {
-              console.log(`[${requestId}] 📝 Gift message found: ${giftMessage.substring(0, 50)}...`);
-            }
-            if (recipientName) {
-              console.log(`[${requestId}] 👤 Recipient name found: ${recipientName}`);
-            }
-            if (recipientEmail) {
-              console.log(`[${requestId}] 📧 Recipient email found: ${recipientEmail}`);
+        const context = {
+          requestId,
+          orderId,
+          orderData,
+          customerEmail,
+          lineItem,
+          product,
+          idempotencyKey,
+          results,
+          deliver: async (item) => {
+            if (consolidate) {
+              // Sent with the order's other booking emails after the loop.
+              deferred.push({ item, context });
+              return null;
             }
-
-            // Process each quantity unit
-            for (let i = 0; i < quantity; i++) {
-              console.log(`[${requestId}] Processing gift card ${i + 1}/${quantity} for ${amountDisplay}`);
-
-              // Atomically assign unused code (prevents race conditions)
-              console.log(`[${requestId}] Atomically assigning unused gift card code for ${amountDisplay}...`);
-              let giftCardCode;
-              try {
-                giftCardCode = await withBackoff(() => 
-                  assignUnusedGiftCardCodeAtomically({
-                    amountCents,
-                    order: { orderId, id: orderId },
-                    purchaser: { email: customerEmail },
-                    recipient: giftMessage || recipientName || recipientEmail ? {
-                      email: recipientEmail,
-                      name: recipientName,
-                      message: giftMessage
-                    } : null
-                  })
-                );
-                console.log(`[${requestId}] ✅ Atomically assigned code: ...${giftCardCode.code.slice(-4)} (ID: ${giftCardCode.id})`);
-              } catch (error) {
-                if (error.message && error.message.includes('No unused gift card codes available')) {
-                  console.error(`[${requestId}] ❌ No unused gift card codes available for ${amountDisplay}`);
-                  results.push({
-                    productId: lineItem.productId,
-                    status: 'error',
-                    error: `No unused gift card codes available for ${amountDisplay}`,
-                    quantity: i + 1
-                  });
-                  // Alert: Consider sending an internal notification email here
-                  continue;
-                }
-                throw error;
-              }
-
-              // Send gift card email to purchaser
-              // Use message from database (if stored) or from order data
-              const emailMessage = giftCardCode.message || giftMessage;
-              const emailRecipientName = giftCardCode.recipient_name || recipientName || orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName;
-              
-              console.log(`[${requestId}] 📧 Sending gift card email to purchaser ${customerEmail} for ${amountDisplay}...`);
-              if (emailMessage) {
-                console.log(`[${requestId}] 📝 Including gift message in email`);
-              }
-              const purchaserEmailResult = await withBackoff(() => 
-                sendGiftCardEmail({
-                  to: customerEmail,
-                  recipientName: emailRecipientName,
-                  amountDisplay,
-                  code: giftCardCode.code,
-                  message: emailMessage,
-                  shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
-                  isRecipient: false // This is the purchaser email
-                })
-              );
-
-              console.log(`[${requestId}] ✅ Gift card email sent to purchaser successfully`, {
-                email: customerEmail,
-                amount: amountDisplay,
-                resendId: purchaserEmailResult?.id || 'unknown'
-              });
-
-              await logEmail({
-                emailType: 'gift_card',
-                toEmail: customerEmail,
-                recipientRole: 'purchaser',
-                subject: `Your ${amountDisplay} Gift Card from Katie Ann Clay`,
-                resendMessageId: resendMessageId(purchaserEmailResult),
-                webflowOrderId: orderId,
-                productId: lineItem.productId,
-                giftCardCodeId: giftCardCode.id,
-                amountCents,
-                html: createGiftCardEmailTemplate({
-                  recipientName: emailRecipientName || null,
-                  amountDisplay,
-                  code: giftCardCode.code,
-                  message: emailMessage || null,
-                  shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
-                  isRecipient: false
-                }),
-                payload: {
-                  code: giftCardCode.code,
-                  amountCents,
-                  recipientName: emailRecipientName || null,
-                  message: emailMessage || null,
-                  isRecipient: false
-                }
-              });
-
-              // Also send email to recipient if recipient email is provided
-              if (recipientEmail && recipientEmail !== customerEmail) {
-                console.log(`[${requestId}] 📧 Sending gift card email to recipient ${recipientEmail} for ${amountDisplay}...`);
-                try {
-                  const recipientEmailResult = await withBackoff(() => 
-                    sendGiftCardEmail({
-                      to: recipientEmail,
-                      recipientName: recipientName || 'Friend',
-                      amountDisplay,
-                      code: giftCardCode.code,
-                      message: emailMessage,
-                      shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
-                      isRecipient: true // This is the recipient email
-                    })
-                  );
-
-                  console.log(`[${requestId}] ✅ Gift card email sent to recipient successfully`, {
-                    email: recipientEmail,
-                    amount: amountDisplay,
-                    resendId: recipientEmailResult?.id || 'unknown'
-                  });
-
-                  await logEmail({
-                    emailType: 'gift_card',
-                    toEmail: recipientEmail,
-                    recipientRole: 'recipient',
-                    subject: `You've received a ${amountDisplay} Gift Card from Katie Ann Clay!`,
-                    resendMessageId: resendMessageId(recipientEmailResult),
-                    webflowOrderId: orderId,
-                    productId: lineItem.productId,
-                    giftCardCodeId: giftCardCode.id,
-                    amountCents,
-                    html: createGiftCardEmailTemplate({
-                      recipientName: recipientName || 'Friend',
-                      amountDisplay,
-                      code: giftCardCode.code,
-                      message: emailMessage || null,
-                      shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
-                      isRecipient: true
-                    }),
-                    payload: {
-                      code: giftCardCode.code,
-                      amountCents,
-                      recipientName: recipientName || 'Friend',
-                      message: emailMessage || null,
-                      isRecipient: true
-                    }
-                  });
-                } catch (recipientError) {
-                  console.error(`[${requestId}] ❌ Failed to send email to recipient ${recipientEmail}:`, recipientError);
-                  // Don't fail the entire process if recipient email fails
-                  // Purchaser email was already sent successfully
-                }
-              } else if (recipientEmail === customerEmail) {
-                console.log(`[${requestId}] ℹ️ Recipient email same as purchaser, skipping duplicate email`);
-              }
-
-              // Mark as sent
-              console.log(`[${requestId}] Marking code as sent in database...`);
-              await withBackoff(() => 
-                markGiftCardSent({ codeId: giftCardCode.id })
-              );
-
-              console.log(`[${requestId}] ✅ Successfully completed gift card ${amountDisplay} (code: ...${giftCardCode.code.slice(-4)})`);
-            }
-
-            // Consume recipient info so it's not reused for future orders
-            if (storedRecipientInfo?.id) {
-              try {
-                await consumeGiftCardRecipientInfo(storedRecipientInfo.id);
-                console.log(`[${requestId}] 🗑️ Consumed recipient info record ${storedRecipientInfo.id}`);
-              } catch (error) {
-                console.warn(`[${requestId}] ⚠️ Failed to consume recipient info:`, error.message);
-              }
-            }
-
-            const result = {
-              productId: lineItem.productId,
-              status: 'success',
-              type: 'gift_card',
-              amount: amountDisplay,
-              quantity: quantity,
-              emailsSent: quantity
-            };
-            
-            markAsProcessed(idempotencyKey, result);
-            results.push(result);
-            continue;
-
-          } catch (error) {
-            console.error(`[${requestId}] Error processing gift card:`, {
-              error: error.message,
-              stack: error.stack,
-              productId: lineItem.productId,
-              orderId
-            });
-            results.push({
-              productId: lineItem.productId,
-              status: 'error',
-              type: 'gift_card',
-              error: error.message
-            });
-            // Don't throw - allow other line items to process
-            continue;
+            await handler.sendEmail(item, context);
+            return finishSentItem(item, context);
           }
-        }
-
-        if (isDebugMode) {
-          console.log(`[${requestId}] Fetching workshop guidelines`, {
-            productId: lineItem.productId
-          });
-        }
-        
-        const guidelines = await withBackoff(() => 
-          resolveGuidelines(process.env.WEBFLOW_SITE_ID, {
-            productId: lineItem.productId
-          })
-        );
-
-        if (isDebugMode) {
-          console.log(`[${requestId}] Guidelines fetched`, {
-            productId: lineItem.productId,
-            hasGuidelines: !!guidelines,
-            guidelinesKeys: guidelines ? Object.keys(guidelines) : []
-          });
-        }
-
-        if (!guidelines) {
-          console.error(`[${requestId}] No guidelines found for product ${lineItem.productId}`);
-          results.push({
-            productId: lineItem.productId,
-            status: 'error',
-            error: 'No guidelines found for workshop'
-          });
-          continue;
-        }
-
-        const workshopData = {
-          name: guidelines.name || lineItem.productName || lineItem.name,
-          date: guidelines.date || 'TBD',
-          location: guidelines.location || 'TBD',
-          guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...',
-          duration: guidelines.duration,
-          whatToBring: guidelines.whatToBring,
-          parking: guidelines.parking,
-          reschedulePolicy: guidelines.reschedulePolicy,
-          faq: guidelines.faq
         };
 
-        if (isDebugMode) {
-          console.log(`[${requestId}] Workshop data prepared`, {
-            name: workshopData.name,
-            date: workshopData.date,
-            location: workshopData.location,
-            hasGuidelinesHtml: !!workshopData.guidelinesHtml
-          });
-        }
-
-        const customerData = {
-          customerName: orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName || 'Workshop Participant',
-          orderId: orderId
-        };
-
-        if (isDebugMode) {
-          console.log(`[${requestId}] Customer data prepared`, {
-            customerName: customerData.customerName,
-            orderId: customerData.orderId
-          });
-        }
-
-        if (isDebugMode) {
-          console.log(`[${requestId}] Sending workshop email`, {
-            email: customerEmail?.substring(0, 3) + '***@' + customerEmail?.split('@')[1],
-            workshopName: workshopData.name,
-            hasTemplateId: !!process.env.RESEND_TEMPLATE_ID
-          });
-        }
-        
-        const workshopEmailResult = await withBackoff(() =>
-          sendWorkshopEmail({
-            email: customerEmail,
-            workshopData,
-            customerData,
-            templateId: process.env.RESEND_TEMPLATE_ID
-          })
-        );
-
-        await logEmail({
-          emailType: 'workshop',
-          toEmail: customerEmail,
-          subject: `Workshop Details: ${workshopData.name}`,
-          resendMessageId: resendMessageId(workshopEmailResult),
-          webflowOrderId: orderId,
-          productId: lineItem.productId,
-          html: createWorkshopEmailTemplate(workshopData, customerData),
-          payload: {
-            productId: lineItem.productId,
-            orderId,
-            customerName: customerData.customerName,
-            name: workshopData.name
-          }
-        });
-
-        if (isDebugMode) {
-          console.log(`[${requestId}] Workshop email sent successfully`);
+        const result = await handler.process(context);
+        if (!result) continue;
+        if (result.status === 'error') {
+          results.push(result);
+          continue;
         }
 
-        const result = {
-          productId: lineItem.productId,
-          status: 'success',
-          workshopName: workshopData.name,
-          emailSent: true
-        };
-        
-        markAsProcessed(idempotencyKey, result);
+        await markAsProcessed(idempotencyKey, result, lineItem);
         results.push(result);
 
-        console.log(`Successfully sent workshop email for ${workshopData.name}`);
-
       } catch (error) {
+        let failure = error;
+        if (error instanceof EmailSuppressedError) {
+          console.warn(`[${requestId}] 🚫 ${error.message}`);
+          const result = suppressedResult(lineItem, error, handler?.type);
+          try {
+            await markAsProcessed(idempotencyKey, result, lineItem);
+            results.push(result);
+            continue;
+          } catch (markError) {
+            // Recorded as an error below, so the claim is released and the
+            // order's other line items still get processed.
+            failure = markError;
+          }
+        }
         console.error(`[${requestId}] Error processing line item ${lineItem.productId}:`, {
-          error: error.message,
-          stack: error.stack,
+          error: failure.message,
+          stack: failure.stack,
           productId: lineItem.productId,
           orderId
         });
         results.push({
           productId: lineItem.productId,
           status: 'error',
-          error: error.message
+          type: handler?.type,
+          error: failure.message
         });
+      } finally {
+        // Anything that ended in an error releases its claim for a retry.
+        const outcome = results.length > resultsBefore ? results[results.length - 1] : null;
+        if (claimed && outcome?.status === 'error') {
+          await markAsFailed(idempotencyKey, outcome);
+        }
       }
     }
 
+    if (deferred.length) {
+      await sendDeferredItems(deferred, { requestId, orderId, customerEmail, results });
+    }
+
+    const orderStatus = await finishOrder(orderId, results);
+
     const processingTime = Date.now() - startTime;
     const successCount = results.filter(r => r.status === 'success').length;
     const errorCount = results.filter(r => r.status === 'error').length;
@@ -785,6 +544,7 @@ module.exports = async function handler(req, res) {
 
     console.log(`[${requestId}] Order processing completed`, {
       orderId,
+      orderStatus,
       processingTimeMs: processingTime,
       results: {
         total: results.length,
@@ -804,8 +564,10 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    res.status(200).json({
-      success: true,
+    // A failed line item has released its claim; a 5xx makes Webflow deliver
+    // the webhook again, and the retry only processes what didn't succeed.
+    res.status(errorCount > 0 ? 500 : 200).json({
+      success: errorCount === 0,
       orderId,
       customerEmail,
       results,
@@ -823,7 +585,7 @@ module.exports = async function handler(req, res) {
       orderId: req.body?.payload?.orderId || req.body?.payload?.id || 'unknown'
     });
     
-    const isValidationError = error.message.includes('Invalid') || error.message.includes('Missing');
+    const isValidationError = error instanceof InvalidPayloadError || error.message.includes('Invalid') || error.message.includes('Missing');
     const errorMessage = isValidationError ? error.message : 'Internal processing error';
     
     console.log(`[${requestId}] Returning error response`, {
@@ -831,7 +593,9 @@ module.exports = async function handler(req, res) {
       isValidationError,
       processingTimeMs: processingTime
     });
-    res.status(200).json({
+    // A malformed payload won't get better on a retry; anything else (the
+    // environment, Supabase, a refund) should be retried by Webflow.
+    res.status(error instanceof InvalidPayloadError ? 200 : 500).json({
       success: false,
       error: errorMessage,
       timestamp: new Date().toISOString(),
@@ -0,0 +1,85 @@
+/**
+ * API endpoint for naming the other people on a multi-seat workshop booking
+ * Called from the workshop product page form before checkout
+ * Stores the guests until the order webhook arrives and emails each of them
+ */
+
+const { storeGuests, MAX_GUESTS } = require('../../lib/guests.js');
+const { isValidEmail, getClientIP, createRateLimiter } = require('../../lib/util.js');
+
+// Simple rate limiting: 10 requests per minute per IP
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, max: 10 });
+
+module.exports = async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Rate limiting
+    const clientIP = getClientIP(req);
+    if (!checkRateLimit(clientIP)) {
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    // Validate request body
+    const { sessionId, purchaserEmail, productId, guests } = req.body || {};
+
+    // Required fields
+    if (!sessionId || !purchaserEmail || !productId || !Array.isArray(guests) || !guests.length) {
+      return res.status(400).json({
+        error: 'Missing required fields: sessionId, purchaserEmail, productId and guests are required'
+      });
+    }
+
+    if (guests.length > MAX_GUESTS) {
+      return res.status(400).json({
+        error: `No more than ${MAX_GUESTS} guests can be added to one booking`
+      });
+    }
+
+    // Validate email format
+    if (!isValidEmail(String(purchaserEmail).trim())) {
+      return res.status(400).json({
+        error: 'Invalid purchaser email format'
+      });
+    }
+
+    const invalid = guests.findIndex(guest => !guest || !isValidEmail(String(guest.email || '').trim()));
+    if (invalid !== -1) {
+      return res.status(400).json({
+        error: `Invalid email format for guest ${invalid + 1}`
+      });
+    }
+
+    // Sanitize inputs (basic sanitization)
+    const sanitizedData = {
+      sessionId: String(sessionId).trim().substring(0, 255),
+      purchaserEmail: String(purchaserEmail).trim().substring(0, 255),
+      productId: String(productId).trim().substring(0, 255),
+      guests: guests.map(guest => ({
+        name: guest.name ? String(guest.name).trim().substring(0, 255) : null,
+        email: String(guest.email).trim().substring(0, 255)
+      }))
+    };
+
+    const stored = await storeGuests(sanitizedData);
+
+    return res.status(200).json({
+      success: true,
+      count: stored.length,
+      message: 'Guest details stored successfully'
+    });
+
+  } catch (error) {
+    console.error('Error storing workshop guests:', error);
+
+    // Don't expose internal error details
+    return res.status(500).json({
+      error: 'Failed to store guest details. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * API endpoint for joining a workshop's waitlist
+ * Called from the workshop product page when the class is full
+ * Waitlisted customers are emailed in signup order when a seat is released
+ */
+
+const { getWorkshopCapacity } = require('../../lib/capacity.js');
+const { getBookedSeats } = require('../../lib/attendees.js');
+const { addToWaitlist } = require('../../lib/waitlist.js');
+const { isValidEmail, getClientIP, createRateLimiter } = require('../../lib/util.js');
+
+// Simple rate limiting: 10 requests per minute per IP
+const checkRateLimit = createRateLimiter({ windowMs: 60 * 1000, max: 10 });
+
+module.exports = async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Rate limiting
+    const clientIP = getClientIP(req);
+    if (!checkRateLimit(clientIP)) {
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    // Validate request body
+    const { productId, email, name } = req.body || {};
+
+    // Required fields
+    if (!productId || !email) {
+      return res.status(400).json({
+        error: 'Missing required fields: productId and email are required'
+      });
+    }
+
+    // Validate email format
+    if (!isValidEmail(String(email).trim())) {
+      return res.status(400).json({
+        error: 'Invalid email format'
+      });
+    }
+
+    // Sanitize inputs (basic sanitization)
+    const sanitizedData = {
+      productId: String(productId).trim().substring(0, 255),
+      email: String(email).trim().substring(0, 255),
+      name: name ? String(name).trim().substring(0, 255) : null
+    };
+
+    // Only workshops with a configured capacity have a waitlist
+    const capacity = await getWorkshopCapacity(sanitizedData.productId);
+    if (!capacity) {
+      return res.status(404).json({
+        error: 'This workshop does not have a waitlist'
+      });
+    }
+
+    const seats = await getBookedSeats(sanitizedData.productId);
+    if (seats < capacity.capacity) {
+      return res.status(409).json({
+        error: 'This workshop still has seats available. Book now to reserve yours!'
+      });
+    }
+
+    const { created } = await addToWaitlist(sanitizedData);
+
+    return res.status(200).json({
+      success: true,
+      message: created
+        ? "You're on the waitlist. We'll email you if a seat opens up."
+        : "You're already on the waitlist. We'll email you if a seat opens up."
+    });
+
+  } catch (error) {
+    console.error('Error joining workshop waitlist:', error);
+
+    // Don't expose internal error details
+    return res.status(500).json({
+      error: 'Failed to join the waitlist. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * Workshop attendee roster.
+ *
+ * The order webhook records one `workshop_attendees` row per workshop line
+ * item (the seats one order booked for one workshop). The dashboard lists
+ * workshops with their counts and shows / exports each roster. A released seat
+ * stays on the roster as 'cancelled' and is no longer counted; a moved booking
+ * (lib/transfers.js) leaves its old roster for the new one.
+ *
+ * Recording is best-effort and never throws (a missing roster row must not
+ * fail an order); the dashboard reads throw so the endpoint can report them.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+const ROSTER_SCOPES = ['upcoming', 'past', 'all'];
+
+const ATTENDEE_STATUSES = ['confirmed', 'cancelled'];
+
+/**
+ * Record (or update, on a webhook retry) the attendee row for a workshop line
+ * item. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.idempotencyKey - order line item key
+ * @param {string} params.orderId
+ * @param {string} params.productId
+ * @param {string} [params.workshopName]
+ * @param {string} [params.eventDate] - workshop date as entered in the CMS
+ * @param {Date} [params.eventStart] - parsed eventDate
+ * @param {Date} [params.eventEnd] - when the workshop ends (getEventTimes())
+ * @param {string} [params.customerName]
+ * @param {string} [params.customerEmail]
+ * @param {number} [params.quantity=1]
+ * @returns {Promise<Object|null>} the attendee row, or null on failure
+ */
+async function recordAttendee({ idempotencyKey, orderId, productId, workshopName, eventDate, eventStart, eventEnd, customerName, customerEmail, quantity = 1 }) {
+  try {
+    const supabase = getSupabaseClient();
+
+    const { data, error } = await supabase
+      .from('workshop_attendees')
+      .upsert({
+        idempotency_key: idempotencyKey,
+        webflow_order_id: orderId,
+        product_id: productId,
+        workshop_name: workshopName || null,
+        event_date: eventDate || null,
+        event_start: eventStart ? eventStart.toISOString() : null,
+        event_end: eventEnd ? eventEnd.toISOString() : null,
+        customer_name: customerName || null,
+        customer_email: customerEmail || null,
+        quantity: Math.max(1, parseInt(quantity, 10) || 1)
+      }, { onConflict: 'idempotency_key' })
+      .select()
+      .single();
+
+    if (error) {
+      console.warn('⚠️ Failed to record workshop attendee:', error.message);
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    console.warn('⚠️ Unexpected error recording workshop attendee:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Workshops with booked seats.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.scope='upcoming'] - 'upcoming' | 'past' | 'all'
+ * @returns {Promise<Object[]>} rows of { product_id, workshop_name, event_date,
+ *   event_start, order_count, seat_count, last_booked_at, capacity,
+ *   waitlist_count }; counts cover confirmed seats only
+ */
+async function listWorkshops({ scope = 'upcoming' } = {}) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase.rpc('list_workshop_rosters', {
+    p_scope: ROSTER_SCOPES.includes(scope) ? scope : 'upcoming'
+  });
+
+  if (error) {
+    console.error('Error listing workshop rosters:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Attendees of one workshop, alphabetically by name.
+ *
+ * @param {string} productId
+ * @returns {Promise<Object[]>} workshop_attendees rows
+ */
+async function getRoster(productId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_attendees')
+    .select('idempotency_key, webflow_order_id, product_id, workshop_name, event_date, event_start, customer_name, customer_email, quantity, status, cancelled_at, cancel_reason, created_at')
+    .eq('product_id', productId)
+    .order('customer_name', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error(`Error loading roster for workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Confirmed seats booked for a workshop.
+ *
+ * @param {string} productId
+ * @returns {Promise<number>}
+ */
+async function getBookedSeats(productId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_attendees')
+    .select('quantity')
+    .eq('product_id', productId)
+    .eq('status', 'confirmed');
+
+  if (error) {
+    console.error(`Error counting seats for workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return (data || []).reduce((sum, row) => sum + (row.quantity || 0), 0);
+}
+
+/**
+ * Cancel a confirmed attendee row, releasing its seats.
+ *
+ * @param {string} idempotencyKey
+ * @param {Object} [options]
+ * @param {string} [options.reason] - e.g. 'released'
+ * @returns {Promise<Object|null>} the cancelled row, or null when it wasn't
+ *   confirmed (already cancelled, or unknown)
+ */
+async function cancelAttendee(idempotencyKey, { reason } = {}) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_attendees')
+    .update({
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      cancel_reason: reason || null
+    })
+    .eq('idempotency_key', idempotencyKey)
+    .eq('status', 'confirmed')
+    .select();
+
+  if (error) {
+    console.error(`Error cancelling attendee ${idempotencyKey.substring(0, 8)}...:`, error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Move a booking to another workshop, if that workshop has enough seats left
+ * for it (move_workshop_attendee(), which checks and moves in one
+ * transaction). The row keeps its line item key, so it leaves the old roster
+ * and joins the new one; a booking made before the roster existed is added
+ * to the new roster.
+ *
+ * @param {string} idempotencyKey
+ * @param {Object} workshop
+ * @param {string} workshop.productId
+ * @param {string} [workshop.workshopName]
+ * @param {string} [workshop.eventDate] - workshop date as entered in the CMS
+ * @param {Date} [workshop.eventStart] - parsed eventDate
+ * @param {Date} [workshop.eventEnd] - when the workshop ends
+ * @param {Object} booking - for a booking not on the roster yet
+ * @param {string} booking.orderId
+ * @param {string} [booking.customerName]
+ * @param {string} [booking.customerEmail]
+ * @param {number} [booking.quantity=1]
+ * @returns {Promise<{result: 'moved'|'full'|'not_confirmed', seatsAvailable: number|null, capacity: number|null}>}
+ *   'full' when the workshop hadn't enough seats (nothing changed),
+ *   'not_confirmed' when the booking was released or cancelled
+ */
+async function moveAttendee(idempotencyKey, { productId, workshopName, eventDate, eventStart, eventEnd }, { orderId, customerName, customerEmail, quantity = 1 }) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase.rpc('move_workshop_attendee', {
+    p_idempotency_key: idempotencyKey,
+    p_product_id: productId,
+    p_workshop_name: workshopName || null,
+    p_event_date: eventDate || null,
+    p_event_start: eventStart ? eventStart.toISOString() : null,
+    p_event_end: eventEnd ? eventEnd.toISOString() : null,
+    p_webflow_order_id: orderId,
+    p_customer_name: customerName || null,
+    p_customer_email: customerEmail || null,
+    p_quantity: Math.max(1, parseInt(quantity, 10) || 1)
+  });
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (error || !row) {
+    console.error(`Error moving attendee ${idempotencyKey.substring(0, 8)}...:`, error || 'no result');
+    throw error || new Error('move_workshop_attendee returned no result');
+  }
+
+  return { result: row.result, seatsAvailable: row.seats_available, capacity: row.capacity };
+}
+
+/**
+ * The attendee row for a line item, or null.
+ *
+ * @param {string} idempotencyKey
+ * @returns {Promise<Object|null>}
+ */
+async function getAttendee(idempotencyKey) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_attendees')
+    .select('*')
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error loading attendee ${idempotencyKey.substring(0, 8)}...:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  ROSTER_SCOPES,
+  ATTENDEE_STATUSES,
+  recordAttendee,
+  listWorkshops,
+  getRoster,
+  getBookedSeats,
+  cancelAttendee,
+  moveAttendee,
+  getAttendee
+};
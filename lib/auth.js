@@ -8,6 +8,7 @@
  * Supabase user is authorized.
  */
 
+const crypto = require('crypto');
 const { getSupabaseClient } = require('./supabase.js');
 
 function getBearerToken(req) {
@@ -61,9 +62,23 @@ async function requireAuth(req, res) {
   return session;
 }
 
+/**
+ * Whether a request comes from the Vercel cron scheduler, which sends
+ * `Authorization: Bearer <CRON_SECRET>`. Always false when CRON_SECRET is unset.
+ */
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const token = getBearerToken(req);
+  if (!secret || !token) return false;
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
 module.exports = {
   getBearerToken,
   getSession,
   requireAuth,
-  isAllowedEmail
+  isAllowedEmail,
+  isCronRequest
 };
@@ -0,0 +1,328 @@
+/**
+ * Calendar events for workshop and retreat emails.
+ *
+ * Builds an event from the resolved CMS date/duration/location, renders it as
+ * an iCalendar (.ics, RFC 5545) attachment and as add-to-calendar links for
+ * Google, Outlook and Apple Calendar.
+ *
+ * The event UID is derived from the order line (order id + product id), so a
+ * resent email carries the same UID with a higher SEQUENCE and calendar apps
+ * update the event they already have instead of adding a second one.
+ *
+ * Apple Calendar has no "add event" URL; its link points at /api/calendar/event,
+ * which serves the same .ics from a signed copy of the event. It is only
+ * offered when MAILER_BASE_URL and CALENDAR_LINK_SECRET are set (Apple Mail
+ * users can always open the attachment).
+ */
+
+const crypto = require('crypto');
+
+const PRODUCT_ID = '-//Katie Ann Clay//Mailer//EN';
+const DEFAULT_UID_DOMAIN = 'katieannclay.com';
+
+// Timed events without a parseable duration are assumed to last this long.
+const DEFAULT_DURATION_MINUTES = 120;
+
+// RFC 5545 lines are folded at 75 octets.
+const MAX_LINE_OCTETS = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date-only ("2026-03-07") or date-time value.
+ *
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+function parseEventDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const raw = String(value).trim();
+  const allDay = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+  const date = new Date(allDay ? `${raw}T00:00:00Z` : raw);
+  if (Number.isNaN(date.getTime())) return null;
+  return { date, allDay };
+}
+
+/**
+ * Minutes in a free-text duration such as "3 hours", "2.5 hrs", "1h 30m",
+ * "90 minutes" or "2 days". Returns null when none can be read.
+ */
+function parseDurationMinutes(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  let minutes = 0;
+  let matched = false;
+
+  const units = [
+    [/(\d+(?:\.\d+)?)\s*(?:d|days?)\b/, 24 * 60],
+    [/(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\b/, 60],
+    [/(\d+(?:\.\d+)?)\s*(?:m|mins?|minutes?)\b/, 1]
+  ];
+  for (const [pattern, factor] of units) {
+    const match = pattern.exec(text);
+    if (match) {
+      minutes += parseFloat(match[1]) * factor;
+      matched = true;
+    }
+  }
+
+  return matched && minutes > 0 ? Math.round(minutes) : null;
+}
+
+/**
+ * Stable UID for an order line's event.
+ */
+function eventUid(orderId, productId) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${orderId}-${productId}`)
+    .digest('hex')
+    .substring(0, 32);
+  const fromDomain = String(process.env.RESEND_FROM_EMAIL || '').split('@')[1];
+  return `${hash}@${fromDomain || DEFAULT_UID_DOMAIN}`;
+}
+
+/**
+ * Start and end of an event from its CMS fields. Returns null when there is no
+ * usable start date.
+ *
+ * All-day events (date-only start) run through `endDate` inclusive, or for the
+ * number of whole days in `duration`, or one day. Timed events end at
+ * `endDate`, or after `duration`, or after DEFAULT_DURATION_MINUTES.
+ *
+ * @param {Object} params
+ * @param {string} params.date - start date or date-time
+ * @param {string} [params.endDate] - last day / end date-time
+ * @param {string} [params.duration] - free text, e.g. "3 hours"
+ * @returns {{start: Date, end: Date, allDay: boolean}|null} end is exclusive
+ *   for all-day events
+ */
+function getEventTimes({ date, endDate, duration }) {
+  const start = parseEventDate(date);
+  if (!start) return null;
+
+  const end = parseEventDate(endDate);
+  const durationMinutes = parseDurationMinutes(duration);
+  let endTime;
+
+  if (start.allDay) {
+    const days = end && end.date >= start.date
+      ? Math.round((end.date - start.date) / DAY_MS) + 1
+      : Math.max(1, Math.ceil((durationMinutes || 0) / (24 * 60)));
+    endTime = new Date(start.date.getTime() + days * DAY_MS);
+  } else if (end && !end.allDay && end.date > start.date) {
+    endTime = end.date;
+  } else if (end && end.allDay && end.date >= start.date) {
+    // Timed start with a date-only end: until the end of that day.
+    endTime = new Date(end.date.getTime() + DAY_MS);
+  } else {
+    endTime = new Date(start.date.getTime() + (durationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+  }
+
+  return { start: start.date, end: endTime, allDay: start.allDay };
+}
+
+/**
+ * Build a calendar event (timing as in getEventTimes()). Returns null when
+ * there is no usable start date.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.productId
+ * @param {string} params.title
+ * @param {string} params.date - start date or date-time
+ * @param {string} [params.endDate] - last day / end date-time (retreats)
+ * @param {string} [params.duration] - free text, e.g. "3 hours"
+ * @param {string} [params.location] - plain text
+ * @param {string} [params.description] - plain text
+ * @returns {Object|null} `{ uid, title, start, end, allDay, location, description }`
+ *   with ISO start/end (end exclusive for all-day events)
+ */
+function buildCalendarEvent({ orderId, productId, title, date, endDate, duration, location, description }) {
+  const times = getEventTimes({ date, endDate, duration });
+  if (!times || !orderId || !productId) return null;
+
+  return {
+    uid: eventUid(orderId, productId),
+    title: String(title || '').trim(),
+    start: times.start.toISOString(),
+    end: times.end.toISOString(),
+    allDay: times.allDay,
+    location: location ? String(location).trim() : '',
+    description: description ? String(description).trim() : ''
+  };
+}
+
+// 20260307T160000Z
+function formatUtc(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// 20260307
+function formatDate(iso) {
+  return iso.substring(0, 10).replace(/-/g, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      // Continuation lines start with a space, which counts toward the limit.
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Render an event as an iCalendar document (METHOD:PUBLISH).
+ *
+ * @param {Object} event - from buildCalendarEvent()
+ * @param {Object} [options]
+ * @param {number} [options.sequence] - revision; defaults to the current time
+ *   in seconds, so each send supersedes the previous one
+ * @returns {string}
+ */
+function createIcsEvent(event, { sequence = Math.floor(Date.now() / 1000) } = {}) {
+  const when = event.allDay
+    ? [`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(event.end)}`]
+    : [`DTSTART:${formatUtc(event.start)}`, `DTEND:${formatUtc(event.end)}`];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(new Date().toISOString())}`,
+    ...when,
+    `SUMMARY:${escapeText(event.title)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * The event as a Resend-style attachment (base64 content).
+ */
+function createIcsAttachment(event, filename = 'event.ics') {
+  return {
+    filename,
+    content: Buffer.from(createIcsEvent(event), 'utf8').toString('base64'),
+    content_type: 'text/calendar; charset=utf-8; method=PUBLISH'
+  };
+}
+
+function signEventToken(token, secret) {
+  return crypto.createHmac('sha256', secret).update(token).digest('base64url');
+}
+
+/**
+ * Encode an event for the /api/calendar/event link.
+ *
+ * @returns {{token: string, sig: string}|null} null without CALENDAR_LINK_SECRET
+ */
+function encodeEventToken(event) {
+  const secret = process.env.CALENDAR_LINK_SECRET;
+  if (!secret) return null;
+  const token = Buffer.from(JSON.stringify(event), 'utf8').toString('base64url');
+  return { token, sig: signEventToken(token, secret) };
+}
+
+/**
+ * Decode and verify a token from encodeEventToken(). Returns null when the
+ * signature doesn't match or the token is malformed.
+ */
+function decodeEventToken(token, sig) {
+  const secret = process.env.CALENDAR_LINK_SECRET;
+  if (!secret || !token || !sig) return null;
+
+  const expected = Buffer.from(signEventToken(String(token), secret));
+  const received = Buffer.from(String(sig));
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  try {
+    const event = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    return event && event.uid && event.start && event.end ? event : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add-to-calendar links for an event. `apple` is null unless MAILER_BASE_URL
+ * and CALENDAR_LINK_SECRET are set.
+ *
+ * @returns {{google: string, outlook: string, apple: string|null}}
+ */
+function createCalendarLinks(event) {
+  const google = new URL('https://calendar.google.com/calendar/render');
+  google.searchParams.set('action', 'TEMPLATE');
+  google.searchParams.set('text', event.title);
+  google.searchParams.set('dates', event.allDay
+    ? `${formatDate(event.start)}/${formatDate(event.end)}`
+    : `${formatUtc(event.start)}/${formatUtc(event.end)}`);
+  if (event.location) google.searchParams.set('location', event.location);
+  if (event.description) google.searchParams.set('details', event.description);
+
+  const outlook = new URL('https://outlook.live.com/calendar/0/action/compose');
+  outlook.searchParams.set('rru', 'addevent');
+  outlook.searchParams.set('subject', event.title);
+  outlook.searchParams.set('startdt', event.allDay ? event.start.substring(0, 10) : event.start);
+  outlook.searchParams.set('enddt', event.allDay ? event.end.substring(0, 10) : event.end);
+  outlook.searchParams.set('allday', String(event.allDay));
+  if (event.location) outlook.searchParams.set('location', event.location);
+  if (event.description) outlook.searchParams.set('body', event.description);
+
+  let apple = null;
+  const baseUrl = process.env.MAILER_BASE_URL;
+  const signed = baseUrl ? encodeEventToken(event) : null;
+  if (signed) {
+    const url = new URL('/api/calendar/event', baseUrl);
+    url.searchParams.set('token', signed.token);
+    url.searchParams.set('sig', signed.sig);
+    apple = url.toString();
+  }
+
+  return { google: google.toString(), outlook: outlook.toString(), apple };
+}
+
+module.exports = {
+  parseEventDate,
+  parseDurationMinutes,
+  getEventTimes,
+  buildCalendarEvent,
+  createIcsEvent,
+  createIcsAttachment,
+  createCalendarLinks,
+  decodeEventToken
+};
@@ -0,0 +1,581 @@
+/**
+ * Studio-initiated workshop cancellations.
+ *
+ * cancelWorkshop() cancels a workshop date from the dashboard: it records the
+ * cancellation (with the staff member who triggered it), takes the workshop's
+ * seats off the roster, stops its reminders, follow-ups and waitlist, and
+ * emails every purchaser (email_type 'cancellation'). With `issueCredit`, each
+ * purchaser also gets a gift card code for what they paid, from the
+ * gift_card_codes pool.
+ *
+ * Purchasers are the workshop's bookings on the roster (including bookings
+ * moved to it from another date), its processed order line items, and anyone
+ * sent its details email before the order ledger existed, less bookings moved
+ * to another date. Each gets a notice row
+ * that is claimed before the credit is assigned and the email sent, so running
+ * the cancellation again only retries failed notices.
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient, assignUnusedGiftCardCodeAtomically, markGiftCardSent, getGiftCardCode } = require('./supabase.js');
+const { sendWorkshopCancellationEmail, createWorkshopCancellationEmailTemplate, workshopCancellationSubject, EmailSuppressedError } = require('./resend.js');
+const { getRoster, cancelAttendee } = require('./attendees.js');
+const { cancelWorkshopReminders } = require('./reminders.js');
+const { skipLineItemFollowUps } = require('./followUps.js');
+const { closeWaitlist } = require('./waitlist.js');
+const { getSuppression } = require('./suppressions.js');
+const { withBackoff } = require('./retry.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+const { amountDisplayFromCents } = require('./util.js');
+
+const CANCELLATION_STATUSES = ['processing', 'completed', 'completed_with_errors'];
+
+const NOTICE_STATUSES = ['pending', 'sending', 'sent', 'skipped', 'failed'];
+
+// Recorded on the roster, reminders and follow-ups of a cancelled workshop.
+const CANCEL_REASON = 'workshop_cancelled';
+
+// A 'sending' claim older than this is treated as abandoned and claimed again.
+const STALE_CLAIM_SECONDS = 600;
+
+const DEFAULT_SHOP_URL = 'https://www.katieannclay.com/shop-filters';
+
+/**
+ * Same key the order webhook uses for the line item.
+ */
+function lineItemKey(orderId, customerEmail, productId) {
+  return crypto
+    .createHash('sha256')
+    .update(`${orderId}-${customerEmail}-${productId}`)
+    .digest('hex');
+}
+
+/**
+ * What an order paid for one product, in cents, from the Webflow order
+ * payload (`rowTotal`, else `variantPrice` × count). Null when unknown.
+ *
+ * @param {Object} orderPayload - orders.payload
+ * @param {string} productId
+ * @returns {number|null}
+ */
+function paidAmountCents(orderPayload, productId) {
+  const items = (orderPayload?.purchasedItems || orderPayload?.lineItems || [])
+    .filter(item => item.productId === productId);
+  if (!items.length) return null;
+
+  let total = 0;
+  for (const item of items) {
+    const rowTotal = parseInt(item.rowTotal?.value, 10);
+    const unitPrice = parseInt(item.variantPrice?.value, 10);
+    if (Number.isFinite(rowTotal)) {
+      total += rowTotal;
+    } else if (Number.isFinite(unitPrice)) {
+      total += unitPrice * (parseInt(item.count || item.quantity, 10) || 1);
+    } else {
+      return null;
+    }
+  }
+  return total;
+}
+
+function customerNameFromOrder(orderPayload) {
+  return orderPayload?.customerInfo?.fullName || orderPayload?.customer?.name || orderPayload?.customer?.firstName || null;
+}
+
+/**
+ * Everyone booked on a workshop, one entry per booking: its roster and
+ * processed order line items, plus workshop emails sent for orders the ledger
+ * doesn't have. Bookings moved here from another workshop come from the
+ * roster; bookings moved from here to another workshop are left out, as are
+ * seats already released from the roster.
+ *
+ * @param {string} productId
+ * @returns {Promise<Object[]>} { idempotencyKey, orderId, email, customerName,
+ *   quantity, amountCents, lineItem } where lineItem is the order_line_items
+ *   row, if any
+ */
+async function listWorkshopPurchasers(productId) {
+  const supabase = getSupabaseClient();
+
+  const [lineItems, emails, transfers, roster] = await Promise.all([
+    supabase
+      .from('order_line_items')
+      .select('idempotency_key, webflow_order_id, product_id, product_name, quantity, customer_email, orders(payload)')
+      .eq('product_id', productId)
+      .eq('status', 'succeeded'),
+    supabase
+      .from('email_log')
+      .select('webflow_order_id, to_email, payload')
+      .eq('product_id', productId)
+      .eq('email_type', 'workshop')
+      .in('status', ['sent', 'resent'])
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('workshop_transfers')
+      .select('idempotency_key')
+      .eq('from_product_id', productId),
+    getRoster(productId)
+  ]);
+
+  for (const { error } of [lineItems, emails, transfers]) {
+    if (error) {
+      console.error(`Error listing purchasers of workshop ${productId}:`, error);
+      throw error;
+    }
+  }
+
+  const attendees = new Map(roster.map(attendee => [attendee.idempotency_key, attendee]));
+  // Moved to another workshop, unless since moved back.
+  const movedAway = new Set(
+    (transfers.data || []).map(row => row.idempotency_key).filter(key => !attendees.has(key))
+  );
+  const purchasers = new Map();
+
+  for (const item of lineItems.data || []) {
+    if (movedAway.has(item.idempotency_key)) continue;
+    const orderPayload = item.orders?.payload || {};
+    const attendee = attendees.get(item.idempotency_key);
+    purchasers.set(item.idempotency_key, {
+      idempotencyKey: item.idempotency_key,
+      orderId: item.webflow_order_id,
+      email: item.customer_email,
+      customerName: attendee?.customer_name || customerNameFromOrder(orderPayload),
+      quantity: item.quantity || attendee?.quantity || 1,
+      amountCents: paidAmountCents(orderPayload, productId),
+      lineItem: item
+    });
+  }
+
+  const missingOrders = [];
+  for (const row of emails.data || []) {
+    if (row.payload?.test || !row.to_email) continue;
+    const key = lineItemKey(row.webflow_order_id || row.payload?.orderId || '', row.to_email, productId);
+    if (purchasers.has(key) || movedAway.has(key)) continue;
+
+    const customerName = row.payload?.customerName;
+    purchasers.set(key, {
+      idempotencyKey: key,
+      orderId: row.webflow_order_id || row.payload?.orderId || null,
+      email: row.to_email,
+      customerName: customerName && customerName !== 'Workshop Participant' ? customerName : null,
+      quantity: 1,
+      amountCents: null,
+      lineItem: null
+    });
+    if (row.webflow_order_id) missingOrders.push(row.webflow_order_id);
+  }
+
+  // Bookings moved here keep the line item (and key) of the workshop they
+  // were bought for, which is what they paid.
+  const movedIn = roster.filter(attendee => !purchasers.has(attendee.idempotency_key));
+  if (movedIn.length) {
+    const { data, error } = await supabase
+      .from('order_line_items')
+      .select('idempotency_key, webflow_order_id, product_id, product_name, quantity, customer_email, orders(payload)')
+      .in('idempotency_key', movedIn.map(attendee => attendee.idempotency_key));
+    if (error) {
+      console.error(`Error listing bookings moved to workshop ${productId}:`, error);
+      throw error;
+    }
+    const items = new Map((data || []).map(item => [item.idempotency_key, item]));
+
+    for (const attendee of movedIn) {
+      const item = items.get(attendee.idempotency_key) || null;
+      const orderPayload = item?.orders?.payload || {};
+      purchasers.set(attendee.idempotency_key, {
+        idempotencyKey: attendee.idempotency_key,
+        orderId: attendee.webflow_order_id || item?.webflow_order_id || null,
+        email: attendee.customer_email || item?.customer_email,
+        customerName: attendee.customer_name || customerNameFromOrder(orderPayload),
+        quantity: attendee.quantity || item?.quantity || 1,
+        amountCents: item ? paidAmountCents(orderPayload, item.product_id) : null,
+        lineItem: item
+      });
+    }
+  }
+
+  // Orders recorded without (succeeded) line items still have their payload.
+  if (missingOrders.length) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('webflow_order_id, payload')
+      .in('webflow_order_id', [...new Set(missingOrders)]);
+    if (error) {
+      console.warn(`⚠️ Could not read orders for workshop ${productId}:`, error.message);
+    }
+    for (const order of data || []) {
+      for (const purchaser of purchasers.values()) {
+        if (purchaser.lineItem || purchaser.orderId !== order.webflow_order_id) continue;
+        purchaser.amountCents = paidAmountCents(order.payload, productId);
+        purchaser.customerName = purchaser.customerName || customerNameFromOrder(order.payload);
+      }
+    }
+  }
+
+  for (const [key, purchaser] of purchasers) {
+    const attendee = attendees.get(key);
+    if (attendee?.status === 'cancelled' && attendee.cancel_reason !== CANCEL_REASON) {
+      purchasers.delete(key);
+    } else if (attendee) {
+      purchaser.quantity = attendee.quantity || purchaser.quantity;
+    }
+  }
+
+  return [...purchasers.values()];
+}
+
+/**
+ * The cancellation of a workshop, or null when it wasn't cancelled.
+ *
+ * @param {string} productId
+ * @returns {Promise<Object|null>} workshop_cancellations row
+ */
+async function getCancellation(productId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_cancellations')
+    .select('*')
+    .eq('product_id', productId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error loading cancellation of workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create the cancellation row, or return the existing one (a re-run keeps the
+ * original reason, message and credit choice).
+ */
+async function startCancellation({ productId, workshopName, eventDate, reason, message, issueCredit, triggeredBy }) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_cancellations')
+    .upsert({
+      product_id: productId,
+      workshop_name: workshopName || null,
+      event_date: eventDate || null,
+      reason: reason || null,
+      message: message || null,
+      issue_credit: !!issueCredit,
+      triggered_by: triggeredBy,
+      last_run_by: triggeredBy
+    }, { onConflict: 'product_id', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    console.error(`Error recording cancellation of workshop ${productId}:`, error);
+    throw error;
+  }
+  if (data?.length) return { cancellation: data[0], created: true };
+
+  const { data: existing, error: updateError } = await supabase
+    .from('workshop_cancellations')
+    .update({ status: 'processing', last_run_by: triggeredBy, completed_at: null })
+    .eq('product_id', productId)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error(`Error restarting cancellation of workshop ${productId}:`, updateError);
+    throw updateError;
+  }
+  return { cancellation: existing, created: false };
+}
+
+async function updateNotice(id, update) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_cancellation_notices')
+    .update(update)
+    .eq('id', id);
+
+  if (error) {
+    console.error(`Error updating cancellation notice ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Take the workshop's seats off the roster and stop everything still
+ * scheduled for it. Best-effort: failures are logged, not thrown, so they
+ * can't keep customers from being told.
+ */
+async function stopWorkshop(productId, purchasers) {
+  const steps = [
+    ['release seats', async () => {
+      const roster = await getRoster(productId);
+      for (const attendee of roster.filter(a => a.status === 'confirmed')) {
+        await cancelAttendee(attendee.idempotency_key, { reason: CANCEL_REASON });
+      }
+    }],
+    ['cancel reminders', () => cancelWorkshopReminders(productId, CANCEL_REASON)],
+    ['skip follow-ups', () => skipLineItemFollowUps(purchasers.filter(p => p.lineItem).map(p => p.lineItem), CANCEL_REASON)],
+    ['close waitlist', () => closeWaitlist(productId)]
+  ];
+
+  for (const [label, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.warn(`⚠️ Could not ${label} for cancelled workshop ${productId}:`, error?.message);
+    }
+  }
+}
+
+/**
+ * The notice's credit code: the one already assigned to it (on a retry), or a
+ * new code for the paid amount, stored on the notice before anything is sent.
+ */
+async function creditForNotice(notice) {
+  if (notice.gift_card_code_id) {
+    const existing = await getGiftCardCode(notice.gift_card_code_id);
+    if (existing) return existing;
+  }
+  if (!(notice.amount_cents > 0)) {
+    throw new Error('Paid amount is unknown, so no credit could be issued');
+  }
+
+  const giftCardCode = await withBackoff(() =>
+    assignUnusedGiftCardCodeAtomically({
+      amountCents: notice.amount_cents,
+      order: { orderId: notice.webflow_order_id, id: notice.webflow_order_id },
+      purchaser: { email: notice.to_email }
+    })
+  );
+  try {
+    await updateNotice(notice.id, { gift_card_code_id: giftCardCode.id });
+  } catch (error) {
+    console.error(`❌ Gift card code ${giftCardCode.id} was assigned to notice ${notice.id} but not recorded on it`);
+    throw error;
+  }
+  return giftCardCode;
+}
+
+/**
+ * Send one purchaser's notice. Returns its outcome: 'sent', 'skipped',
+ * 'already_handled' or 'failed'.
+ */
+async function processNotice(notice, cancellation, { triggeredBy, shopUrl }) {
+  const supabase = getSupabaseClient();
+
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_cancellation_notice', {
+    p_id: notice.id,
+    p_stale_after_seconds: STALE_CLAIM_SECONDS
+  });
+  if (claimError) throw claimError;
+  if (claimed !== true) return 'already_handled';
+
+  try {
+    // Checked before a credit code is used up on someone we can't email.
+    if (await getSuppression(notice.to_email)) {
+      await updateNotice(notice.id, { status: 'skipped', reason: 'suppressed' });
+      return 'skipped';
+    }
+
+    const giftCardCode = cancellation.issue_credit ? await creditForNotice(notice) : null;
+    const credit = giftCardCode
+      ? { code: giftCardCode.code, amountDisplay: amountDisplayFromCents(giftCardCode.amount_cents) }
+      : null;
+
+    const workshopData = { productId: cancellation.product_id, name: cancellation.workshop_name || 'your workshop', date: cancellation.event_date };
+    const customerData = { customerName: notice.customer_name, orderId: notice.webflow_order_id };
+    const payload = {
+      productId: cancellation.product_id,
+      orderId: notice.webflow_order_id,
+      name: workshopData.name,
+      date: workshopData.date,
+      customerName: notice.customer_name,
+      message: cancellation.message,
+      cancellationId: cancellation.id,
+      ...(giftCardCode && { code: giftCardCode.code, amountCents: giftCardCode.amount_cents })
+    };
+    const logContext = {
+      productId: cancellation.product_id,
+      giftCardCodeId: giftCardCode?.id || null,
+      amountCents: giftCardCode?.amount_cents,
+      triggeredBy,
+      payload
+    };
+
+    const result = await sendWorkshopCancellationEmail({
+      email: notice.to_email,
+      workshopData,
+      customerData,
+      message: cancellation.message,
+      credit,
+      shopUrl,
+      logContext
+    });
+
+    const logged = await logEmail({
+      ...logContext,
+      emailType: 'cancellation',
+      toEmail: notice.to_email,
+      subject: workshopCancellationSubject(workshopData.name),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: notice.webflow_order_id,
+      html: createWorkshopCancellationEmailTemplate(workshopData, customerData, { message: cancellation.message, credit, shopUrl })
+    });
+
+    if (giftCardCode) {
+      try {
+        await markGiftCardSent({ codeId: giftCardCode.id });
+      } catch (error) {
+        console.warn(`⚠️ Failed to mark credit code ${giftCardCode.id} as sent:`, error.message);
+      }
+    }
+
+    await updateNotice(notice.id, {
+      status: 'sent',
+      error: null,
+      email_log_id: logged?.id || null,
+      sent_at: new Date().toISOString()
+    });
+    return 'sent';
+  } catch (error) {
+    if (error instanceof EmailSuppressedError) {
+      await updateNotice(notice.id, { status: 'skipped', reason: 'suppressed' });
+      return 'skipped';
+    }
+    console.error(`Error sending cancellation notice to ${notice.to_email}:`, error.message);
+    await updateNotice(notice.id, {
+      status: 'failed',
+      error: String(error?.message || error || 'Unknown error').substring(0, 2000)
+    });
+    return 'failed';
+  }
+}
+
+/**
+ * Tally the notices onto the cancellation row and mark it done.
+ */
+async function finishCancellation(cancellation) {
+  const supabase = getSupabaseClient();
+
+  const { data: notices, error } = await supabase
+    .from('workshop_cancellation_notices')
+    .select('status, gift_card_code_id')
+    .eq('cancellation_id', cancellation.id);
+
+  if (error) {
+    console.error(`Error counting cancellation notices for ${cancellation.id}:`, error);
+    throw error;
+  }
+
+  const count = status => notices.filter(n => n.status === status).length;
+  const failed = count('failed') + count('sending') + count('pending');
+  const { data, error: updateError } = await supabase
+    .from('workshop_cancellations')
+    .update({
+      status: failed ? 'completed_with_errors' : 'completed',
+      purchaser_count: notices.length,
+      notified_count: count('sent'),
+      credited_count: notices.filter(n => n.status === 'sent' && n.gift_card_code_id).length,
+      skipped_count: count('skipped'),
+      failed_count: failed,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', cancellation.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    console.error(`Error finishing cancellation ${cancellation.id}:`, updateError);
+    throw updateError;
+  }
+  return data;
+}
+
+/**
+ * Cancel a workshop date and tell everyone who bought it. Running it again
+ * for the same workshop retries the notices that failed (keeping the original
+ * reason, message and credit choice).
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} [params.reason] - internal note
+ * @param {string} [params.message] - shown to customers
+ * @param {boolean} [params.issueCredit=false] - give each purchaser a gift card code for what they paid
+ * @param {string} params.triggeredBy - dashboard user
+ * @returns {Promise<{cancellation: Object, created: boolean, results: Object}>}
+ *   the updated workshop_cancellations row and this run's outcome counts
+ */
+async function cancelWorkshop({ productId, reason, message, issueCredit = false, triggeredBy }) {
+  const supabase = getSupabaseClient();
+
+  const purchasers = await listWorkshopPurchasers(productId);
+  const roster = await getRoster(productId);
+  const latest = roster.reduce(
+    (a, b) => (!a || new Date(b.created_at) > new Date(a.created_at) ? b : a),
+    null
+  );
+
+  const { cancellation, created } = await startCancellation({
+    productId,
+    workshopName: latest?.workshop_name || purchasers.find(p => p.lineItem?.product_name)?.lineItem.product_name,
+    eventDate: latest?.event_date,
+    reason,
+    message,
+    issueCredit,
+    triggeredBy
+  });
+  console.log(`🛑 Workshop ${productId} ${created ? 'cancelled' : 'cancellation re-run'} by ${triggeredBy} (${purchasers.length} purchaser(s))`);
+
+  await stopWorkshop(productId, purchasers);
+
+  if (purchasers.length) {
+    const { error } = await supabase
+      .from('workshop_cancellation_notices')
+      .upsert(purchasers.map(p => ({
+        cancellation_id: cancellation.id,
+        idempotency_key: p.idempotencyKey,
+        webflow_order_id: p.orderId,
+        to_email: p.email,
+        customer_name: p.customerName,
+        quantity: p.quantity,
+        amount_cents: p.amountCents
+      })), { onConflict: 'cancellation_id,idempotency_key', ignoreDuplicates: true });
+
+    if (error) {
+      console.error(`Error recording cancellation notices for workshop ${productId}:`, error);
+      throw error;
+    }
+  }
+
+  const { data: notices, error: noticesError } = await supabase
+    .from('workshop_cancellation_notices')
+    .select('*')
+    .eq('cancellation_id', cancellation.id)
+    .in('status', ['pending', 'sending', 'failed'])
+    .order('created_at', { ascending: true });
+
+  if (noticesError) {
+    console.error(`Error loading cancellation notices for workshop ${productId}:`, noticesError);
+    throw noticesError;
+  }
+
+  const options = { triggeredBy, shopUrl: process.env.SHOP_URL || DEFAULT_SHOP_URL };
+  const results = { sent: 0, skipped: 0, already_handled: 0, failed: 0 };
+  for (const notice of notices) {
+    results[await processNotice(notice, cancellation, options)] += 1;
+  }
+
+  console.log(`🛑 Cancellation of workshop ${productId}: ${JSON.stringify(results)}`);
+  return { cancellation: await finishCancellation(cancellation), created, results };
+}
+
+module.exports = {
+  CANCELLATION_STATUSES,
+  NOTICE_STATUSES,
+  paidAmountCents,
+  listWorkshopPurchasers,
+  getCancellation,
+  cancelWorkshop
+};
@@ -0,0 +1,189 @@
+/**
+ * Workshop capacity.
+ *
+ * Seats per workshop are configured in `workshop_capacity` (by Webflow product
+ * id); workshops without a row are not tracked. After the order webhook
+ * records a booking, checkWorkshopCapacity() counts the confirmed seats and
+ * emails the studio (STUDIO_ALERT_EMAIL) when the class reaches a new level:
+ * its alert threshold, full, or oversold. Each level is alerted once; releasing
+ * seats lowers it again.
+ *
+ * releaseWorkshopSeat() cancels a booking from the dashboard and offers the
+ * freed seats to the waitlist (lib/waitlist.js).
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+const { getBookedSeats, cancelAttendee } = require('./attendees.js');
+const { notifyWaitlist } = require('./waitlist.js');
+const { sendCapacityAlertEmail } = require('./resend.js');
+
+// Alert levels, lowest first.
+const CAPACITY_LEVELS = ['threshold', 'full', 'oversold'];
+
+/**
+ * Capacity row for a workshop, or null when it isn't tracked.
+ *
+ * @param {string} productId
+ * @returns {Promise<Object|null>} workshop_capacity row
+ */
+async function getWorkshopCapacity(productId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_capacity')
+    .select('*')
+    .eq('webflow_product_id', productId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error loading capacity for workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Alert level for a number of booked seats: 'oversold', 'full', 'threshold'
+ * (at or over alert_threshold), or null.
+ */
+function capacityLevel(seats, { capacity, alert_threshold: threshold }) {
+  if (seats > capacity) return 'oversold';
+  if (seats === capacity) return 'full';
+  if (threshold && seats >= threshold) return 'threshold';
+  return null;
+}
+
+function levelRank(level) {
+  return level ? CAPACITY_LEVELS.indexOf(level) : -1;
+}
+
+/**
+ * Studio addresses for capacity alerts (STUDIO_ALERT_EMAIL, comma-separated).
+ */
+function getAlertRecipients() {
+  return String(process.env.STUDIO_ALERT_EMAIL || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Record `level` as alerted unless it (or a higher level) already was.
+ * Returns whether this caller should send the alert, so concurrent orders
+ * don't both send it.
+ */
+async function claimAlertLevel(productId, level) {
+  const supabase = getSupabaseClient();
+  const lower = CAPACITY_LEVELS.slice(0, levelRank(level));
+
+  let query = supabase
+    .from('workshop_capacity')
+    .update({ alerted_level: level })
+    .eq('webflow_product_id', productId);
+  query = lower.length
+    ? query.or(`alerted_level.is.null,alerted_level.in.(${lower.join(',')})`)
+    : query.is('alerted_level', null);
+
+  const { data, error } = await query.select('webflow_product_id');
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Count a workshop's seats after a booking and alert the studio if it reached
+ * a new level. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} [params.workshopName]
+ * @param {string} [params.date] - workshop date from the CMS
+ * @returns {Promise<{seats: number, capacity: number, level: string|null}|null>}
+ *   null when the workshop isn't tracked or counting failed
+ */
+async function checkWorkshopCapacity({ productId, workshopName, date }) {
+  try {
+    const config = await getWorkshopCapacity(productId);
+    if (!config) return null;
+
+    const seats = await getBookedSeats(productId);
+    const level = capacityLevel(seats, config);
+    const status = { seats, capacity: config.capacity, level };
+
+    if (!level || levelRank(level) <= levelRank(config.alerted_level)) return status;
+    if (!(await claimAlertLevel(productId, level))) return status;
+
+    const message = `${workshopName || productId}: ${seats}/${config.capacity} seats booked (${level})`;
+    const to = getAlertRecipients();
+    if (!to.length) {
+      console.warn(`⚠️ Capacity alert not emailed (STUDIO_ALERT_EMAIL is not set): ${message}`);
+      return status;
+    }
+
+    console.log(`🪑 Capacity alert: ${message}`);
+    await sendCapacityAlertEmail({ to, workshopName, productId, date, level, seats, capacity: config.capacity });
+    return status;
+  } catch (error) {
+    console.warn(`⚠️ Capacity check failed for workshop ${productId}:`, error?.message);
+    return null;
+  }
+}
+
+/**
+ * After seats were released: lower the alerted level to match the new count
+ * and email as many waitlisted people as there are free seats. Never throws.
+ *
+ * @param {string} productId
+ * @returns {Promise<{seats: number, capacity: number, notified: number}|null>}
+ *   null when the workshop isn't tracked or counting failed
+ */
+async function handleSeatsReleased(productId) {
+  try {
+    const config = await getWorkshopCapacity(productId);
+    if (!config) return null;
+
+    const seats = await getBookedSeats(productId);
+    const level = capacityLevel(seats, config);
+    if (levelRank(level) < levelRank(config.alerted_level)) {
+      const supabase = getSupabaseClient();
+      const { error } = await supabase
+        .from('workshop_capacity')
+        .update({ alerted_level: level })
+        .eq('webflow_product_id', productId);
+      if (error) console.warn('⚠️ Failed to reset capacity alert level:', error.message);
+    }
+
+    const notified = await notifyWaitlist({ productId, seats: config.capacity - seats });
+    return { seats, capacity: config.capacity, notified };
+  } catch (error) {
+    console.warn(`⚠️ Could not process released seats for workshop ${productId}:`, error?.message);
+    return null;
+  }
+}
+
+/**
+ * Release a booked seat (cancel its attendee row) and offer it to the waitlist.
+ *
+ * @param {string} idempotencyKey - attendee / line item key
+ * @param {Object} [options]
+ * @param {string} [options.reason='released']
+ * @returns {Promise<{attendee: Object, seats?: number, capacity?: number, notified: number}|null>}
+ *   null when the booking wasn't confirmed
+ */
+async function releaseWorkshopSeat(idempotencyKey, { reason = 'released' } = {}) {
+  const attendee = await cancelAttendee(idempotencyKey, { reason });
+  if (!attendee) return null;
+
+  console.log(`🪑 Released ${attendee.quantity} seat(s) in workshop ${attendee.product_id} (${reason})`);
+  const result = await handleSeatsReleased(attendee.product_id);
+  return { attendee, notified: 0, ...result };
+}
+
+module.exports = {
+  CAPACITY_LEVELS,
+  getWorkshopCapacity,
+  capacityLevel,
+  checkWorkshopCapacity,
+  handleSeatsReleased,
+  releaseWorkshopSeat
+};
@@ -0,0 +1,142 @@
+/**
+ * Resend delivery events.
+ *
+ * Stores every Resend webhook event in `email_events`, matches it to the
+ * email_log row it belongs to by Resend message id, and keeps that row's
+ * `last_event` current. Unlike emailLog.js this throws on database errors, so
+ * the webhook endpoint can answer non-2xx and let Resend redeliver.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+/**
+ * Strip the 'email.' prefix Resend puts on event types ('email.bounced' -> 'bounced'),
+ * matching the values the Resend API (and our backfill) use for last_event.
+ */
+function normalizeEventType(type) {
+  return String(type || '').replace(/^email\./, '');
+}
+
+/**
+ * Record a Resend webhook event. A redelivered event (same svix id) isn't
+ * stored twice, but still brings the email's last_event up to date.
+ *
+ * @param {Object} event
+ * @param {string} event.svixId - webhook message id (svix-id header)
+ * @param {string} event.type - Resend event type, e.g. 'email.delivered'
+ * @param {string} [event.messageId] - Resend email id (data.email_id)
+ * @param {string} [event.toEmail]
+ * @param {string} [event.occurredAt] - ISO timestamp of the event
+ * @param {Object} [event.payload] - full webhook body
+ * @returns {Promise<{duplicate: boolean, eventId: string|null, eventType: string, emailLogIds: string[]}>}
+ */
+async function recordEmailEvent({ svixId, type, messageId, toEmail, occurredAt, payload }) {
+  const supabase = getSupabaseClient();
+  const eventType = normalizeEventType(type);
+  const occurredAtIso = new Date(occurredAt || Date.now()).toISOString();
+
+  try {
+    let emailLogIds = [];
+    if (messageId) {
+      const { data: rows, error: lookupError } = await supabase
+        .from('email_log')
+        .select('id')
+        .eq('resend_message_id', messageId);
+
+      if (lookupError) {
+        console.error('Error matching email event to email_log:', lookupError);
+        throw lookupError;
+      }
+      emailLogIds = (rows || []).map(r => r.id);
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('email_events')
+      .insert({
+        svix_id: svixId,
+        event_type: eventType,
+        resend_message_id: messageId || null,
+        email_log_id: emailLogIds[0] || null,
+        to_email: toEmail || null,
+        occurred_at: occurredAtIso,
+        payload: payload || {}
+      })
+      .select('id')
+      .single();
+
+    // Unique violation on svix_id: Resend redelivered an event we already
+    // have. last_event is still applied below (it only moves forward), in case
+    // the earlier delivery failed after storing the event.
+    const duplicate = insertError?.code === '23505';
+    let eventId = inserted?.id || null;
+    if (duplicate) {
+      const { data: existing, error: existingError } = await supabase
+        .from('email_events')
+        .select('id')
+        .eq('svix_id', svixId)
+        .maybeSingle();
+
+      if (existingError) {
+        console.error('Error loading duplicate email event:', existingError);
+        throw existingError;
+      }
+      eventId = existing?.id || null;
+    } else if (insertError) {
+      console.error('Error storing email event:', insertError);
+      throw insertError;
+    }
+
+    if (emailLogIds.length) {
+      // Only move last_event forward in time; events can arrive out of order.
+      const { error: updateError } = await supabase
+        .from('email_log')
+        .update({ last_event: eventType, last_event_at: occurredAtIso })
+        .in('id', emailLogIds)
+        .or(`last_event_at.is.null,last_event_at.lte.${occurredAtIso}`);
+
+      if (updateError) {
+        console.error('Error updating email_log last_event:', updateError);
+        throw updateError;
+      }
+    }
+
+    return { duplicate, eventId, eventType, emailLogIds };
+  } catch (error) {
+    console.error('Error in recordEmailEvent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the event history for one email_log row, oldest first.
+ *
+ * @param {string} emailLogId
+ * @returns {Promise<Array>}
+ */
+async function getEmailEvents(emailLogId) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('email_events')
+      .select('id, event_type, to_email, occurred_at')
+      .eq('email_log_id', emailLogId)
+      .order('occurred_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching email events:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getEmailEvents:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  normalizeEventType,
+  recordEmailEvent,
+  getEmailEvents
+};
@@ -0,0 +1,120 @@
+/**
+ * Email-client-safe HTML.
+ *
+ * Gmail and Outlook drop <style> blocks and ignore flexbox, so every HTML send
+ * is post-processed here (see deliverEmail in resend.js), and the same HTML is
+ * stored in email_log. Templates keep writing ordinary CSS.
+ */
+
+const cheerio = require('cheerio');
+const juice = require('juice');
+
+/**
+ * Parse an inline style attribute into a Map of property -> value.
+ */
+function parseInlineStyle(style) {
+  const declarations = new Map();
+  for (const declaration of String(style || '').split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    const value = declaration.slice(colon + 1).trim();
+    if (property) declarations.set(property, value);
+  }
+  return declarations;
+}
+
+function serializeInlineStyle(declarations) {
+  return [...declarations].map(([property, value]) => `${property}: ${value};`).join(' ');
+}
+
+const FLEX_CONTAINER_PROPERTIES = ['display', 'flex-direction', 'flex-wrap', 'align-items', 'justify-content', 'gap'];
+const FLEX_ITEM_PROPERTIES = ['flex', 'flex-grow', 'flex-shrink', 'flex-basis'];
+const FLEX_VALIGN = { 'flex-start': 'top', start: 'top', center: 'middle', 'flex-end': 'bottom', end: 'bottom' };
+const FLEX_ALIGN = { center: 'center', 'flex-end': 'right', end: 'right' };
+
+/**
+ * Replace a `display: flex` element's layout with a presentation table: the
+ * element keeps its other styles and wraps a table with one cell per child
+ * (one row, or one row per child for `flex-direction: column`).
+ */
+function flexToTable($, element) {
+  const container = $(element);
+  const style = parseInlineStyle(container.attr('style'));
+  const column = (style.get('flex-direction') || '').startsWith('column');
+  const valign = FLEX_VALIGN[style.get('align-items')] || 'top';
+  const align = FLEX_ALIGN[style.get('justify-content')];
+  const height = style.get('height');
+
+  FLEX_CONTAINER_PROPERTIES.forEach(property => style.delete(property));
+  container.attr('style', serializeInlineStyle(style));
+
+  const table = $('<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0"></table>');
+  table.attr('style', `border-collapse: collapse;${height ? ` height: ${height};` : ''}`);
+  let row = $('<tr></tr>');
+  table.append(row);
+
+  container.contents().each((index, child) => {
+    if (child.type === 'text' && !child.data.trim()) return;
+
+    const cell = $('<td></td>').attr('valign', valign);
+    if (align) cell.attr('align', align);
+
+    if (child.type === 'tag') {
+      const childStyle = parseInlineStyle($(child).attr('style'));
+      FLEX_ITEM_PROPERTIES.forEach(property => childStyle.delete(property));
+      const width = childStyle.get('width') || childStyle.get('min-width');
+      if (width && /^\d+px$/.test(width)) cell.attr('width', parseInt(width, 10));
+      if (childStyle.size) {
+        $(child).attr('style', serializeInlineStyle(childStyle));
+      } else {
+        $(child).removeAttr('style');
+      }
+    }
+
+    if (column && row.children().length) {
+      row = $('<tr></tr>');
+      table.append(row);
+    }
+    cell.append(child);
+    row.append(cell);
+  });
+
+  container.empty().append(table);
+}
+
+/**
+ * Make rendered email HTML client-safe: inlines all CSS into style
+ * attributes, keeping only media queries and :hover rules (which can't be
+ * inlined) in a <style> in <head>, and rewrites flex layouts as tables.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function prepareEmailHtml(html) {
+  const inlined = juice(html, {
+    preserveMediaQueries: true,
+    preservePseudos: true,
+    removeStyleTags: true
+  });
+
+  const $ = cheerio.load(inlined);
+
+  // Innermost first, so nested flex containers are converted before their parents move them.
+  $('[style*="display"]').get().reverse().forEach(element => {
+    if (parseInlineStyle($(element).attr('style')).get('display') === 'flex') {
+      flexToTable($, element);
+    }
+  });
+
+  // Whatever juice left behind (media queries, pseudo-classes) belongs in <head>.
+  $('body style').each((index, element) => {
+    $('head').append($(element));
+  });
+
+  return $.html();
+}
+
+module.exports = {
+  prepareEmailHtml
+};
@@ -0,0 +1,422 @@
+/**
+ * Shared email layout.
+ *
+ * Every branded email is the same page: a logo header, a content section and a
+ * signed footer, styled from one set of brand tokens. Templates in resend.js
+ * supply their title, the style partials they need (in order) and their content
+ * markup; the layout and components here produce the rest.
+ *
+ * Markup is emitted at fixed indentation so templates render byte-for-byte the
+ * same as before they shared this layout.
+ */
+
+const BRAND_THEME = {
+  primaryColor: '#274d5a',
+  primaryHoverColor: '#1d3a44',
+  accentColor: '#a8d4e0',
+  textColor: '#333',
+  mutedColor: '#666',
+  softTextColor: '#555',
+  pageBackground: '#f5f5f5',
+  panelBackground: '#f8f9fa',
+  fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  monoFontFamily: "'Courier New', monospace",
+  logoUrl: 'https://cdn.prod.website-files.com/5d2b6c55187e93f15bc32a32/68be2adc42edee3a305903f6_katie-logo-square-white.jpg',
+  logoAlt: 'Katie Ann Clay Logo',
+  logoHeight: '220px',
+  signature: 'Katie Ann Clay'
+};
+
+/**
+ * Page, container and logo header styles. Always first.
+ */
+function baseStyles(theme = BRAND_THEME) {
+  return `
+        body {
+            font-family: ${theme.fontFamily};
+            line-height: 1.6;
+            color: ${theme.textColor};
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 0;
+            background-color: ${theme.pageBackground};
+        }
+        .container {
+            background: white;
+            margin: 0;
+            padding: 0;
+        }
+        .header {
+            background: ${theme.primaryColor};
+            text-align: center;
+            color: white;
+        }
+        .logo {
+            width: 100%;
+            height: ${theme.logoHeight};
+            margin: 0;
+            background: ${theme.primaryColor};
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            overflow: hidden;
+        }
+        .logo img {
+            width: 100%;
+            height: 100%;
+            object-fit: contain;
+        }`;
+}
+
+/**
+ * Title and subtitle at the top of the content section (`.<prefix>-title`,
+ * `.<prefix>-subtitle`).
+ */
+function titleStyles(theme = BRAND_THEME, { prefix, titleSize = '28px', subtitleSize = '16px', uppercaseSubtitle = true }) {
+  const subtitleCase = uppercaseSubtitle
+    ? `
+            text-transform: uppercase;
+            letter-spacing: 1px;`
+    : `
+            letter-spacing: 0.5px;`;
+
+  return `
+        .${prefix}-title {
+            color: ${theme.primaryColor};
+            font-size: ${titleSize};
+            font-weight: 600;
+            margin: 30px 0 10px 0;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .${prefix}-subtitle {
+            color: ${theme.mutedColor};
+            font-size: ${subtitleSize};
+            margin: 0 0 30px 0;${subtitleCase}
+        }`;
+}
+
+function contentSectionStyles() {
+  return `
+        .content-section {
+            padding: 30px;
+            background: white;
+        }`;
+}
+
+/**
+ * Panel with a brand-colored left rule, for CMS content or a gift message.
+ */
+function calloutStyles(theme = BRAND_THEME, { className, italic = false }) {
+  const emphasis = italic
+    ? `
+            font-style: italic;
+            color: ${theme.softTextColor};`
+    : '';
+
+  return `
+        .${className} {
+            margin: 0 0 30px 0;
+            padding: 25px;
+            background: ${theme.panelBackground};
+            border-left: 4px solid ${theme.primaryColor};${emphasis}
+        }`;
+}
+
+function infoTableStyles(theme = BRAND_THEME) {
+  return `
+        .info-section {
+            margin: 0 0 30px 0;
+            padding: 25px;
+            background: ${theme.primaryColor};
+            color: white;
+        }
+        .info-title {
+            font-size: 18px;
+            font-weight: 600;
+            color: white;
+            margin: 0 0 20px 0;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .info-item {
+            margin: 15px 0;
+            display: flex;
+            align-items: flex-start;
+        }
+        .info-label {
+            font-weight: 600;
+            min-width: 100px;
+            color: ${theme.accentColor};
+            text-transform: uppercase;
+            font-size: 14px;
+            letter-spacing: 0.5px;
+        }
+        .info-value {
+            flex: 1;
+            color: white;
+        }
+        .info-value a {
+            color: white;
+            text-decoration: underline;
+        }`;
+}
+
+/**
+ * Greeting line and titled detail sections (what to bring, parking, FAQ, ...).
+ */
+function detailSectionStyles(theme = BRAND_THEME) {
+  return `
+        .greeting {
+            font-size: 17px;
+            margin: 0 0 20px 0;
+        }
+        .detail-section {
+            margin: 0 0 30px 0;
+        }
+        .detail-title {
+            color: ${theme.primaryColor};
+            font-size: 18px;
+            font-weight: 600;
+            margin: 0 0 10px 0;
+            padding-bottom: 8px;
+            border-bottom: 2px solid ${theme.primaryColor};
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .faq-item {
+            margin: 0 0 12px 0;
+            border: 1px solid #e2e6e8;
+            border-radius: 4px;
+        }
+        .faq-question {
+            margin: 0;
+            padding: 12px 15px;
+            background: ${theme.panelBackground};
+            color: ${theme.primaryColor};
+            font-weight: 600;
+        }
+        .faq-answer {
+            margin: 0;
+            padding: 12px 15px;
+            color: ${theme.softTextColor};
+        }`;
+}
+
+function buttonStyles(theme = BRAND_THEME) {
+  return `
+        .shop-button {
+            display: inline-block;
+            background: ${theme.primaryColor};
+            color: white;
+            padding: 15px 40px;
+            text-decoration: none;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+            border-radius: 4px;
+            margin: 20px 0;
+        }
+        .shop-button:hover {
+            background: ${theme.primaryHoverColor};
+        }`;
+}
+
+/**
+ * Footer styles. Defaults are the workshop/retreat footer; gift cards use
+ * accent-colored text and a white signature.
+ */
+function footerStyles(theme = BRAND_THEME, { textColor = theme.mutedColor, paragraphColor = null, signatureColor = theme.primaryColor } = {}) {
+  const paragraph = paragraphColor
+    ? `
+            margin: 10px 0;
+            color: ${paragraphColor};`
+    : `
+            margin: 10px 0;`;
+
+  return `
+        .footer {
+            background: ${theme.primaryColor};
+            padding: 30px;
+            text-align: center;
+            color: ${textColor};
+            font-size: 14px;
+        }
+        .footer p {${paragraph}
+        }
+        .signature {
+            color: ${signatureColor};
+            font-weight: 600;
+            margin-top: 20px;
+        }`;
+}
+
+/**
+ * Element styles for rich text from the CMS (headings, lists, links) and the
+ * `.highlight` block it may use.
+ *
+ * Workshop emails have always had trailing spaces on the heading rule;
+ * `trailingSpaces` keeps them so that output is unchanged.
+ */
+function richTextStyles(theme = BRAND_THEME, { trailingSpaces = false } = {}) {
+  const space = trailingSpaces ? ' ' : '';
+
+  return `
+        h1, h2, h3 {${space}
+            color: ${theme.primaryColor};${space}
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        p { margin: 15px 0; }
+        ul, ol { margin: 15px 0; padding-left: 25px; }
+        li { margin: 8px 0; }
+        strong { color: ${theme.primaryColor}; font-weight: 600; }
+        em { color: ${theme.mutedColor}; }
+        a { color: ${theme.primaryColor}; text-decoration: none; font-weight: 600; }
+        a:hover { text-decoration: underline; }
+        .highlight {
+            background: ${theme.primaryColor};
+            color: white;
+            padding: 20px;
+            margin: 20px 0;
+        }
+        .highlight strong {
+            color: white;
+        }`;
+}
+
+/**
+ * Logo header.
+ */
+function renderHeader(theme = BRAND_THEME) {
+  return `        <div class="header">
+            <div class="logo">
+                <img src="${theme.logoUrl}" alt="${theme.logoAlt}" />
+            </div>
+        </div>`;
+}
+
+/**
+ * Footer: one paragraph per line, then the signature.
+ *
+ * @param {string[]} lines - HTML paragraphs
+ */
+function renderFooter(lines, theme = BRAND_THEME) {
+  const paragraphs = lines.map(line => `            <p>${line}</p>\n`).join('');
+
+  return `        <div class="footer">
+${paragraphs}            <p class="signature">Best regards,<br>${theme.signature}</p>
+        </div>`;
+}
+
+/**
+ * Label/value table on a brand-colored panel.
+ *
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {Array<[string, string]>} params.rows - [label, value HTML] pairs
+ */
+function renderInfoTable({ title, rows }) {
+  const items = rows.map(([label, value]) => `                <div class="info-item">
+                    <span class="info-label">${label}</span>
+                    <span class="info-value">${value}</span>
+                </div>`).join('\n');
+
+  return `            <div class="info-section">
+                <h3 class="info-title">${title}</h3>
+${items}
+            </div>`;
+}
+
+/**
+ * Titled section in the content area.
+ *
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.body - inner HTML
+ */
+function renderDetailSection({ title, body }) {
+  return `            <div class="detail-section">
+                <h3 class="detail-title">${title}</h3>
+                ${body}
+            </div>`;
+}
+
+/**
+ * Question/answer list, each pair a bordered panel with the question as its
+ * header (an always-open accordion, since email clients can't toggle).
+ *
+ * @param {Array<{question: string, answer: string}>} items - HTML strings
+ */
+function renderFaqList(items) {
+  return items.map(({ question, answer }) => `<div class="faq-item">
+                    <p class="faq-question">${question}</p>
+                    <div class="faq-answer">${answer}</div>
+                </div>`).join('\n                ');
+}
+
+/**
+ * Centered call-to-action button.
+ */
+function renderButton({ href, label }) {
+  return `            <div style="text-align: center;">
+                <a href="${href}" class="shop-button">${label}</a>
+            </div>`;
+}
+
+/**
+ * Render a complete branded email.
+ *
+ * @param {Object} params
+ * @param {string} params.title - <title> text
+ * @param {string[]} params.styles - style partials, in order (baseStyles() first)
+ * @param {string} params.content - markup for the content section
+ * @param {string[]} params.footerLines - footer paragraphs before the signature
+ * @param {Object} [params.theme=BRAND_THEME]
+ * @returns {string} HTML document
+ */
+function renderEmailLayout({ title, styles, content, footerLines, theme = BRAND_THEME }) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${styles.join('')}
+    </style>
+</head>
+<body>
+    <div class="container">
+${renderHeader(theme)}
+
+        <div class="content-section">
+${content}
+        </div>
+
+${renderFooter(footerLines, theme)}
+    </div>
+</body>
+</html>
+  `.trim();
+}
+
+module.exports = {
+  BRAND_THEME,
+  baseStyles,
+  titleStyles,
+  contentSectionStyles,
+  calloutStyles,
+  infoTableStyles,
+  detailSectionStyles,
+  buttonStyles,
+  footerStyles,
+  richTextStyles,
+  renderHeader,
+  renderFooter,
+  renderInfoTable,
+  renderDetailSection,
+  renderFaqList,
+  renderButton,
+  renderEmailLayout
+};
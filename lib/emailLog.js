@@ -8,14 +8,16 @@
  */
 
 const { getSupabaseClient } = require('./supabase.js');
+const { htmlToText } = require('./emailText.js');
+const { prepareEmailHtml } = require('./emailHtml.js');
 
 /**
  * Insert an email_log row. Never throws.
  *
  * @param {Object} entry
- * @param {'workshop'|'retreat'|'gift_card'} entry.emailType
+ * @param {'workshop'|'retreat'|'gift_card'|'reminder'|'follow_up'|'waitlist'|'cancellation'|'reschedule'|'refund'} entry.emailType
  * @param {string} entry.toEmail
- * @param {'purchaser'|'recipient'|null} [entry.recipientRole]
+ * @param {'purchaser'|'recipient'|'attendee'|null} [entry.recipientRole]
  * @param {string} [entry.subject]
  * @param {'sent'|'failed'|'resent'} [entry.status='sent']
  * @param {string} [entry.resendMessageId]
@@ -27,11 +29,16 @@ const { getSupabaseClient } = require('./supabase.js');
  * @param {string} [entry.error]
  * @param {string} [entry.resentFrom] - original email_log id (for resends)
  * @param {string} [entry.triggeredBy] - dashboard user email (for resends)
+ * @param {string} [entry.html] - rendered HTML body; stored as sent (after
+ *   prepareEmailHtml(), which deliverEmail() applies too)
+ * @param {string} [entry.text] - plain-text part; derived from html when omitted,
+ *   the same way deliverEmail() derives it for sending
  * @returns {Promise<Object|null>} the inserted row, or null on failure
  */
 async function logEmail(entry) {
   try {
     const supabase = getSupabaseClient();
+    const html = entry.html ? prepareEmailHtml(entry.html) : null;
 
     const row = {
       email_type: entry.emailType,
@@ -48,7 +55,8 @@ async function logEmail(entry) {
       error: entry.error || null,
       resent_from: entry.resentFrom || null,
       triggered_by: entry.triggeredBy || null,
-      html: entry.html || null,
+      html,
+      text_body: entry.text || (html ? htmlToText(html) : null),
       last_event: entry.lastEvent || null
     };
 
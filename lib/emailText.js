@@ -0,0 +1,138 @@
+/**
+ * Plain-text alternative for HTML emails.
+ *
+ * Every send gets a `text` part derived from its rendered HTML (see
+ * deliverEmail in resend.js), and the same text is stored in email_log. Links
+ * become numbered footnotes, headings are capitalised, lists keep their
+ * bullets/numbers and table rows stay on one line. Elements marked
+ * `data-plain-text="prominent"` (the gift card code) are set apart in a box.
+ */
+
+const cheerio = require('cheerio');
+
+const SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title', 'img']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'tr', 'hr', 'pre'
+]);
+
+// Paragraph break marker, collapsed to a single blank line at the end.
+const BREAK = '\n\n';
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Convert an HTML email to readable plain text.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const $ = cheerio.load(html);
+  const links = [];
+
+  function linkReference(href, label) {
+    const target = String(href || '').trim();
+    if (!target || target.startsWith('#') || /^javascript:/i.test(target)) return '';
+    const address = target.replace(/^mailto:/i, '');
+    // Nothing to add when the link text already is the address.
+    if (label.trim() === address) return '';
+    let index = links.indexOf(target);
+    if (index === -1) {
+      links.push(target);
+      index = links.length - 1;
+    }
+    return ` [${index + 1}]`;
+  }
+
+  function render(nodes, context = {}) {
+    let out = '';
+
+    nodes.each((i, node) => {
+      if (node.type === 'text') {
+        out += context.pre ? node.data : collapseWhitespace(node.data);
+        return;
+      }
+      if (node.type !== 'tag') return;
+
+      const tag = node.name;
+      const element = $(node);
+      if (SKIPPED_TAGS.has(tag)) return;
+
+      if (element.attr('data-plain-text') === 'prominent') {
+        const value = collapseWhitespace(element.text()).trim();
+        const rule = '='.repeat(Math.max(value.length, 24));
+        out += `${BREAK}${rule}\n${value}\n${rule}${BREAK}`;
+        return;
+      }
+
+      switch (tag) {
+        case 'br':
+          out += '\n';
+          return;
+        case 'hr':
+          out += `${BREAK}${'-'.repeat(40)}${BREAK}`;
+          return;
+        case 'a': {
+          const label = render(element.contents(), context);
+          out += label + linkReference(element.attr('href'), collapseWhitespace(label));
+          return;
+        }
+        case 'li': {
+          const marker = context.ordered ? `${(context.counter.value += 1)}. ` : '- ';
+          const item = render(element.contents(), context).replace(/\n{2,}/g, '\n').trim();
+          out += `\n${marker}${item}`;
+          return;
+        }
+        case 'ul':
+        case 'ol':
+          out += BREAK + render(element.contents(), {
+            ...context,
+            ordered: tag === 'ol',
+            counter: { value: 0 }
+          }) + BREAK;
+          return;
+        case 'td':
+        case 'th':
+          out += ' ' + render(element.contents(), context).replace(/\n+/g, ' ').trim();
+          return;
+        case 'pre':
+          out += BREAK + render(element.contents(), { ...context, pre: true }) + BREAK;
+          return;
+        default:
+          break;
+      }
+
+      let inner = render(element.contents(), context);
+      if (/^h[1-3]$/.test(tag)) {
+        inner = inner.toUpperCase();
+      }
+      out += BLOCK_TAGS.has(tag) ? BREAK + inner + BREAK : inner;
+    });
+
+    return out;
+  }
+
+  let text = render($('body').length ? $('body').contents() : $.root().contents());
+
+  text = text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (links.length) {
+    text += '\n\n' + links.map((href, i) => `[${i + 1}] ${href}`).join('\n');
+  }
+
+  return text;
+}
+
+module.exports = {
+  htmlToText
+};
@@ -0,0 +1,200 @@
+/**
+ * Post-workshop follow-up bookkeeping.
+ *
+ * /api/cron/follow-ups finds the bookings whose workshop ended
+ * WORKSHOP_FOLLOW_UP_DAYS ago and follows up each of their line items. Each
+ * line item is claimed in `workshop_follow_ups` before its email is sent, so
+ * overlapping or repeated cron runs never send a second follow-up. Like the
+ * order ledger, these helpers throw on database errors.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+const FOLLOW_UP_STATUSES = ['pending', 'sending', 'sent', 'skipped', 'failed'];
+
+// A 'sending' claim older than this is treated as abandoned and claimed again.
+const STALE_CLAIM_SECONDS = 600;
+
+// Sends that fail this many times stop being retried.
+const MAX_FOLLOW_UP_ATTEMPTS = 3;
+
+// PostgREST returns at most this many rows per request.
+const PAGE_SIZE = 1000;
+
+/**
+ * Confirmed workshop bookings whose workshop ended in a window, as processed
+ * line items with the order they belong to (for the customer's name). The end
+ * is the one stored on the roster (workshop_attendees.event_end) when the
+ * order was processed or the booking moved, and `product_id` is the workshop
+ * the booking is in now (see lib/transfers.js).
+ *
+ * @param {Object} params
+ * @param {string} params.endedAfter - ISO timestamp (exclusive)
+ * @param {string} params.endedBefore - ISO timestamp (inclusive)
+ * @returns {Promise<Object[]>} order_line_items rows, each with `orders.payload`,
+ *   `workshop_name` and `event_end`
+ */
+async function listWorkshopLineItems({ endedAfter, endedBefore }) {
+  const supabase = getSupabaseClient();
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('workshop_attendees')
+      .select('idempotency_key, webflow_order_id, product_id, workshop_name, event_end, order_line_items!inner(product_name, customer_email, status, orders(payload))')
+      .eq('status', 'confirmed')
+      .eq('order_line_items.status', 'succeeded')
+      .gt('event_end', endedAfter)
+      .lte('event_end', endedBefore)
+      .order('event_end', { ascending: true })
+      .order('idempotency_key', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error listing workshop line items:', error);
+      throw error;
+    }
+
+    rows.push(...(data || []).map(({ order_line_items: lineItem, ...attendee }) => ({
+      ...attendee,
+      product_name: lineItem.product_name,
+      customer_email: lineItem.customer_email,
+      orders: lineItem.orders
+    })));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Claim a line item's follow-up for sending.
+ *
+ * @param {Object} lineItem - row from listWorkshopLineItems()
+ * @param {Date} [workshopEnd]
+ * @returns {Promise<boolean>} false when it was already sent/skipped or is
+ *   being sent right now
+ */
+async function claimFollowUp(lineItem, workshopEnd) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase.rpc('claim_workshop_follow_up', {
+    p_idempotency_key: lineItem.idempotency_key,
+    p_webflow_order_id: lineItem.webflow_order_id,
+    p_product_id: lineItem.product_id,
+    p_to_email: lineItem.customer_email,
+    p_workshop_end: workshopEnd ? workshopEnd.toISOString() : null,
+    p_max_attempts: MAX_FOLLOW_UP_ATTEMPTS,
+    p_stale_after_seconds: STALE_CLAIM_SECONDS
+  });
+
+  if (error) {
+    console.error('Error claiming workshop follow-up:', error);
+    throw error;
+  }
+
+  return data === true;
+}
+
+async function updateFollowUp(idempotencyKey, update) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_follow_ups')
+    .update(update)
+    .eq('idempotency_key', idempotencyKey);
+
+  if (error) {
+    console.error(`Error updating follow-up ${idempotencyKey.substring(0, 8)}...:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed follow-up as sent.
+ *
+ * @param {string} idempotencyKey
+ * @param {Object} [details]
+ * @param {string} [details.emailLogId]
+ */
+async function completeFollowUp(idempotencyKey, { emailLogId } = {}) {
+  await updateFollowUp(idempotencyKey, {
+    status: 'sent',
+    error: null,
+    email_log_id: emailLogId || null,
+    sent_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Mark a claimed follow-up as skipped (it will not be sent).
+ *
+ * @param {string} idempotencyKey
+ * @param {string} reason - e.g. 'order_refunded', 'suppressed'
+ */
+async function skipFollowUp(idempotencyKey, reason) {
+  await updateFollowUp(idempotencyKey, { status: 'skipped', reason });
+}
+
+/**
+ * Record a failed send; the next cron run claims it again while it has
+ * attempts left.
+ *
+ * @param {string} idempotencyKey
+ * @param {Error} error
+ */
+async function failFollowUp(idempotencyKey, error) {
+  await updateFollowUp(idempotencyKey, {
+    status: 'failed',
+    error: String(error?.message || error || 'Unknown error').substring(0, 2000)
+  });
+}
+
+/**
+ * Make sure line items are never followed up (their workshop was cancelled):
+ * records them as skipped, unless their follow-up was already sent.
+ *
+ * @param {Object[]} lineItems - { idempotency_key, webflow_order_id, product_id, customer_email }
+ * @param {string} reason - e.g. 'workshop_cancelled'
+ */
+async function skipLineItemFollowUps(lineItems, reason) {
+  if (!lineItems.length) return;
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_follow_ups')
+    .upsert(lineItems.map(item => ({
+      idempotency_key: item.idempotency_key,
+      webflow_order_id: item.webflow_order_id,
+      product_id: item.product_id,
+      to_email: item.customer_email,
+      status: 'skipped',
+      reason
+    })), { onConflict: 'idempotency_key', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('Error skipping workshop follow-ups:', error);
+    throw error;
+  }
+
+  const { error: updateError } = await supabase
+    .from('workshop_follow_ups')
+    .update({ status: 'skipped', reason })
+    .in('idempotency_key', lineItems.map(item => item.idempotency_key))
+    .in('status', ['pending', 'failed']);
+
+  if (updateError) {
+    console.error('Error skipping workshop follow-ups:', updateError);
+    throw updateError;
+  }
+}
+
+module.exports = {
+  FOLLOW_UP_STATUSES,
+  listWorkshopLineItems,
+  claimFollowUp,
+  completeFollowUp,
+  skipFollowUp,
+  failFollowUp,
+  skipLineItemFollowUps
+};
@@ -0,0 +1,206 @@
+/**
+ * Workshop guests: the other people coming on a multi-seat booking.
+ *
+ * The product page form posts the guests' names and emails to
+ * /api/workshop/guests before checkout (storeGuests()), keyed by the
+ * purchaser's email like gift card recipient info. When the order webhook
+ * processes the workshop line item, emailWorkshopGuests() claims the
+ * purchaser's latest submission (one guest per extra seat) and sends each
+ * guest their own workshop details email, logged with recipient_role
+ * 'attendee'. The claimed rows stay as the booking's guest list for the
+ * roster (listGuests()).
+ *
+ * storeGuests() and listGuests() throw on database errors;
+ * emailWorkshopGuests() never throws, so guests can't fail the order.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+const { sendWorkshopEmail, createWorkshopEmailTemplate, EmailSuppressedError } = require('./resend.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+
+const GUEST_STATUSES = ['pending', 'claimed', 'sent', 'failed', 'skipped'];
+
+// Most guests one form submission can name.
+const MAX_GUESTS = 20;
+
+/**
+ * Store a purchaser's guests for a workshop until the order arrives. A new
+ * submission from the same form session replaces the previous one.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.purchaserEmail
+ * @param {string} params.productId
+ * @param {{name?: string, email: string}[]} params.guests - already validated
+ * @returns {Promise<Object[]>} the stored workshop_guests rows
+ */
+async function storeGuests({ sessionId, purchaserEmail, productId, guests }) {
+  const supabase = getSupabaseClient();
+
+  const { error: deleteError } = await supabase
+    .from('workshop_guests')
+    .delete()
+    .eq('session_id', sessionId)
+    .eq('product_id', productId)
+    .eq('status', 'pending');
+
+  if (deleteError) {
+    console.error('Error replacing workshop guests:', deleteError);
+    throw deleteError;
+  }
+
+  const { data, error } = await supabase
+    .from('workshop_guests')
+    .insert(guests.map((guest, index) => ({
+      session_id: sessionId,
+      purchaser_email: purchaserEmail.toLowerCase(),
+      product_id: productId,
+      position: index + 1,
+      name: guest.name || null,
+      email: guest.email,
+      expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours from now
+    })))
+    .select();
+
+  if (error) {
+    console.error('Error storing workshop guests:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Guests of the given bookings, grouped by line item key.
+ *
+ * @param {string[]} idempotencyKeys
+ * @returns {Promise<Map<string, Object[]>>} workshop_guests rows in entry order
+ */
+async function listGuests(idempotencyKeys) {
+  const guests = new Map();
+  if (!idempotencyKeys.length) return guests;
+
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('workshop_guests')
+    .select('id, idempotency_key, name, email, status, position')
+    .in('idempotency_key', idempotencyKeys)
+    .order('position', { ascending: true });
+
+  if (error) {
+    console.error('Error loading workshop guests:', error);
+    throw error;
+  }
+
+  for (const guest of data || []) {
+    if (!guests.has(guest.idempotency_key)) guests.set(guest.idempotency_key, []);
+    guests.get(guest.idempotency_key).push(guest);
+  }
+  return guests;
+}
+
+async function updateGuest(id, update) {
+  const supabase = getSupabaseClient();
+  const { error } = await supabase
+    .from('workshop_guests')
+    .update(update)
+    .eq('id', id);
+
+  if (error) {
+    console.warn(`⚠️ Failed to update workshop guest ${id}:`, error.message);
+  }
+}
+
+/**
+ * Claim the purchaser's guests for a workshop line item and email each one
+ * the workshop details. Guests whose email failed on an earlier attempt of the
+ * line item are retried. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.idempotencyKey - order line item key
+ * @param {string} params.orderId
+ * @param {string} params.purchaserEmail
+ * @param {number} params.seats - seats booked; one guest per seat beyond the purchaser's
+ * @param {Object} params.workshopData - as sent to the purchaser
+ * @param {Object} params.payload - the purchaser's email_log payload
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+async function emailWorkshopGuests({ idempotencyKey, orderId, purchaserEmail, seats, workshopData, payload }) {
+  const results = { sent: 0, skipped: 0, failed: 0 };
+  if (!(seats > 1)) return results;
+
+  let guests;
+  try {
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase.rpc('claim_workshop_guests', {
+      p_idempotency_key: idempotencyKey,
+      p_webflow_order_id: orderId,
+      p_purchaser_email: purchaserEmail,
+      p_product_id: workshopData.productId,
+      p_limit: seats - 1
+    });
+
+    if (error) {
+      console.warn('⚠️ Failed to claim workshop guests:', error.message);
+      return results;
+    }
+    guests = data || [];
+  } catch (error) {
+    console.warn('⚠️ Unexpected error claiming workshop guests:', error?.message);
+    return results;
+  }
+
+  for (const guest of guests) {
+    const customerData = {
+      customerName: guest.name || 'Workshop Participant',
+      orderId
+    };
+    const guestPayload = { ...payload, customerName: customerData.customerName, guestId: guest.id };
+
+    try {
+      const result = await sendWorkshopEmail({
+        email: guest.email,
+        workshopData,
+        customerData,
+        templateId: process.env.RESEND_TEMPLATE_ID,
+        logContext: {
+          productId: workshopData.productId,
+          recipientRole: 'attendee',
+          payload: guestPayload
+        }
+      });
+
+      const logged = await logEmail({
+        emailType: 'workshop',
+        toEmail: guest.email,
+        recipientRole: 'attendee',
+        subject: `Workshop Details: ${workshopData.name}`,
+        resendMessageId: resendMessageId(result),
+        webflowOrderId: orderId,
+        productId: workshopData.productId,
+        html: createWorkshopEmailTemplate(workshopData, customerData),
+        payload: guestPayload
+      });
+
+      await updateGuest(guest.id, { status: 'sent', email_log_id: logged?.id || null, error: null });
+      results.sent += 1;
+    } catch (error) {
+      const suppressed = error instanceof EmailSuppressedError;
+      if (!suppressed) {
+        console.error(`Error emailing workshop guest ${guest.id}:`, error.message);
+      }
+      await updateGuest(guest.id, { status: suppressed ? 'skipped' : 'failed', error: error.message });
+      results[suppressed ? 'skipped' : 'failed'] += 1;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  GUEST_STATUSES,
+  MAX_GUESTS,
+  storeGuests,
+  listGuests,
+  emailWorkshopGuests
+};
@@ -0,0 +1,160 @@
+/**
+ * Allowlist HTML sanitizer for Webflow CMS / product rich text.
+ *
+ * CMS content is edited by hand and ends up in customer email, so only plain
+ * formatting markup survives: scripts, iframes, forms and media are removed
+ * with their content, unknown tags are unwrapped (their text kept), attributes
+ * outside the allowlist (event handlers, inline styles) are dropped, links must
+ * be http(s)/mailto/tel and images must come from Webflow's CDN (no tracking
+ * pixels). Parsing and re-serializing also closes any broken markup.
+ *
+ * Returns a report of everything it stripped, recorded in the email_log payload.
+ */
+
+const cheerio = require('cheerio');
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'div', 'em',
+  'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+  'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Removed together with everything inside them.
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'textarea', 'select', 'option', 'noscript',
+  'template', 'svg', 'math', 'video', 'audio', 'canvas', 'head', 'title',
+  'meta', 'link', 'base'
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['class', 'title', 'dir', 'lang']);
+const TAG_ATTRIBUTES = {
+  a: new Set(['href', 'target', 'rel', 'name']),
+  img: new Set(['src', 'alt', 'width', 'height']),
+  ol: new Set(['start', 'type']),
+  td: new Set(['colspan', 'rowspan', 'align', 'valign']),
+  th: new Set(['colspan', 'rowspan', 'align', 'valign'])
+};
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const IMAGE_HOSTS = [
+  'cdn.prod.website-files.com',
+  'assets.website-files.com',
+  'assets-global.website-files.com',
+  'uploads-ssl.webflow.com'
+];
+
+// Keep the report small enough for a jsonb payload column.
+const MAX_REPORTED_URLS = 20;
+const MAX_URL_LENGTH = 200;
+
+function isAllowedLink(href) {
+  try {
+    return LINK_PROTOCOLS.includes(new URL(href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isAllowedImage(src) {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && IMAGE_HOSTS.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a CMS value is markup (rich text) rather than plain text.
+ */
+function looksLikeHtml(value) {
+  return /<[a-z][\s\S]*>/i.test(String(value || ''));
+}
+
+/**
+ * Sanitize CMS rich text.
+ *
+ * @param {string} html
+ * @returns {{html: string, report: Object|null}} sanitized markup, and
+ *   `{ elements, unwrapped, attributes, urls }` counts of what was removed
+ *   (null when nothing was)
+ */
+function sanitizeHtml(html) {
+  if (!html) return { html: html || '', report: null };
+
+  const $ = cheerio.load(String(html), null, false);
+  const report = { elements: {}, unwrapped: {}, attributes: {}, urls: [] };
+  let changed = false;
+
+  const count = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+    changed = true;
+  };
+  const rejectUrl = (url) => {
+    changed = true;
+    if (report.urls.length < MAX_REPORTED_URLS) {
+      report.urls.push(String(url).substring(0, MAX_URL_LENGTH));
+    }
+  };
+
+  function clean(node) {
+    // Copy first: unwrapping and removing modify the child list.
+    [...(node.children || [])].forEach((child) => {
+      if (child.type === 'comment' || child.type === 'directive') {
+        $(child).remove();
+        return;
+      }
+      if (child.type !== 'tag' && child.type !== 'script' && child.type !== 'style') return;
+
+      const tag = child.name.toLowerCase();
+      const element = $(child);
+
+      if (DROPPED_TAGS.has(tag)) {
+        count(report.elements, tag);
+        element.remove();
+        return;
+      }
+
+      if (!ALLOWED_TAGS.has(tag)) {
+        count(report.unwrapped, tag);
+        clean(child);
+        element.replaceWith(element.contents());
+        return;
+      }
+
+      if (tag === 'img' && !isAllowedImage(element.attr('src'))) {
+        rejectUrl(element.attr('src') || '');
+        count(report.elements, 'img');
+        element.remove();
+        return;
+      }
+
+      Object.keys(child.attribs || {}).forEach((name) => {
+        const attribute = name.toLowerCase();
+        const allowed = GLOBAL_ATTRIBUTES.has(attribute) || TAG_ATTRIBUTES[tag]?.has(attribute);
+        if (!allowed) {
+          count(report.attributes, attribute);
+          element.removeAttr(name);
+        }
+      });
+
+      if (tag === 'a' && element.attr('href') !== undefined && !isAllowedLink(element.attr('href'))) {
+        rejectUrl(element.attr('href'));
+        element.removeAttr('href');
+      }
+
+      clean(child);
+    });
+  }
+
+  clean($.root()[0]);
+
+  return { html: $.html(), report: changed ? report : null };
+}
+
+module.exports = {
+  looksLikeHtml,
+  sanitizeHtml
+};
@@ -0,0 +1,103 @@
+/**
+ * Consolidated order emails.
+ *
+ * With CONSOLIDATE_ORDER_EMAILS=true, the order webhook sends one email for
+ * all the workshops and retreats in an order (a section per item) instead of
+ * one email per line item. Gift cards are still sent on their own, since
+ * recipients get them forwarded or addressed to them directly. An order with
+ * a single workshop or retreat gets that item's usual email.
+ *
+ * The consolidated email is logged as one email_log row per item (its own
+ * email_type and product_id, the shared message id and HTML), so each line
+ * item stays traceable. The rows' payload carries `consolidated: true` and the
+ * order's `orderItems`, which the dashboard resend uses to rebuild the whole
+ * email.
+ */
+
+const { sendOrderEmail, createOrderEmailTemplate, orderEmailSubject } = require('./resend.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+
+function isConsolidatedMode() {
+  return process.env.CONSOLIDATE_ORDER_EMAILS === 'true';
+}
+
+/**
+ * Email data for a workshop or retreat from its resolved guidelines, the same
+ * fields the order webhook sends in the item's own email.
+ *
+ * @param {'workshop'|'retreat'} type
+ * @param {string} productId
+ * @param {Object} guidelines - resolveGuidelines() result
+ * @param {string} [fallbackName] - when the content has no name
+ */
+function itemDataFromGuidelines(type, productId, guidelines, fallbackName) {
+  const name = guidelines.name || fallbackName;
+  if (type === 'retreat') {
+    return {
+      productId,
+      name,
+      guidelinesHtml: guidelines.guidelinesHtml || 'Retreat details coming soon...',
+      date: guidelines.date,
+      endDate: guidelines.endDate,
+      location: guidelines.location
+    };
+  }
+  return {
+    productId,
+    name,
+    date: guidelines.date || 'TBD',
+    location: guidelines.location || 'TBD',
+    guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...',
+    duration: guidelines.duration,
+    whatToBring: guidelines.whatToBring,
+    parking: guidelines.parking,
+    reschedulePolicy: guidelines.reschedulePolicy,
+    faq: guidelines.faq
+  };
+}
+
+/**
+ * Send one email for several order items and log it once per item.
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {Object} params.customerData - { customerName, orderId }
+ * @param {Array<{type: 'workshop'|'retreat', data: Object, payload: Object}>} params.items -
+ *   `payload` is the item's own email_log payload
+ * @returns {Promise<Object>} the send result
+ * @throws when the email isn't sent (EmailSuppressedError for a suppressed
+ *   recipient); the failed attempt is already logged
+ */
+async function sendConsolidatedEmail({ email, customerData, items }) {
+  const orderItems = items.map(item => ({ productId: item.data.productId, type: item.type }));
+  const payloadFor = item => ({ ...item.payload, consolidated: true, orderItems });
+
+  const result = await sendOrderEmail({
+    email,
+    items,
+    customerData,
+    logContext: { productId: items[0].data.productId, payload: payloadFor(items[0]) }
+  });
+
+  const html = createOrderEmailTemplate(items, customerData);
+  for (const item of items) {
+    await logEmail({
+      emailType: item.type,
+      toEmail: email,
+      subject: orderEmailSubject(customerData.orderId),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: customerData.orderId,
+      productId: item.data.productId,
+      html,
+      payload: payloadFor(item)
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  isConsolidatedMode,
+  itemDataFromGuidelines,
+  sendConsolidatedEmail
+};
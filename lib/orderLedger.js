@@ -0,0 +1,307 @@
+/**
+ * Order processing ledger.
+ *
+ * Durable, shared replacement for the webhook's old in-memory dedupe cache.
+ * Every order is recorded in `orders`, and every line item in
+ * `order_line_items` keyed by the handler's idempotency key. A line item must
+ * be claimed (atomically, in the database) before it is processed, so a
+ * Webflow retry or a second serverless instance can never send its emails or
+ * assign its gift card codes twice.
+ *
+ * Claim/complete/fail throw on database errors — the caller must not process a
+ * line item it could not claim. Order-level bookkeeping is best-effort.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+const LEDGER_STATUSES = ['received', 'processing', 'succeeded', 'failed'];
+
+// A 'processing' claim older than this is treated as abandoned (the instance
+// that held it crashed or timed out) and may be claimed again.
+const STALE_CLAIM_SECONDS = 600;
+
+/**
+ * Record an order as received/processing. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.orderId - Webflow order id
+ * @param {string} [params.customerEmail]
+ * @param {string} [params.triggerType] - Webflow webhook triggerType
+ * @param {number} [params.lineItemCount]
+ * @param {Object} [params.payload] - order data as received
+ * @returns {Promise<Object|null>} the order row, or null on failure
+ */
+async function recordOrder({ orderId, customerEmail, triggerType, lineItemCount, payload }) {
+  try {
+    const supabase = getSupabaseClient();
+
+    const { data, error } = await supabase
+      .from('orders')
+      .upsert({
+        webflow_order_id: orderId,
+        customer_email: customerEmail || null,
+        trigger_type: triggerType || null,
+        status: 'processing',
+        line_item_count: lineItemCount || 0,
+        payload: payload || {}
+      }, { onConflict: 'webflow_order_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.warn('⚠️ Failed to record order in ledger:', error.message);
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    console.warn('⚠️ Unexpected error recording order in ledger:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Set the overall status of an order from all of its line items in the
+ * ledger, not just the ones this webhook delivery handled: a retry that only
+ * picks up the failed item doesn't mark the order succeeded while another item
+ * is still failed, or still being processed by another instance (the order
+ * then stays 'processing' for that instance to finish). Never throws.
+ *
+ * @param {string} orderId
+ * @param {Array<{status: string}>} results - handler results for this
+ *   delivery; an error here fails the order even if its line item never got
+ *   a ledger row (e.g. the claim itself failed)
+ * @returns {Promise<string|null>} the status set, or null on failure
+ */
+async function finishOrder(orderId, results) {
+  try {
+    const supabase = getSupabaseClient();
+
+    const { data: lineItems, error: selectError } = await supabase
+      .from('order_line_items')
+      .select('status')
+      .eq('webflow_order_id', orderId);
+
+    if (selectError) {
+      console.warn('⚠️ Failed to read order line items from ledger:', selectError.message);
+      return null;
+    }
+
+    const statuses = (lineItems || []).map(item => item.status);
+    let status = 'succeeded';
+    if (statuses.includes('failed') || results.some(r => r.status === 'error')) {
+      status = 'failed';
+    } else if (statuses.some(itemStatus => itemStatus !== 'succeeded')) {
+      status = 'processing';
+    }
+
+    const { error } = await supabase
+      .from('orders')
+      .update({
+        status,
+        completed_at: status === 'processing' ? null : new Date().toISOString()
+      })
+      .eq('webflow_order_id', orderId);
+
+    if (error) {
+      console.warn('⚠️ Failed to update order status in ledger:', error.message);
+      return null;
+    }
+    return status;
+  } catch (error) {
+    console.warn('⚠️ Unexpected error updating order status in ledger:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Atomically claim a line item for processing.
+ *
+ * @param {Object} params
+ * @param {string} params.idempotencyKey
+ * @param {string} params.orderId
+ * @param {string} [params.productId]
+ * @param {string} [params.customerEmail]
+ * @returns {Promise<{claimed: boolean, status: string, attempts: number}>}
+ *   claimed is false when the line item already succeeded or another
+ *   instance is processing it right now.
+ */
+async function claimLineItem({ idempotencyKey, orderId, productId, customerEmail }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase.rpc('claim_order_line_item', {
+      p_idempotency_key: idempotencyKey,
+      p_webflow_order_id: orderId,
+      p_product_id: productId || null,
+      p_customer_email: customerEmail || null,
+      p_stale_after_seconds: STALE_CLAIM_SECONDS
+    });
+
+    if (error) {
+      console.error('Error claiming order line item:', error);
+      throw error;
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row) {
+      throw new Error('Invalid response from claim_order_line_item');
+    }
+
+    return {
+      claimed: !!row.claimed,
+      status: row.current_status,
+      attempts: row.attempt_count
+    };
+  } catch (error) {
+    console.error('Error in claimLineItem:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed line item as succeeded and store its result.
+ *
+ * @param {string} idempotencyKey
+ * @param {Object} result - handler result for the line item
+ * @param {Object} [details]
+ * @param {string} [details.productName]
+ * @param {number} [details.quantity]
+ */
+async function completeLineItem(idempotencyKey, result, { productName, quantity } = {}) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const update = {
+      status: 'succeeded',
+      result: result || null,
+      error: null,
+      completed_at: new Date().toISOString()
+    };
+    if (productName) update.product_name = productName;
+    if (quantity) update.quantity = quantity;
+
+    const { error } = await supabase
+      .from('order_line_items')
+      .update(update)
+      .eq('idempotency_key', idempotencyKey);
+
+    if (error) {
+      console.error('Error completing order line item:', error);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error in completeLineItem:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed line item as failed so a later webhook retry can claim it again.
+ *
+ * @param {string} idempotencyKey
+ * @param {string|Error} failure
+ * @param {Object} [result] - handler result for the line item
+ */
+async function failLineItem(idempotencyKey, failure, result = null) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { error } = await supabase
+      .from('order_line_items')
+      .update({
+        status: 'failed',
+        result,
+        error: String(failure?.message || failure || 'Unknown error').substring(0, 2000)
+      })
+      .eq('idempotency_key', idempotencyKey);
+
+    if (error) {
+      console.error('Error failing order line item:', error);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error in failLineItem:', error);
+    throw error;
+  }
+}
+
+/**
+ * List orders with their line items, newest first.
+ *
+ * @param {Object} params
+ * @param {string} [params.status] - one of LEDGER_STATUSES
+ * @param {string} [params.search] - matches order id or customer email
+ * @param {number} [params.limit=50]
+ * @param {number} [params.offset=0]
+ * @returns {Promise<{orders: Array, total: number}>}
+ */
+async function listOrders({ status, search, limit = 50, offset = 0 } = {}) {
+  const supabase = getSupabaseClient();
+
+  try {
+    let query = supabase
+      .from('orders')
+      .select('webflow_order_id, customer_email, trigger_type, status, line_item_count, received_at, completed_at, order_line_items(idempotency_key, product_id, product_name, quantity, status, attempts, error, completed_at)', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status && LEDGER_STATUSES.includes(status)) {
+      query = query.eq('status', status);
+    }
+    if (search) {
+      query = query.or(`webflow_order_id.ilike.%${search}%,customer_email.ilike.%${search}%`);
+    }
+
+    const { data, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing orders:', error);
+      throw error;
+    }
+
+    return { orders: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error in listOrders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single order with all of its line items (including results).
+ *
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+async function getOrder(orderId) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*, order_line_items(*)')
+      .eq('webflow_order_id', orderId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching order:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getOrder:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  LEDGER_STATUSES,
+  recordOrder,
+  finishOrder,
+  claimLineItem,
+  completeLineItem,
+  failLineItem,
+  listOrders,
+  getOrder
+};
@@ -0,0 +1,326 @@
+/**
+ * Gift card line items: a code from the gift_card_codes pool for each card
+ * bought, emailed to the purchaser (and to the recipient, when the product
+ * page form named one).
+ */
+
+const { isGiftCardProduct } = require('../webflow.js');
+const { sendGiftCardEmail, createGiftCardEmailTemplate, EmailSuppressedError } = require('../resend.js');
+const { withBackoff } = require('../retry.js');
+const { assignGiftCardCodeForUnit, markGiftCardSent, releaseGiftCardCode, getGiftCardProduct, getGiftCardRecipientInfo, consumeGiftCardRecipientInfo } = require('../supabase.js');
+const { logEmail, resendMessageId } = require('../emailLog.js');
+const { getSuppression } = require('../suppressions.js');
+
+module.exports = {
+  type: 'gift_card',
+  priority: 20,
+
+  matches: isGiftCardProduct,
+
+  async process(context) {
+    const { requestId, orderId, orderData, customerEmail, lineItem, product, idempotencyKey } = context;
+    console.log(`[${requestId}] 🎁 Gift card detected! Full lineItem structure:`, JSON.stringify(lineItem, null, 2));
+
+    // Get quantity - Webflow uses 'count' field (not 'quantity')
+    const quantity = lineItem.count || lineItem.quantity || lineItem.qty || 1;
+
+    console.log(`[${requestId}] 🎁 Gift card detected! Processing gift card product`, {
+      productId: lineItem.productId,
+      productName: product?.name,
+      quantity: quantity,
+      rawCount: lineItem.count,
+      rawQuantity: lineItem.quantity
+    });
+
+    // Get gift card product mapping
+    console.log(`[${requestId}] Looking up gift card product mapping for ${lineItem.productId}`);
+    const giftCardProduct = await getGiftCardProduct(lineItem.productId);
+
+    if (!giftCardProduct) {
+      console.error(`[${requestId}] ❌ No gift card product mapping found for product ${lineItem.productId}`);
+      return {
+        productId: lineItem.productId,
+        status: 'error',
+        type: 'gift_card',
+        error: 'Gift card product not configured in database'
+      };
+    }
+
+    const amountCents = giftCardProduct.amount_cents;
+    const amountDisplay = `$${(amountCents / 100).toFixed(2)}`;
+
+    console.log(`[${requestId}] ✅ Found gift card mapping: ${amountDisplay} (${amountCents} cents)`);
+    console.log(`[${requestId}] Processing ${quantity} gift card(s)...`);
+
+    // Look up recipient info from database once (stored via product page form)
+    // This is the primary method since Webflow checkout doesn't support custom fields
+    let storedRecipientInfo = null;
+    try {
+      storedRecipientInfo = await getGiftCardRecipientInfo({
+        purchaserEmail: customerEmail,
+        productId: lineItem.productId
+      });
+      if (storedRecipientInfo) {
+        console.log(`[${requestId}] ✅ Found stored recipient info for purchaser ${customerEmail}`);
+      }
+    } catch (error) {
+      console.warn(`[${requestId}] ⚠️ Error looking up recipient info:`, error.message);
+      // Continue processing even if lookup fails
+    }
+
+    // Extract gift message and recipient info from order
+    // Priority: stored recipient info > order customFields > order notes
+    const giftMessage =
+      storedRecipientInfo?.message ||
+      orderData.customFields?.giftMessage ||
+      orderData.customFields?.['gift-message'] ||
+      orderData.customFields?.['gift_message'] ||
+      orderData.notes?.giftMessage ||
+      (typeof orderData.notes === 'string' ? orderData.notes : null) ||
+      lineItem.customFields?.giftMessage ||
+      lineItem.customFields?.['gift-message'] ||
+      orderData.metadata?.giftMessage ||
+      null;
+
+    const recipientName =
+      storedRecipientInfo?.recipient_name ||
+      orderData.customFields?.recipientName ||
+      orderData.customFields?.['recipient-name'] ||
+      orderData.customFields?.['recipient_name'] ||
+      orderData.customFields?.recipient ||
+      null;
+
+    const recipientEmail =
+      storedRecipientInfo?.recipient_email ||
+      orderData.customFields?.recipientEmail ||
+      orderData.customFields?.['recipient-email'] ||
+      orderData.customFields?.['recipient_email'] ||
+      null;
+
+    if (giftMessage) {
+      console.log(`[${requestId}] 📝 Gift message found: ${giftMessage.substring(0, 50)}...`);
+    }
+    if (recipientName) {
+      console.log(`[${requestId}] 👤 Recipient name found: ${recipientName}`);
+    }
+    if (recipientEmail) {
+      console.log(`[${requestId}] 📧 Recipient email found: ${recipientEmail}`);
+    }
+
+    // The codes can only reach a suppressed purchaser by email, so none are
+    // taken from the pool; the webhook records the line item as skipped.
+    const suppression = await getSuppression(customerEmail);
+    if (suppression) {
+      throw new EmailSuppressedError(customerEmail, suppression);
+    }
+
+    // Process each quantity unit. Each unit keeps its code across webhook
+    // retries, so a retry after a partial failure only sends the cards that
+    // did not go out.
+    let emailsSent = 0;
+    for (let i = 0; i < quantity; i++) {
+      console.log(`[${requestId}] Processing gift card ${i + 1}/${quantity} for ${amountDisplay}`);
+
+      // Atomically assign unused code (prevents race conditions)
+      console.log(`[${requestId}] Atomically assigning unused gift card code for ${amountDisplay}...`);
+      let giftCardCode;
+      try {
+        giftCardCode = await withBackoff(() => 
+          assignGiftCardCodeForUnit({
+            lineItemKey: idempotencyKey,
+            unitIndex: i,
+            amountCents,
+            order: { orderId, id: orderId },
+            purchaser: { email: customerEmail },
+            recipient: giftMessage || recipientName || recipientEmail ? {
+              email: recipientEmail,
+              name: recipientName,
+              message: giftMessage
+            } : null
+          })
+        );
+        console.log(`[${requestId}] ✅ Atomically assigned code: ...${giftCardCode.code.slice(-4)} (ID: ${giftCardCode.id})`);
+      } catch (error) {
+        if (error.message && error.message.includes('No unused gift card codes available')) {
+          console.error(`[${requestId}] ❌ No unused gift card codes available for ${amountDisplay} (${emailsSent}/${quantity} sent)`);
+          return {
+            productId: lineItem.productId,
+            status: 'error',
+            type: 'gift_card',
+            error: `No unused gift card codes available for ${amountDisplay}`,
+            amount: amountDisplay,
+            quantity: quantity,
+            emailsSent
+          };
+        }
+        throw error;
+      }
+
+      // Sent on an earlier attempt (or voided since): nothing to do.
+      if (giftCardCode.status !== 'assigned') {
+        console.log(`[${requestId}] ℹ️ Gift card ${i + 1}/${quantity} already ${giftCardCode.status} (code: ...${giftCardCode.code.slice(-4)}), skipping`);
+        if (giftCardCode.status === 'sent') {
+          emailsSent++;
+        }
+        continue;
+      }
+
+      // Send gift card email to purchaser
+      // Use message from database (if stored) or from order data
+      const emailMessage = giftCardCode.message || giftMessage;
+      const emailRecipientName = giftCardCode.recipient_name || recipientName || orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName;
+
+      console.log(`[${requestId}] 📧 Sending gift card email to purchaser ${customerEmail} for ${amountDisplay}...`);
+      if (emailMessage) {
+        console.log(`[${requestId}] 📝 Including gift message in email`);
+      }
+      let purchaserEmailResult;
+      try {
+        purchaserEmailResult = await sendGiftCardEmail({
+          to: customerEmail,
+          recipientName: emailRecipientName,
+          amountDisplay,
+          code: giftCardCode.code,
+          message: emailMessage,
+          shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
+          isRecipient: false, // This is the purchaser email
+          logContext: {
+            webflowOrderId: orderId,
+            productId: lineItem.productId,
+            giftCardCodeId: giftCardCode.id,
+            amountCents
+          }
+        });
+      } catch (error) {
+        // The code was never sent (suppressed since the check above, or the
+        // send failed), so it goes back in the pool.
+        await releaseGiftCardCode({ codeId: giftCardCode.id }).catch(releaseError => {
+          console.warn(`[${requestId}] ⚠️ Could not release gift card code ${giftCardCode.id}:`, releaseError.message);
+        });
+        throw error;
+      }
+      emailsSent++;
+
+      console.log(`[${requestId}] ✅ Gift card email sent to purchaser successfully`, {
+        email: customerEmail,
+        amount: amountDisplay,
+        resendId: purchaserEmailResult?.id || 'unknown'
+      });
+
+      await logEmail({
+        emailType: 'gift_card',
+        toEmail: customerEmail,
+        recipientRole: 'purchaser',
+        subject: `Your ${amountDisplay} Gift Card from Katie Ann Clay`,
+        resendMessageId: resendMessageId(purchaserEmailResult),
+        webflowOrderId: orderId,
+        productId: lineItem.productId,
+        giftCardCodeId: giftCardCode.id,
+        amountCents,
+        html: createGiftCardEmailTemplate({
+          recipientName: emailRecipientName || null,
+          amountDisplay,
+          code: giftCardCode.code,
+          message: emailMessage || null,
+          shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
+          isRecipient: false
+        }),
+        payload: {
+          code: giftCardCode.code,
+          amountCents,
+          recipientName: emailRecipientName || null,
+          message: emailMessage || null,
+          isRecipient: false
+        }
+      });
+
+      // Also send email to recipient if recipient email is provided
+      if (recipientEmail && recipientEmail !== customerEmail) {
+        console.log(`[${requestId}] 📧 Sending gift card email to recipient ${recipientEmail} for ${amountDisplay}...`);
+        try {
+          const recipientEmailResult = await sendGiftCardEmail({
+            to: recipientEmail,
+            recipientName: recipientName || 'Friend',
+            amountDisplay,
+            code: giftCardCode.code,
+            message: emailMessage,
+            shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
+            isRecipient: true, // This is the recipient email
+            logContext: {
+              webflowOrderId: orderId,
+              productId: lineItem.productId,
+              giftCardCodeId: giftCardCode.id,
+              amountCents
+            }
+          });
+
+          console.log(`[${requestId}] ✅ Gift card email sent to recipient successfully`, {
+            email: recipientEmail,
+            amount: amountDisplay,
+            resendId: recipientEmailResult?.id || 'unknown'
+          });
+
+          await logEmail({
+            emailType: 'gift_card',
+            toEmail: recipientEmail,
+            recipientRole: 'recipient',
+            subject: `You've received a ${amountDisplay} Gift Card from Katie Ann Clay!`,
+            resendMessageId: resendMessageId(recipientEmailResult),
+            webflowOrderId: orderId,
+            productId: lineItem.productId,
+            giftCardCodeId: giftCardCode.id,
+            amountCents,
+            html: createGiftCardEmailTemplate({
+              recipientName: recipientName || 'Friend',
+              amountDisplay,
+              code: giftCardCode.code,
+              message: emailMessage || null,
+              shopUrl: process.env.SHOP_URL || 'https://www.katieannclay.com/shop-filters',
+              isRecipient: true
+            }),
+            payload: {
+              code: giftCardCode.code,
+              amountCents,
+              recipientName: recipientName || 'Friend',
+              message: emailMessage || null,
+              isRecipient: true
+            }
+          });
+        } catch (recipientError) {
+          console.error(`[${requestId}] ❌ Failed to send email to recipient ${recipientEmail}:`, recipientError);
+          // Don't fail the entire process if recipient email fails
+          // Purchaser email was already sent successfully
+        }
+      } else if (recipientEmail === customerEmail) {
+        console.log(`[${requestId}] ℹ️ Recipient email same as purchaser, skipping duplicate email`);
+      }
+
+      // Mark as sent
+      console.log(`[${requestId}] Marking code as sent in database...`);
+      await withBackoff(() => 
+        markGiftCardSent({ codeId: giftCardCode.id })
+      );
+
+      console.log(`[${requestId}] ✅ Successfully completed gift card ${amountDisplay} (code: ...${giftCardCode.code.slice(-4)})`);
+    }
+
+    // Consume recipient info so it's not reused for future orders
+    if (storedRecipientInfo?.id) {
+      try {
+        await consumeGiftCardRecipientInfo(storedRecipientInfo.id);
+        console.log(`[${requestId}] 🗑️ Consumed recipient info record ${storedRecipientInfo.id}`);
+      } catch (error) {
+        console.warn(`[${requestId}] ⚠️ Failed to consume recipient info:`, error.message);
+      }
+    }
+
+    return {
+      productId: lineItem.productId,
+      status: 'success',
+      type: 'gift_card',
+      amount: amountDisplay,
+      quantity: quantity,
+      emailsSent
+    };
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Product handler registry for the order webhook.
+ *
+ * Each product type the webhook handles (workshops, retreats, gift cards) is
+ * a module here that the webhook looks up by product; the webhook itself
+ * only claims line items, records their outcome and sends consolidated order
+ * emails. A handler module exports:
+ *
+ *   type      - the type it handles, e.g. 'workshop' (also used in results)
+ *   priority  - handlers are tried highest first; the first whose
+ *               matches() is true handles the line item
+ *   matches(product, { skus })  - whether it handles a Webflow product
+ *               (may resolve asynchronously; the built-in types use the
+ *               classification rules in lib/productRules.js)
+ *   process(context)  - handle one line item. Resolves to the line item's
+ *               result ({ productId, status: 'success'|'skipped'|'error', ... }),
+ *               or null when the item was held for the consolidated order
+ *               email. Throws on failure (an EmailSuppressedError counts as
+ *               skipped); 'error' results and throws leave the line item for a
+ *               retry.
+ *
+ * Types whose details email can be part of the consolidated order email
+ * (lib/orderEmail.js) build an item { type, lineItem, idempotencyKey, data,
+ * customerData, payload } and return context.deliver(item), and also export:
+ *
+ *   sendEmail(item, context) - send and log the item's own email
+ *   finish(item, context)    - after the item's email (own or consolidated)
+ *               went out; resolves to the line item's result. If it throws,
+ *               the line item still succeeds (its email was sent), with the
+ *               error as the result's finishError
+ *
+ * `context` is { requestId, orderId, orderData, customerEmail, lineItem,
+ * product, idempotencyKey, results, deliver }. `results` is the order's
+ * result list: a handler may add results of its own to it besides the one it
+ * resolves to. `idempotencyKey` identifies the line item across webhook
+ * retries (gift cards key each card's code by it).
+ *
+ * To add a product type, add its module here and register it below.
+ */
+
+const handlers = [];
+
+/**
+ * Add a product handler to the registry.
+ *
+ * @param {Object} handler - see above
+ */
+function registerProductHandler(handler) {
+  if (!handler?.type || typeof handler.matches !== 'function' || typeof handler.process !== 'function') {
+    throw new Error('Invalid product handler: type, matches() and process() are required');
+  }
+  if (handlers.some(existing => existing.type === handler.type)) {
+    throw new Error(`Product handler already registered: ${handler.type}`);
+  }
+
+  handlers.push(handler);
+  handlers.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * The handler for a Webflow product, or null when no handler matches.
+ *
+ * @param {Object} product - Webflow product (`product` from getProduct)
+ * @param {Object} [options]
+ * @param {Array} [options.skus] - the product's SKUs (`skus` from getProduct)
+ * @returns {Promise<Object|null>}
+ */
+async function findProductHandler(product, { skus } = {}) {
+  for (const handler of handlers) {
+    if (await handler.matches(product, { skus })) return handler;
+  }
+  return null;
+}
+
+/**
+ * The handler registered for a type, or null.
+ */
+function getProductHandler(type) {
+  return handlers.find(handler => handler.type === type) || null;
+}
+
+/**
+ * Registered types, in the order they're tried.
+ */
+function listProductTypes() {
+  return handlers.map(handler => handler.type);
+}
+
+registerProductHandler(require('./retreat.js'));
+registerProductHandler(require('./giftCard.js'));
+registerProductHandler(require('./workshop.js'));
+
+module.exports = {
+  registerProductHandler,
+  findProductHandler,
+  getProductHandler,
+  listProductTypes
+};
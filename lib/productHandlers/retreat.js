@@ -0,0 +1,102 @@
+/**
+ * Retreat line items (passes and accommodations): the retreat details email.
+ */
+
+const { resolveGuidelines, isRetreatProduct } = require('../webflow.js');
+const { sendRetreatEmail, createRetreatEmailTemplate } = require('../resend.js');
+const { withBackoff } = require('../retry.js');
+const { logEmail, resendMessageId } = require('../emailLog.js');
+
+module.exports = {
+  type: 'retreat',
+
+  // Checked before workshops, because the legacy early bird retreat product
+  // has the Service product type.
+  priority: 30,
+
+  matches: isRetreatProduct,
+
+  async process(context) {
+    const { requestId, orderId, orderData, lineItem, idempotencyKey } = context;
+    console.log(`[${requestId}] 🏕️ Retreat product detected, fetching details...`);
+
+    const guidelines = await withBackoff(() =>
+      resolveGuidelines(process.env.WEBFLOW_SITE_ID, {
+        productId: lineItem.productId,
+        type: 'retreat'
+      })
+    );
+
+    if (!guidelines) {
+      console.error(`[${requestId}] No content found for retreat product ${lineItem.productId}`);
+      return {
+        productId: lineItem.productId,
+        status: 'error',
+        error: 'No content found for retreat product'
+      };
+    }
+
+    const retreatData = {
+      productId: lineItem.productId,
+      name: guidelines.name || lineItem.productName || lineItem.name,
+      guidelinesHtml: guidelines.guidelinesHtml || 'Retreat details coming soon...',
+      date: guidelines.date,
+      endDate: guidelines.endDate,
+      location: guidelines.location
+    };
+
+    const customerData = {
+      customerName: orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName || 'Retreat Guest',
+      orderId: orderId
+    };
+
+    const emailPayload = {
+      productId: lineItem.productId,
+      orderId,
+      customerName: customerData.customerName,
+      name: retreatData.name,
+      contentSource: guidelines.source,
+      cmsItemId: guidelines.cmsItemId || null,
+      ...(guidelines.sanitizeReport && { sanitized: guidelines.sanitizeReport })
+    };
+
+    if (guidelines.sanitizeReport) {
+      console.warn(`[${requestId}] ⚠️ Stripped unsafe content from retreat ${lineItem.productId}`, guidelines.sanitizeReport);
+    }
+
+    return context.deliver({ type: 'retreat', lineItem, idempotencyKey, data: retreatData, customerData, payload: emailPayload });
+  },
+
+  async sendEmail(item, { customerEmail }) {
+    const { lineItem, data, customerData, payload } = item;
+
+    const retreatEmailResult = await sendRetreatEmail({
+      email: customerEmail,
+      retreatData: data,
+      customerData,
+      logContext: { productId: lineItem.productId, payload }
+    });
+
+    await logEmail({
+      emailType: 'retreat',
+      toEmail: customerEmail,
+      subject: `Retreat Details: ${data.name}`,
+      resendMessageId: resendMessageId(retreatEmailResult),
+      webflowOrderId: customerData.orderId,
+      productId: lineItem.productId,
+      html: createRetreatEmailTemplate(data, customerData),
+      payload
+    });
+  },
+
+  async finish(item) {
+    console.log(`Successfully sent retreat email for ${item.data.name}`);
+    return {
+      productId: item.lineItem.productId,
+      status: 'success',
+      type: 'retreat',
+      retreatName: item.data.name,
+      emailSent: true
+    };
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Workshop line items: the attendee roster and capacity, the workshop
+ * details email (and each named guest's copy), and reminders.
+ */
+
+const { resolveGuidelines, isWorkshopProduct } = require('../webflow.js');
+const { sendWorkshopEmail, createWorkshopEmailTemplate } = require('../resend.js');
+const { withBackoff } = require('../retry.js');
+const { logEmail, resendMessageId } = require('../emailLog.js');
+const { scheduleWorkshopReminders } = require('../reminders.js');
+const { recordAttendee } = require('../attendees.js');
+const { checkWorkshopCapacity } = require('../capacity.js');
+const { markWaitlistBooked } = require('../waitlist.js');
+const { emailWorkshopGuests } = require('../guests.js');
+const { getEventTimes } = require('../calendar.js');
+
+module.exports = {
+  type: 'workshop',
+  priority: 10,
+
+  matches: isWorkshopProduct,
+
+  async process(context) {
+    const { requestId, orderId, orderData, customerEmail, lineItem, idempotencyKey } = context;
+
+    const guidelines = await withBackoff(() =>
+      resolveGuidelines(process.env.WEBFLOW_SITE_ID, {
+        productId: lineItem.productId
+      })
+    );
+
+    if (!guidelines) {
+      console.error(`[${requestId}] No guidelines found for product ${lineItem.productId}`);
+      return {
+        productId: lineItem.productId,
+        status: 'error',
+        error: 'No guidelines found for workshop'
+      };
+    }
+
+    const workshopData = {
+      productId: lineItem.productId,
+      name: guidelines.name || lineItem.productName || lineItem.name,
+      date: guidelines.date || 'TBD',
+      location: guidelines.location || 'TBD',
+      guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...',
+      duration: guidelines.duration,
+      whatToBring: guidelines.whatToBring,
+      parking: guidelines.parking,
+      reschedulePolicy: guidelines.reschedulePolicy,
+      faq: guidelines.faq
+    };
+
+    const attendeeName = orderData.customerInfo?.fullName || orderData.customer?.name || orderData.customer?.firstName;
+    const customerData = {
+      customerName: attendeeName || 'Workshop Participant',
+      orderId: orderId
+    };
+
+    // The seat is booked whether or not the email goes out, so the roster
+    // row is recorded (and capacity checked) before sending; a retry just
+    // updates it.
+    const eventTimes = getEventTimes(guidelines);
+    const attendee = await recordAttendee({
+      idempotencyKey,
+      orderId,
+      productId: lineItem.productId,
+      workshopName: workshopData.name,
+      eventDate: guidelines.date,
+      eventStart: eventTimes?.start,
+      eventEnd: eventTimes?.end,
+      customerName: attendeeName,
+      customerEmail,
+      quantity: lineItem.count || lineItem.quantity || 1
+    });
+    if (attendee) {
+      await markWaitlistBooked(lineItem.productId, customerEmail);
+      const capacity = await checkWorkshopCapacity({
+        productId: lineItem.productId,
+        workshopName: workshopData.name,
+        date: guidelines.date
+      });
+      if (capacity) {
+        console.log(`[${requestId}] 🪑 ${workshopData.name}: ${capacity.seats}/${capacity.capacity} seats booked`);
+      }
+    }
+
+    const emailPayload = {
+      productId: lineItem.productId,
+      orderId,
+      customerName: customerData.customerName,
+      name: workshopData.name,
+      contentSource: guidelines.source,
+      cmsItemId: guidelines.cmsItemId || null,
+      ...(guidelines.sanitizeReport && { sanitized: guidelines.sanitizeReport })
+    };
+
+    if (guidelines.sanitizeReport) {
+      console.warn(`[${requestId}] ⚠️ Stripped unsafe content from workshop ${lineItem.productId}`, guidelines.sanitizeReport);
+    }
+
+    return context.deliver({
+      type: 'workshop',
+      lineItem,
+      idempotencyKey,
+      data: workshopData,
+      customerData,
+      payload: emailPayload,
+      eventStart: eventTimes?.start
+    });
+  },
+
+  async sendEmail(item, { customerEmail }) {
+    const { lineItem, data, customerData, payload } = item;
+
+    const workshopEmailResult = await sendWorkshopEmail({
+      email: customerEmail,
+      workshopData: data,
+      customerData,
+      templateId: process.env.RESEND_TEMPLATE_ID,
+      logContext: { productId: lineItem.productId, payload }
+    });
+
+    await logEmail({
+      emailType: 'workshop',
+      toEmail: customerEmail,
+      subject: `Workshop Details: ${data.name}`,
+      resendMessageId: resendMessageId(workshopEmailResult),
+      webflowOrderId: customerData.orderId,
+      productId: lineItem.productId,
+      html: createWorkshopEmailTemplate(data, customerData),
+      payload
+    });
+  },
+
+  async finish(item, { requestId, orderId, customerEmail }) {
+    const { lineItem, idempotencyKey, data, customerData, payload } = item;
+
+    // Everyone else on a multi-seat booking gets their own copy, if the
+    // purchaser named them on the product page.
+    const guestEmails = await emailWorkshopGuests({
+      idempotencyKey,
+      orderId,
+      purchaserEmail: customerEmail,
+      seats: lineItem.count || lineItem.quantity || 1,
+      workshopData: data,
+      payload
+    });
+    if (guestEmails.sent || guestEmails.skipped || guestEmails.failed) {
+      console.log(`[${requestId}] 👥 Guest emails for ${data.name}: ${JSON.stringify(guestEmails)}`);
+    }
+
+    console.log(`Successfully sent workshop email for ${data.name}`);
+
+    if (item.eventStart) {
+      const scheduled = await scheduleWorkshopReminders({
+        idempotencyKey,
+        orderId,
+        productId: lineItem.productId,
+        customerEmail,
+        customerName: customerData.customerName,
+        workshopName: data.name,
+        eventStart: item.eventStart
+      });
+      if (scheduled) {
+        console.log(`[${requestId}] ⏰ Scheduled ${scheduled} reminder(s) for ${data.name}`);
+      }
+    }
+
+    return {
+      productId: lineItem.productId,
+      status: 'success',
+      workshopName: data.name,
+      emailSent: true,
+      ...(guestEmails.sent && { guestEmailsSent: guestEmails.sent })
+    };
+  }
+};
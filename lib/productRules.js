@@ -0,0 +1,415 @@
+/**
+ * Product classification rules.
+ *
+ * Rows in `product_classification_rules` say which Webflow products are
+ * workshops, retreats or gift cards: by category id, product type, SKU prefix,
+ * name pattern or explicit product id. The classifiers in lib/webflow.js
+ * (isWorkshopProduct etc.) match products against them, so catalog changes
+ * are made from the dashboard instead of in code.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+const PRODUCT_EMAIL_TYPES = ['workshop', 'retreat', 'gift_card'];
+const MATCH_TYPES = ['category', 'product_type', 'sku_prefix', 'name_pattern', 'product_id'];
+
+// Category ids from the environment that classify a type while the table has
+// no enabled category rules for it (these ids differ per site, so aren't
+// seeded).
+const ENV_CATEGORY_FALLBACKS = {
+  retreat: ['WEBFLOW_RETREAT_PASSES_CATEGORY_ID', 'WEBFLOW_RETREAT_ACCOMMODATIONS_CATEGORY_ID'],
+  gift_card: ['WEBFLOW_GIFT_CARDS_CATEGORY_ID']
+};
+
+// Used when the variable isn't set: the shop's gift cards category, which
+// classification used before the variable existed.
+const ENV_CATEGORY_DEFAULTS = {
+  WEBFLOW_GIFT_CARDS_CATEGORY_ID: '692231be383c8c6deb011c7f'
+};
+
+// name_pattern rules run against every product an order contains, so they're
+// kept short and free of repeated groups like (a+)+ or (a|a)*, which can
+// backtrack for exponentially long on a name that nearly matches.
+const MAX_NAME_PATTERN_LENGTH = 100;
+
+// How long loaded rules are trusted before the table is read again. Edits made
+// on this instance clear the cache; other instances see them within this.
+const RULES_TTL_MS = 60 * 1000;
+
+let rulesCache = null;
+const patternCache = new Map();
+
+/**
+ * Category rules standing in for types that have no enabled category rules in
+ * the table.
+ */
+function envFallbackRules(rules) {
+  const fallbacks = [];
+  for (const [emailType, envVars] of Object.entries(ENV_CATEGORY_FALLBACKS)) {
+    if (rules.some(rule => rule.enabled && rule.email_type === emailType && rule.match_type === 'category')) continue;
+    for (const envVar of envVars) {
+      const value = process.env[envVar] || ENV_CATEGORY_DEFAULTS[envVar];
+      if (!value) continue;
+      fallbacks.push({
+        id: null,
+        email_type: emailType,
+        match_type: 'category',
+        match_value: value,
+        enabled: true,
+        note: process.env[envVar]
+          ? `From ${envVar} (until a ${emailType} category rule is added)`
+          : `Default for ${envVar} (until a ${emailType} category rule is added)`,
+        source: 'env'
+      });
+    }
+  }
+  return fallbacks;
+}
+
+async function selectRules() {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('product_classification_rules')
+    .select('*')
+    .order('email_type', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading product classification rules:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * The rules classification uses: enabled table rules plus any environment
+ * fallbacks. Cached per instance for RULES_TTL_MS. If the table can't be read
+ * the last rules loaded are used; with none, this throws (the webhook then
+ * fails the line item so Webflow retries it, rather than skipping it).
+ *
+ * @returns {Promise<Array>}
+ */
+async function getClassificationRules() {
+  if (rulesCache && rulesCache.expiresAt > Date.now()) {
+    return rulesCache.rules;
+  }
+
+  try {
+    const rows = await selectRules();
+    const rules = rows.filter(rule => rule.enabled).concat(envFallbackRules(rows));
+    rulesCache = { rules, expiresAt: Date.now() + RULES_TTL_MS };
+    return rules;
+  } catch (error) {
+    if (rulesCache) {
+      console.warn('⚠️ Could not reload product classification rules, using the last ones loaded:', error.message);
+      return rulesCache.rules;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Forget the cached rules, so the next classification reads the table.
+ */
+function clearClassificationRulesCache() {
+  rulesCache = null;
+}
+
+/**
+ * Whether a regular expression repeats a group that itself contains a
+ * quantifier or an alternation, e.g. (a+)+, (\w*\s?)* or (a|a)*.
+ */
+function hasNestedQuantifier(source) {
+  const groups = [];
+  let quantified = false;
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(quantified);
+      quantified = false;
+    } else if (char === ')') {
+      const inner = quantified;
+      if (inner && '+*{'.includes(source[i + 1] || ' ')) return true;
+      quantified = (groups.length ? groups.pop() : false) || inner;
+    } else if ('+*{|'.includes(char)) {
+      // An alternation inside a repeated group backtracks like a quantifier.
+      quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * What's wrong with a name_pattern rule's value, or null if it's usable.
+ */
+function checkNamePattern(value) {
+  if (value.length > MAX_NAME_PATTERN_LENGTH) {
+    return `Name pattern must be at most ${MAX_NAME_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(value, 'i');
+  } catch (error) {
+    return `Invalid name pattern: ${error.message}`;
+  }
+  if (hasNestedQuantifier(value)) {
+    return 'Name pattern must not repeat a group that contains +, *, {} or |, e.g. (a+)+ or (a|b)*';
+  }
+  return null;
+}
+
+/**
+ * Compile a name_pattern rule's value (case-insensitive). Null if it isn't
+ * usable (see checkNamePattern), e.g. a rule saved before those checks.
+ */
+function namePattern(value) {
+  if (!patternCache.has(value)) {
+    const invalid = checkNamePattern(value);
+    if (invalid) {
+      console.warn(`⚠️ Ignoring product name pattern /${value}/: ${invalid}`);
+    }
+    patternCache.set(value, invalid ? null : new RegExp(value, 'i'));
+  }
+  return patternCache.get(value);
+}
+
+function productSkus(skus) {
+  return (skus || [])
+    .map(sku => sku?.fieldData?.sku || sku?.sku)
+    .filter(Boolean);
+}
+
+/**
+ * Whether one rule matches a Webflow product.
+ *
+ * @param {Object} rule - product_classification_rules row
+ * @param {Object} product - Webflow product (`product` from getProduct)
+ * @param {Object} [options]
+ * @param {Array} [options.skus] - the product's SKUs (`skus` from getProduct), for sku_prefix rules
+ * @returns {boolean}
+ */
+function ruleMatches(rule, product, { skus } = {}) {
+  if (!product) return false;
+  const fieldData = product.fieldData || {};
+  const value = String(rule.match_value || '').trim();
+  if (!value) return false;
+
+  switch (rule.match_type) {
+    case 'category':
+      return [].concat(fieldData.category || []).includes(value);
+    case 'product_type':
+      return fieldData['ec-product-type'] === value;
+    case 'product_id':
+      return product.id === value;
+    case 'sku_prefix':
+      return productSkus(skus).some(sku => sku.toLowerCase().startsWith(value.toLowerCase()));
+    case 'name_pattern': {
+      const pattern = namePattern(value);
+      return Boolean(pattern) && pattern.test(fieldData.name || product.name || '');
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * The rules (from `rules`, or the current rules) that match a product.
+ *
+ * @returns {Promise<Array>}
+ */
+async function matchingRules(product, { skus, rules } = {}) {
+  const candidates = rules || await getClassificationRules();
+  return candidates.filter(rule => ruleMatches(rule, product, { skus }));
+}
+
+/**
+ * Whether any current rule for `emailType` matches a product.
+ *
+ * @param {'workshop'|'retreat'|'gift_card'} emailType
+ * @returns {Promise<boolean>}
+ */
+async function productMatchesType(emailType, product, { skus } = {}) {
+  const rules = await getClassificationRules();
+  return rules.some(rule => rule.email_type === emailType && ruleMatches(rule, product, { skus }));
+}
+
+/**
+ * Check a rule before saving it.
+ *
+ * @returns {string|null} what's wrong with it, or null if it's valid
+ */
+function validateClassificationRule({ emailType, matchType, matchValue }) {
+  if (!PRODUCT_EMAIL_TYPES.includes(emailType)) {
+    return `Email type must be one of: ${PRODUCT_EMAIL_TYPES.join(', ')}`;
+  }
+  if (!MATCH_TYPES.includes(matchType)) {
+    return `Match type must be one of: ${MATCH_TYPES.join(', ')}`;
+  }
+  const value = String(matchValue || '').trim();
+  if (!value) {
+    return 'Match value is required';
+  }
+  if (value.length > 200) {
+    return 'Match value is too long';
+  }
+  if (matchType === 'name_pattern') {
+    return checkNamePattern(value);
+  }
+  return null;
+}
+
+/**
+ * Every rule in the table (disabled ones too), plus the environment fallbacks
+ * currently in effect, for the dashboard.
+ *
+ * @returns {Promise<{rules: Array, fallbacks: Array}>}
+ */
+async function listClassificationRules() {
+  try {
+    const rows = await selectRules();
+    return { rules: rows, fallbacks: envFallbackRules(rows) };
+  } catch (error) {
+    console.error('Error in listClassificationRules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a rule. Throws on an invalid rule; a duplicate of an existing rule
+ * fails with Postgres unique violation (code 23505).
+ *
+ * @param {Object} params
+ * @param {'workshop'|'retreat'|'gift_card'} params.emailType
+ * @param {string} params.matchType
+ * @param {string} params.matchValue
+ * @param {string} [params.note]
+ * @param {string} [params.createdBy] - dashboard user email
+ * @returns {Promise<Object>} the new row
+ */
+async function createClassificationRule({ emailType, matchType, matchValue, note, createdBy }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const invalid = validateClassificationRule({ emailType, matchType, matchValue });
+    if (invalid) {
+      throw new Error(invalid);
+    }
+
+    const { data, error } = await supabase
+      .from('product_classification_rules')
+      .insert({
+        email_type: emailType,
+        match_type: matchType,
+        match_value: String(matchValue).trim(),
+        note: note || null,
+        created_by: createdBy || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating classification rule:', error);
+      throw error;
+    }
+
+    clearClassificationRulesCache();
+    return data;
+  } catch (error) {
+    console.error('Error in createClassificationRule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable/disable a rule or change its note.
+ *
+ * @param {string} id
+ * @param {Object} changes
+ * @param {boolean} [changes.enabled]
+ * @param {string|null} [changes.note]
+ * @returns {Promise<Object|null>} the updated row, or null if there's no such rule
+ */
+async function updateClassificationRule(id, { enabled, note }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const changes = {};
+    if (typeof enabled === 'boolean') changes.enabled = enabled;
+    if (note !== undefined) changes.note = note || null;
+
+    const { data, error } = await supabase
+      .from('product_classification_rules')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating classification rule:', error);
+      throw error;
+    }
+
+    clearClassificationRulesCache();
+    return data;
+  } catch (error) {
+    console.error('Error in updateClassificationRule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a rule.
+ *
+ * @param {string} id
+ * @returns {Promise<boolean>} true if a rule was deleted
+ */
+async function deleteClassificationRule(id) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('product_classification_rules')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting classification rule:', error);
+      throw error;
+    }
+
+    clearClassificationRulesCache();
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Error in deleteClassificationRule:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  PRODUCT_EMAIL_TYPES,
+  MATCH_TYPES,
+  getClassificationRules,
+  clearClassificationRulesCache,
+  ruleMatches,
+  matchingRules,
+  productMatchesType,
+  validateClassificationRule,
+  listClassificationRules,
+  createClassificationRule,
+  updateClassificationRule,
+  deleteClassificationRule
+};
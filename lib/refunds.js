@@ -0,0 +1,222 @@
+/**
+ * Refunded and cancelled orders.
+ *
+ * When Webflow reports an order as refunded or lost to a dispute (an
+ * `ecomm_order_changed` webhook), refundOrder() undoes what the order webhook
+ * did for it: the order's gift card codes are voided, its workshop seats are
+ * released (and offered to the waitlist), and its reminders and follow-ups are
+ * stopped. Unless ORDER_REFUND_EMAILS=false, the customer gets a 'refund'
+ * email whose email_log row records the transition.
+ *
+ * Each refund is claimed in `order_refunds` first, so Webflow retrying the
+ * webhook never does it twice, and a refund that failed is retried in full
+ * (every step is safe to repeat) the next time Webflow sends the order.
+ */
+
+const { getSupabaseClient, voidOrderGiftCardCodes } = require('./supabase.js');
+const { sendOrderRefundEmail, createOrderRefundEmailTemplate, orderRefundSubject, EmailSuppressedError } = require('./resend.js');
+const { releaseWorkshopSeat } = require('./capacity.js');
+const { cancelLineItemReminders } = require('./reminders.js');
+const { skipLineItemFollowUps } = require('./followUps.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+
+const REFUND_STATUSES = ['processing', 'completed', 'failed'];
+
+// Recorded on the voided codes, released seats, reminders and follow-ups.
+const REFUND_REASON = 'order_refunded';
+
+// A 'processing' claim older than this is treated as abandoned and claimed again.
+const STALE_CLAIM_SECONDS = 600;
+
+function isRefundEmailEnabled() {
+  return process.env.ORDER_REFUND_EMAILS !== 'false';
+}
+
+async function updateRefund(orderId, update) {
+  const supabase = getSupabaseClient();
+  const { error } = await supabase
+    .from('order_refunds')
+    .update(update)
+    .eq('webflow_order_id', orderId);
+
+  if (error) {
+    console.warn(`⚠️ Failed to update refund of order ${orderId}:`, error.message);
+  }
+}
+
+async function listOrderLineItems(orderId) {
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('idempotency_key, webflow_order_id, product_id, product_name, customer_email')
+    .eq('webflow_order_id', orderId)
+    .eq('status', 'succeeded');
+
+  if (error) {
+    console.error(`Error loading line items of order ${orderId}:`, error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Release the order's workshop seats and stop their reminders and
+ * follow-ups. Best-effort: failures are logged, not thrown, so they can't
+ * keep the gift cards from being voided or the customer from being told.
+ *
+ * @returns {Promise<number>} seats released
+ */
+async function stopBookings(orderId, lineItems) {
+  let seats = 0;
+  const released = [];
+  for (const lineItem of lineItems) {
+    try {
+      const result = await releaseWorkshopSeat(lineItem.idempotency_key, { reason: REFUND_REASON });
+      if (result) {
+        seats += result.attendee.quantity || 1;
+        released.push(lineItem);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not release the seat of refunded line item ${lineItem.idempotency_key.substring(0, 8)}...:`, error?.message);
+    }
+  }
+
+  const steps = [
+    ['cancel reminders', () => cancelLineItemReminders(lineItems.map(item => item.idempotency_key), REFUND_REASON)],
+    ['skip follow-ups', () => skipLineItemFollowUps(released, REFUND_REASON)]
+  ];
+  for (const [label, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.warn(`⚠️ Could not ${label} for refunded order ${orderId}:`, error?.message);
+    }
+  }
+
+  return seats;
+}
+
+/**
+ * Tell the customer their order was cancelled. Never throws.
+ *
+ * @returns {Promise<{status: 'sent'|'skipped'|'failed', emailLogId?: string, error?: string}>}
+ */
+async function sendRefundEmail({ email, customerData, items, voidedCodes, releasedSeats, transition }) {
+  const payload = {
+    orderId: customerData.orderId,
+    customerName: customerData.customerName,
+    items,
+    ...transition,
+    voidedCodes: voidedCodes.map(code => code.code),
+    releasedSeats
+  };
+  const emailArgs = { items, voidedCodes: payload.voidedCodes, releasedSeats: releasedSeats > 0 };
+
+  try {
+    const result = await sendOrderRefundEmail({
+      email,
+      customerData,
+      ...emailArgs,
+      logContext: { payload }
+    });
+
+    const logged = await logEmail({
+      emailType: 'refund',
+      toEmail: email,
+      subject: orderRefundSubject(customerData.orderId),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: customerData.orderId,
+      html: createOrderRefundEmailTemplate(customerData, emailArgs),
+      payload
+    });
+    return { status: 'sent', emailLogId: logged?.id || null };
+  } catch (error) {
+    if (error instanceof EmailSuppressedError) {
+      return { status: 'skipped', error: error.message };
+    }
+    console.error(`Error sending refund email for order ${customerData.orderId}:`, error.message);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Undo a refunded or cancelled order. Does nothing when the refund was already
+ * handled (or is being handled by another instance).
+ *
+ * @param {Object} params
+ * @param {string} params.orderId - Webflow order id
+ * @param {string} params.webflowStatus - e.g. 'refunded', 'dispute-lost'
+ * @param {Object} params.orderData - the order as sent in the webhook
+ * @param {string} [params.triggerType] - Webflow webhook triggerType
+ * @returns {Promise<{handled: boolean, voidedCodes?: number, releasedSeats?: number, emailStatus?: string|null}>}
+ * @throws on database errors loading the order or voiding its codes; the
+ *   refund is left 'failed' for the order's next webhook to retry
+ */
+async function refundOrder({ orderId, webflowStatus, orderData, triggerType }) {
+  const supabase = getSupabaseClient();
+  const customerEmail = orderData.customerInfo?.email || orderData.customer?.email || null;
+
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_order_refund', {
+    p_webflow_order_id: orderId,
+    p_webflow_status: webflowStatus,
+    p_customer_email: customerEmail,
+    p_stale_after_seconds: STALE_CLAIM_SECONDS
+  });
+  if (claimError) {
+    console.error(`Error claiming refund of order ${orderId}:`, claimError);
+    throw claimError;
+  }
+  if (!claimed?.length) {
+    return { handled: false };
+  }
+
+  try {
+    const lineItems = await listOrderLineItems(orderId);
+    const voidedCodes = await voidOrderGiftCardCodes(orderId, REFUND_REASON);
+    if (voidedCodes.length) {
+      console.log(`🚫 Voided ${voidedCodes.length} gift card code(s) of order ${orderId}`);
+    }
+    // Codes voided by an earlier, failed attempt are already counted.
+    await updateRefund(orderId, { voided_code_count: claimed[0].voided_code_count + voidedCodes.length });
+
+    const releasedSeats = await stopBookings(orderId, lineItems);
+
+    let email = null;
+    if (isRefundEmailEnabled() && customerEmail) {
+      email = await sendRefundEmail({
+        email: customerEmail,
+        customerData: {
+          customerName: orderData.customerInfo?.fullName || null,
+          orderId
+        },
+        items: lineItems.map(item => item.product_name || item.product_id),
+        voidedCodes,
+        releasedSeats,
+        transition: { webflowStatus, triggerType: triggerType || null }
+      });
+    }
+
+    await updateRefund(orderId, {
+      status: 'completed',
+      released_seat_count: releasedSeats,
+      email_status: email?.status || null,
+      email_log_id: email?.emailLogId || null,
+      error: email?.status === 'failed' ? email.error : null,
+      completed_at: new Date().toISOString()
+    });
+
+    return { handled: true, voidedCodes: voidedCodes.length, releasedSeats, emailStatus: email?.status || null };
+  } catch (error) {
+    await updateRefund(orderId, {
+      status: 'failed',
+      error: String(error?.message || error || 'Unknown error').substring(0, 2000)
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  REFUND_STATUSES,
+  isRefundEmailEnabled,
+  refundOrder
+};
@@ -0,0 +1,308 @@
+/**
+ * Pre-workshop reminder schedule.
+ *
+ * When a workshop line item is processed, one `workshop_reminders` row is
+ * scheduled per offset in WORKSHOP_REMINDER_OFFSETS (default "7d,1d") whose
+ * send time is still in the future. /api/cron/reminders claims due rows with
+ * claimDueReminders() and records each outcome here.
+ *
+ * Scheduling is best-effort and never throws (a missing reminder must not fail
+ * an order that was already emailed); claiming and status updates throw like
+ * the order ledger, so the cron run reports them.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+const { parseDurationMinutes } = require('./calendar.js');
+
+const REMINDER_STATUSES = ['scheduled', 'sending', 'sent', 'skipped', 'cancelled', 'failed'];
+
+const DEFAULT_REMINDER_OFFSETS = '7d,1d';
+
+// A 'sending' claim older than this is treated as abandoned and claimed again.
+const STALE_CLAIM_SECONDS = 600;
+
+// Sends that fail this many times stop being retried.
+const MAX_REMINDER_ATTEMPTS = 3;
+
+/**
+ * Reminder offsets in minutes, largest first, from WORKSHOP_REMINDER_OFFSETS:
+ * comma-separated durations such as "7d,1d" or "2 days, 3 hours".
+ */
+function getReminderOffsets() {
+  const raw = process.env.WORKSHOP_REMINDER_OFFSETS || DEFAULT_REMINDER_OFFSETS;
+  const offsets = raw
+    .split(',')
+    .map(part => parseDurationMinutes(part.trim()))
+    .filter(Boolean);
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Reminder rows for a line item whose send time is still in the future.
+ */
+function reminderRows({ idempotencyKey, orderId, productId, customerEmail, customerName, workshopName, eventStart }) {
+  const now = Date.now();
+  return getReminderOffsets()
+    .map(offsetMinutes => ({
+      idempotency_key: idempotencyKey,
+      webflow_order_id: orderId,
+      product_id: productId,
+      to_email: customerEmail,
+      customer_name: customerName || null,
+      workshop_name: workshopName || null,
+      event_start: eventStart.toISOString(),
+      offset_minutes: offsetMinutes,
+      send_at: new Date(eventStart.getTime() - offsetMinutes * 60 * 1000).toISOString()
+    }))
+    .filter(row => new Date(row.send_at).getTime() > now);
+}
+
+/**
+ * Schedule the reminders for a processed workshop line item. Offsets whose
+ * send time has already passed are left out; rows that already exist (webhook
+ * retry) are kept as they are. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.idempotencyKey - order line item key
+ * @param {string} params.orderId
+ * @param {string} params.productId
+ * @param {string} params.customerEmail
+ * @param {string} [params.customerName]
+ * @param {string} [params.workshopName]
+ * @param {Date} params.eventStart
+ * @returns {Promise<number>} how many reminders were scheduled
+ */
+async function scheduleWorkshopReminders(params) {
+  try {
+    const rows = reminderRows(params);
+    if (!rows.length) return 0;
+
+    const supabase = getSupabaseClient();
+    const { error } = await supabase
+      .from('workshop_reminders')
+      .upsert(rows, { onConflict: 'idempotency_key,offset_minutes', ignoreDuplicates: true });
+
+    if (error) {
+      console.warn('⚠️ Failed to schedule workshop reminders:', error.message);
+      return 0;
+    }
+
+    return rows.length;
+  } catch (error) {
+    console.warn('⚠️ Unexpected error scheduling workshop reminders:', error?.message);
+    return 0;
+  }
+}
+
+/**
+ * Atomically claim reminders that are due.
+ *
+ * @param {number} [limit=50]
+ * @returns {Promise<Object[]>} claimed workshop_reminders rows (now 'sending')
+ */
+async function claimDueReminders(limit = 50) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase.rpc('claim_due_workshop_reminders', {
+    p_limit: limit,
+    p_stale_after_seconds: STALE_CLAIM_SECONDS
+  });
+
+  if (error) {
+    console.error('Error claiming due reminders:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function updateReminder(id, update) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_reminders')
+    .update(update)
+    .eq('id', id);
+
+  if (error) {
+    console.error(`Error updating reminder ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed reminder as sent.
+ *
+ * @param {string} id
+ * @param {Object} [details]
+ * @param {string} [details.emailLogId]
+ */
+async function completeReminder(id, { emailLogId } = {}) {
+  await updateReminder(id, {
+    status: 'sent',
+    error: null,
+    email_log_id: emailLogId || null,
+    sent_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Mark a claimed reminder as skipped (it will not be sent).
+ *
+ * @param {string} id
+ * @param {string} reason - e.g. 'order_refunded', 'event_passed', 'suppressed'
+ */
+async function skipReminder(id, reason) {
+  await updateReminder(id, { status: 'skipped', reason });
+}
+
+/**
+ * Move a claimed reminder to a new workshop start (the date changed in the CMS
+ * since it was scheduled) and put it back in the queue.
+ *
+ * @param {Object} reminder - the claimed row
+ * @param {Date} eventStart
+ */
+async function rescheduleReminder(reminder, eventStart) {
+  await updateReminder(reminder.id, {
+    status: 'scheduled',
+    event_start: eventStart.toISOString(),
+    send_at: new Date(eventStart.getTime() - reminder.offset_minutes * 60 * 1000).toISOString(),
+    // Moving it isn't a failed send attempt.
+    attempts: Math.max(0, reminder.attempts - 1)
+  });
+}
+
+/**
+ * Record a failed send. The reminder goes back in the queue for the next cron
+ * run unless it has used up MAX_REMINDER_ATTEMPTS or the error isn't retryable.
+ *
+ * @param {Object} reminder - the claimed row
+ * @param {Error} error
+ * @returns {Promise<boolean>} whether it will be retried
+ */
+async function failReminder(reminder, error) {
+  const retry = error?.retryable !== false && reminder.attempts < MAX_REMINDER_ATTEMPTS;
+
+  await updateReminder(reminder.id, {
+    status: retry ? 'scheduled' : 'failed',
+    error: String(error?.message || error || 'Unknown error').substring(0, 2000)
+  });
+
+  return retry;
+}
+
+/**
+ * Move a line item's reminders to another workshop (the booking was moved):
+ * reminders still pending for the old workshop are cancelled, and every
+ * offset still ahead of the new workshop is scheduled again, even one already
+ * sent for the old date.
+ *
+ * @param {Object} params - as for scheduleWorkshopReminders(); eventStart may
+ *   be null when the new workshop has no date, leaving nothing scheduled
+ * @returns {Promise<number>} how many reminders are now scheduled
+ */
+async function moveWorkshopReminders(params) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_reminders')
+    .update({ status: 'cancelled', reason: 'rescheduled' })
+    .eq('idempotency_key', params.idempotencyKey)
+    .in('status', ['scheduled', 'failed']);
+
+  if (error) {
+    console.error(`Error cancelling reminders of line item ${params.idempotencyKey.substring(0, 8)}...:`, error);
+    throw error;
+  }
+
+  const rows = params.eventStart ? reminderRows(params) : [];
+  if (!rows.length) return 0;
+
+  const { error: upsertError } = await supabase
+    .from('workshop_reminders')
+    .upsert(rows.map(row => ({
+      ...row,
+      status: 'scheduled',
+      attempts: 0,
+      reason: null,
+      error: null,
+      email_log_id: null,
+      claimed_at: null,
+      sent_at: null
+    })), { onConflict: 'idempotency_key,offset_minutes' });
+
+  if (upsertError) {
+    console.error(`Error rescheduling reminders of line item ${params.idempotencyKey.substring(0, 8)}...:`, upsertError);
+    throw upsertError;
+  }
+
+  return rows.length;
+}
+
+/**
+ * Cancel a workshop's reminders that haven't been sent yet (the workshop was
+ * cancelled).
+ *
+ * @param {string} productId
+ * @param {string} reason - e.g. 'workshop_cancelled'
+ * @returns {Promise<number>} how many reminders were cancelled
+ */
+async function cancelWorkshopReminders(productId, reason) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_reminders')
+    .update({ status: 'cancelled', reason })
+    .eq('product_id', productId)
+    .in('status', ['scheduled', 'failed'])
+    .select('id');
+
+  if (error) {
+    console.error(`Error cancelling reminders for workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return data?.length || 0;
+}
+
+/**
+ * Cancel the reminders of the given line items that haven't been sent yet
+ * (their order was refunded).
+ *
+ * @param {string[]} idempotencyKeys
+ * @param {string} reason - e.g. 'order_refunded'
+ * @returns {Promise<number>} how many reminders were cancelled
+ */
+async function cancelLineItemReminders(idempotencyKeys, reason) {
+  if (!idempotencyKeys.length) return 0;
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_reminders')
+    .update({ status: 'cancelled', reason })
+    .in('idempotency_key', idempotencyKeys)
+    .in('status', ['scheduled', 'failed'])
+    .select('id');
+
+  if (error) {
+    console.error('Error cancelling line item reminders:', error);
+    throw error;
+  }
+
+  return data?.length || 0;
+}
+
+module.exports = {
+  REMINDER_STATUSES,
+  getReminderOffsets,
+  scheduleWorkshopReminders,
+  claimDueReminders,
+  completeReminder,
+  skipReminder,
+  rescheduleReminder,
+  failReminder,
+  moveWorkshopReminders,
+  cancelWorkshopReminders,
+  cancelLineItemReminders
+};
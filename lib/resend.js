@@ -1,8 +1,143 @@
 /**
  * Resend API integration for workshop emails
+ *
+ * Messages are built in Resend's emails.send() shape and handed to an email
+ * transport chosen by EMAIL_TRANSPORT: 'resend' (default), 'smtp', or 'file'
+ * (writes each message to a local maildir instead of sending it).
  */
 
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const cheerio = require('cheerio');
+const nodemailer = require('nodemailer');
 const { Resend } = require('resend');
+const { buildCalendarEvent, createCalendarLinks, createIcsAttachment } = require('./calendar.js');
+const { getSuppression } = require('./suppressions.js');
+const { logEmail } = require('./emailLog.js');
+const { htmlToText } = require('./emailText.js');
+const { prepareEmailHtml } = require('./emailHtml.js');
+const { looksLikeHtml, sanitizeHtml } = require('./htmlSanitizer.js');
+const { withBackoff } = require('./retry.js');
+const {
+  BRAND_THEME,
+  baseStyles,
+  titleStyles,
+  contentSectionStyles,
+  calloutStyles,
+  infoTableStyles,
+  detailSectionStyles,
+  buttonStyles,
+  footerStyles,
+  richTextStyles,
+  renderInfoTable,
+  renderDetailSection,
+  renderFaqList,
+  renderButton,
+  renderEmailLayout
+} = require('./emailLayout.js');
+
+/**
+ * A send that Resend rejected. The Resend v3 SDK returns `{ data, error }`
+ * instead of throwing, so normalizeSendResult() turns its errors into these.
+ * `retryable` tells withBackoff (defaultShouldRetry) whether another attempt
+ * can help.
+ */
+class EmailSendError extends Error {
+  constructor(message, { kind = 'unknown', statusCode = null, resendCode = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'EmailSendError';
+    this.kind = kind;
+    this.statusCode = statusCode;
+    this.resendCode = resendCode;
+    this.retryable = retryable;
+  }
+}
+
+class EmailRateLimitedError extends EmailSendError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details, kind: 'rate_limited' });
+    this.name = 'EmailRateLimitedError';
+  }
+}
+
+class EmailValidationError extends EmailSendError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'validation', retryable: false });
+    this.name = 'EmailValidationError';
+  }
+}
+
+class EmailAuthError extends EmailSendError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'auth', retryable: false });
+    this.name = 'EmailAuthError';
+  }
+}
+
+class EmailServerError extends EmailSendError {
+  constructor(message, details = {}) {
+    super(message, { ...details, kind: 'server', retryable: true });
+    this.name = 'EmailServerError';
+  }
+}
+
+const AUTH_ERROR_CODES = ['missing_api_key', 'invalid_api_key', 'restricted_api_key'];
+
+/**
+ * Map a Resend error response (`{ name, message, statusCode? }`) to a typed error.
+ */
+function toSendError(resendError) {
+  const code = String(resendError?.name || '').toLowerCase();
+  const statusCode = Number(resendError?.statusCode) || null;
+  const message = `Resend rejected the email: ${resendError?.message || code || 'unknown error'}`;
+  const details = { statusCode, resendCode: resendError?.name || null };
+
+  if (code === 'daily_quota_exceeded') {
+    // Won't clear within a retry window.
+    return new EmailRateLimitedError(message, { ...details, retryable: false });
+  }
+  if (statusCode === 429 || code === 'rate_limit_exceeded') {
+    return new EmailRateLimitedError(message, details);
+  }
+  if (statusCode === 401 || AUTH_ERROR_CODES.includes(code)) {
+    return new EmailAuthError(message, details);
+  }
+  if ((statusCode && statusCode >= 500) || code === 'application_error' || code === 'internal_server_error') {
+    return new EmailServerError(message, details);
+  }
+  return new EmailValidationError(message, details);
+}
+
+/**
+ * Turn a Resend SDK response into `{ id, data }`, or throw a typed EmailSendError.
+ */
+function normalizeSendResult(result) {
+  if (result?.error) {
+    throw toSendError(result.error);
+  }
+  const id = result?.data?.id || result?.id;
+  if (!id) {
+    throw new EmailSendError('Resend accepted the email but returned no message id');
+  }
+  return { id, data: result.data || { id } };
+}
+
+/**
+ * Thrown instead of sending when the recipient is on the suppression list.
+ * The attempt has already been recorded in email_log as 'failed'.
+ */
+class EmailSuppressedError extends Error {
+  constructor(email, suppression) {
+    const since = suppression.created_at ? ` since ${suppression.created_at.substring(0, 10)}` : '';
+    super(`Recipient ${email} is suppressed (${suppression.reason}, via ${suppression.source}${since}); email not sent`);
+    this.name = 'EmailSuppressedError';
+    this.code = 'EMAIL_SUPPRESSED';
+    this.email = email;
+    this.suppression = suppression;
+  }
+}
 
 /**
  * Escape HTML special characters to prevent injection in email templates
@@ -18,447 +153,1155 @@ function escapeHtml(str) {
 }
 
 /**
- * Get Resend client
+ * Get Resend client
+ */
+function getResendClient() {
+  const apiKey = process.env.RESEND_API_KEY;
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+
+  if (!apiKey || !fromEmail) {
+    throw new Error('Resend environment variables are required: RESEND_API_KEY, RESEND_FROM_EMAIL');
+  }
+
+  return new Resend(apiKey);
+}
+
+/**
+ * Convert a Resend-shaped message to nodemailer's message options.
+ * Resend-hosted templates can't be rendered outside Resend.
+ */
+function toMimeMessage(message) {
+  if (message.template_id) {
+    throw new EmailValidationError('Resend templates can only be sent with EMAIL_TRANSPORT=resend');
+  }
+
+  return {
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    replyTo: message.reply_to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    headers: message.headers,
+    attachments: (message.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      // Resend takes string content as base64.
+      content: typeof attachment.content === 'string' ? Buffer.from(attachment.content, 'base64') : attachment.content,
+      path: attachment.path,
+      contentType: attachment.content_type
+    }))
+  };
+}
+
+function stripAngleBrackets(messageId) {
+  return String(messageId || '').replace(/^<|>$/g, '');
+}
+
+/**
+ * Map a nodemailer SMTP failure to a typed error.
+ * 4xx replies are temporary (greylisting, throttling); 5xx are permanent.
+ */
+function toSmtpSendError(error) {
+  const statusCode = Number(error.responseCode) || null;
+  const message = `SMTP server rejected the email: ${error.response || error.message}`;
+  const details = { statusCode, resendCode: error.code || null };
+
+  if (error.code === 'EAUTH' || statusCode === 530 || statusCode === 535) {
+    return new EmailAuthError(message, details);
+  }
+  if (statusCode === 421 || statusCode === 450 || statusCode === 451 || statusCode === 452) {
+    return new EmailRateLimitedError(message, details);
+  }
+  if (statusCode && statusCode >= 500) {
+    return new EmailValidationError(message, details);
+  }
+  // No SMTP reply at all: connection refused, dropped or timed out.
+  return new EmailServerError(message, details);
+}
+
+/**
+ * Resend API driver.
+ */
+function createResendTransport() {
+  const resend = getResendClient();
+
+  return {
+    name: 'resend',
+    supportsTemplates: true,
+    async send(message) {
+      return normalizeSendResult(await resend.emails.send(message));
+    }
+  };
+}
+
+/**
+ * SMTP driver (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ */
+function createSmtpTransport() {
+  const host = process.env.SMTP_HOST;
+  if (!host) {
+    throw new Error('SMTP environment variables are required: SMTP_HOST');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    // Implicit TLS on 465; STARTTLS otherwise.
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    supportsTemplates: false,
+    async send(message) {
+      let info;
+      try {
+        info = await transporter.sendMail(toMimeMessage(message));
+      } catch (error) {
+        if (error instanceof EmailSendError) throw error;
+        throw toSmtpSendError(error);
+      }
+
+      const id = stripAngleBrackets(info.messageId);
+      return { id, data: { id, accepted: info.accepted, rejected: info.rejected, response: info.response } };
+    }
+  };
+}
+
+/**
+ * File sink driver for local development: nothing is sent. Each message is
+ * written as `new/<id>.eml` in a maildir under EMAIL_FILE_SINK_DIR (default:
+ * the OS temp dir), with its envelope and metadata in `meta/<id>.json`.
+ */
+function createFileTransport() {
+  const dir = process.env.EMAIL_FILE_SINK_DIR || path.join(os.tmpdir(), 'kac-mailer-outbox');
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    supportsTemplates: false,
+    async send(message) {
+      const id = `${Date.now()}.${crypto.randomUUID()}`;
+      const info = await composer.sendMail({ ...toMimeMessage(message), messageId: `<${id}@kac-mailer.local>` });
+
+      await Promise.all(['tmp', 'new', 'meta'].map(sub => fs.mkdir(path.join(dir, sub), { recursive: true })));
+
+      // Maildir delivery: write under tmp/, then rename so readers never see a partial file.
+      const emlPath = path.join(dir, 'new', `${id}.eml`);
+      await fs.writeFile(path.join(dir, 'tmp', `${id}.eml`), info.message);
+      await fs.rename(path.join(dir, 'tmp', `${id}.eml`), emlPath);
+
+      await fs.writeFile(path.join(dir, 'meta', `${id}.json`), JSON.stringify({
+        id,
+        messageId: info.messageId,
+        envelope: info.envelope,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        attachments: (message.attachments || []).map(attachment => attachment.filename),
+        createdAt: new Date().toISOString()
+      }, null, 2));
+
+      console.log(`📁 Email written to ${emlPath}`);
+      return { id, data: { id, path: emlPath } };
+    }
+  };
+}
+
+const EMAIL_TRANSPORTS = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+/**
+ * Get the email transport selected by EMAIL_TRANSPORT (default 'resend').
+ * A transport is `{ name, supportsTemplates, send(message) }`; send() takes a
+ * Resend-shaped message and resolves to `{ id, data }` or throws an
+ * EmailSendError. Throws if the selected transport isn't configured.
+ */
+function getEmailTransport() {
+  const name = String(process.env.EMAIL_TRANSPORT || 'resend').trim().toLowerCase();
+  const createTransport = EMAIL_TRANSPORTS[name];
+  if (!createTransport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(EMAIL_TRANSPORTS).join(', ')})`);
+  }
+  return createTransport();
+}
+
+/**
+ * Send a message through the email transport unless its recipient is suppressed.
+ * Every send in this module goes through here. HTML is made client-safe
+ * (prepareEmailHtml: inlined CSS, flex layouts as tables) and gets a plain-text
+ * part generated from it unless the message brings its own. Retryable failures (rate
+ * limits, server errors) are retried with backoff; once retries are
+ * exhausted — or on any other failure — the attempt is recorded in email_log
+ * as 'failed' and the error is thrown.
+ *
+ * @param {Object} message - Resend emails.send() arguments
+ * @param {Object} options
+ * @param {'workshop'|'retreat'|'gift_card'|'reminder'|'follow_up'|'waitlist'|'cancellation'|'reschedule'|'refund'|null} options.emailType -
+ *   null for connectivity tests and internal notices, which aren't logged
+ * @param {string} [options.subject] - for the email_log row when message has none (template sends)
+ * @param {Object} [options.logContext] - extra logEmail() fields for the failed row
+ *   (webflowOrderId, productId, recipientRole, giftCardCodeId, amountCents, payload, ...)
+ * @returns {Promise<{id: string, data: Object}>} normalized send result
+ */
+async function deliverEmail(message, { emailType, subject, logContext = {} }) {
+  const to = Array.isArray(message.to) ? message.to[0] : message.to;
+  // logEmail() prepares the HTML it stores itself, so it gets the original.
+  const originalHtml = message.html;
+
+  if (message.html) {
+    const html = prepareEmailHtml(message.html);
+    message = { ...message, html, text: message.text || htmlToText(html) };
+  }
+
+  const logFailure = async (error) => {
+    if (!emailType) return;
+    await logEmail({
+      ...logContext,
+      emailType,
+      toEmail: to,
+      subject: message.subject || subject,
+      status: 'failed',
+      html: originalHtml,
+      text: message.text,
+      error: error.message
+    });
+  };
+
+  const suppression = await getSuppression(to);
+  if (suppression) {
+    const error = new EmailSuppressedError(to, suppression);
+    console.warn(`🚫 ${error.message}`);
+    await logFailure(error);
+    throw error;
+  }
+
+  try {
+    const transport = getEmailTransport();
+    return await withBackoff(() => transport.send(message));
+  } catch (error) {
+    await logFailure(error);
+    throw error;
+  }
+}
+
+/**
+ * Style partials shared by the workshop and retreat details emails.
+ */
+function detailsEmailStyles(prefix, { trailingSpaces = false } = {}) {
+  return [
+    baseStyles(),
+    titleStyles(BRAND_THEME, { prefix }),
+    contentSectionStyles(),
+    calloutStyles(BRAND_THEME, { className: 'email-content' }),
+    infoTableStyles(),
+    footerStyles(),
+    richTextStyles(BRAND_THEME, { trailingSpaces })
+  ];
+}
+
+// Fallback names the order handler used when the customer's name was unknown.
+const GENERIC_CUSTOMER_NAMES = ['workshop participant', 'retreat guest', 'friend'];
+
+/**
+ * CMS fields can be rich text or plain text. Rich text is sanitized; plain
+ * text is escaped with its line breaks kept.
+ */
+function renderCmsField(value) {
+  if (looksLikeHtml(value)) return sanitizeHtml(value).html;
+  return escapeHtml(String(value).trim()).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * renderCmsField() as a block: plain text is wrapped in a paragraph.
+ */
+function renderCmsBlock(value) {
+  return looksLikeHtml(value) ? renderCmsField(value) : `<p>${renderCmsField(value)}</p>`;
+}
+
+/**
+ * Format the workshop start as e.g. "Saturday, March 7, 2026 at 10:00 AM CST"
+ * in the studio's time zone (STUDIO_TIMEZONE). Date-only values are shown
+ * without a time; anything unparseable is shown as entered.
+ */
+function formatWorkshopDate(value) {
+  const raw = String(value).trim();
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) return escapeHtml(raw);
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+  const options = dateOnly
+    ? { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }
+    : {
+        timeZone: process.env.STUDIO_TIMEZONE || 'America/Chicago',
+        weekday: 'long', month: 'long', day: 'numeric', year: 'numeric',
+        hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+      };
+  return escapeHtml(new Intl.DateTimeFormat('en-US', options).format(date));
+}
+
+/**
+ * "What to bring" as a list: rich text is used as-is, plain text becomes one
+ * item per line (or per comma when it's a single line).
+ */
+function renderWhatToBring(value) {
+  if (looksLikeHtml(value)) return sanitizeHtml(value).html;
+
+  const text = String(value).trim();
+  const items = (text.includes('\n') ? text.split(/\r?\n/) : text.split(','))
+    .map(item => item.replace(/^\s*[-*•]\s*/, '').trim())
+    .filter(Boolean);
+  return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+/**
+ * FAQ from plain text written as "Q: ..." / "A: ..." lines. Returns null when
+ * the text isn't in that shape (it's then shown as ordinary rich text).
+ */
+function parseFaq(value) {
+  if (looksLikeHtml(value)) return null;
+
+  const items = [];
+  for (const line of String(value).split(/\r?\n/)) {
+    const question = /^\s*Q[:.)]\s*(.+)$/i.exec(line);
+    const answer = /^\s*A[:.)]\s*(.+)$/i.exec(line);
+    if (question) {
+      items.push({ question: escapeHtml(question[1].trim()), answer: '' });
+    } else if (answer && items.length) {
+      items[items.length - 1].answer += escapeHtml(answer[1].trim());
+    } else if (line.trim() && items.length) {
+      items[items.length - 1].answer += `${items[items.length - 1].answer ? '<br>' : ''}${escapeHtml(line.trim())}`;
+    }
+  }
+  return items.length ? items : null;
+}
+
+function isProvided(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '' && String(value).trim().toUpperCase() !== 'TBD';
+}
+
+/**
+ * CMS value as plain text (tags removed, entities decoded), for calendar
+ * fields and map searches.
+ */
+function cmsPlainText(value) {
+  if (!isProvided(value)) return '';
+  const text = looksLikeHtml(value)
+    ? cheerio.load(String(value).replace(/<[^>]*>/g, ' '), null, false).text()
+    : String(value);
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Calendar event for a workshop/retreat email, or null without a usable date
+ * (or without the order/product ids its UID is built from).
+ */
+function createEmailCalendarEvent(data, customerData) {
+  if (!isProvided(data.date)) return null;
+
+  return buildCalendarEvent({
+    orderId: customerData.orderId,
+    productId: data.productId,
+    title: data.name,
+    date: data.date,
+    endDate: isProvided(data.endDate) ? data.endDate : null,
+    duration: isProvided(data.duration) ? data.duration : null,
+    location: cmsPlainText(data.location),
+    description: customerData.orderId ? `Katie Ann Clay - Order ID: ${customerData.orderId}` : ''
+  });
+}
+
+/**
+ * "Google · Outlook · Apple" add-to-calendar links.
+ */
+function renderCalendarLinks(event) {
+  const links = createCalendarLinks(event);
+  return [['Google', links.google], ['Outlook', links.outlook], ['Apple', links.apple]]
+    .filter(([, href]) => href)
+    .map(([label, href]) => `<a href="${escapeHtml(href)}">${label}</a>`)
+    .join(' &middot; ');
+}
+
+/**
+ * First name to greet the customer by, or '' when only a generic placeholder
+ * name is known.
+ */
+function greetingName(customerData) {
+  const customerName = String(customerData.customerName || '').trim();
+  return GENERIC_CUSTOMER_NAMES.includes(customerName.toLowerCase()) ? '' : customerName.split(/\s+/)[0];
+}
+
+/**
+ * "When & Where" table (date, duration, location, calendar links), or '' when
+ * none of them is known.
+ */
+function renderWhenWhere(workshopData, customerData) {
+  const { date, duration, location } = workshopData;
+  const calendarEvent = createEmailCalendarEvent(workshopData, customerData);
+
+  const rows = [];
+  if (isProvided(date)) rows.push(['Date:', formatWorkshopDate(date)]);
+  if (isProvided(duration)) rows.push(['Duration:', escapeHtml(duration)]);
+  if (isProvided(location)) {
+    const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(cmsPlainText(location))}`;
+    rows.push(['Location:', `${renderCmsField(location)}<br><a href="${escapeHtml(mapsUrl)}">View on Google Maps</a>`]);
+  }
+  if (calendarEvent) rows.push(['Calendar:', renderCalendarLinks(calendarEvent)]);
+
+  return rows.length
+    ? `${renderInfoTable({ title: 'When &amp; Where', rows })}
+
+`
+    : '';
+}
+
+/**
+ * Create HTML email template for workshop.
+ * Structured CMS fields (date, duration, location, whatToBring, parking,
+ * reschedulePolicy, faq) each get their own section, shown only when set.
+ * With a date (and workshopData.productId), add-to-calendar links are shown.
+ * With `previousWorkshop` ({ name, date }), it tells the customer their
+ * booking was moved here from that workshop.
+ */
+function createWorkshopEmailTemplate(workshopData, customerData, { previousWorkshop = null } = {}) {
+  const name = escapeHtml(workshopData.name);
+  const orderId = escapeHtml(customerData.orderId);
+
+  // CMS content is sanitized where it's fetched (resolveGuidelines); again here for any other caller.
+  const emailContent = sanitizeHtml(workshopData.guidelinesHtml).html || 'Workshop details will be provided soon.';
+
+  const firstName = greetingName(customerData);
+  const intro = previousWorkshop
+    ? `We've moved your booking from <strong>${escapeHtml(previousWorkshop.name)}</strong>${isProvided(previousWorkshop.date) ? ` on ${formatWorkshopDate(previousWorkshop.date)}` : ''} to <strong>${name}</strong>. Here's everything you need to know before your new date.`
+    : `Thank you for booking <strong>${name}</strong>! Here's everything you need to know before the workshop.`;
+  const greeting = `            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>${intro}</p>
+
+`;
+
+  const whenWhere = renderWhenWhere(workshopData, customerData);
+  const details = renderWorkshopDetails(workshopData);
+
+  return renderEmailLayout({
+    title: `${previousWorkshop ? 'Booking Moved' : 'Workshop Details'} - ${name}`,
+    styles: [...detailsEmailStyles('workshop', { trailingSpaces: true }), detailSectionStyles()],
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">${previousWorkshop ? "You've Been Moved" : 'Workshop Details'}</p>
+
+${greeting}${whenWhere}            <div class="email-content">
+                ${emailContent}
+            </div>
+
+${details}${renderInfoTable({ title: 'Order Details', rows: [['Order ID:', orderId], ['Workshop:', name]] })}`,
+    footerLines: [
+      "If you have any questions, please don't hesitate to reach out to us.",
+      'We look forward to seeing you at the workshop!'
+    ]
+  });
+}
+
+/**
+ * The workshop's structured CMS sections (what to bring, parking, reschedule
+ * policy, FAQ), each only when set, or '' when none is.
+ */
+function renderWorkshopDetails({ whatToBring, parking, reschedulePolicy, faq }) {
+  const sections = [];
+  if (isProvided(whatToBring)) {
+    sections.push(renderDetailSection({ title: 'What to Bring', body: renderWhatToBring(whatToBring) }));
+  }
+  if (isProvided(parking)) {
+    sections.push(renderDetailSection({ title: 'Parking', body: renderCmsBlock(parking) }));
+  }
+  if (isProvided(reschedulePolicy)) {
+    sections.push(renderDetailSection({ title: 'Reschedule Policy', body: renderCmsBlock(reschedulePolicy) }));
+  }
+  if (isProvided(faq)) {
+    const faqItems = parseFaq(faq);
+    sections.push(renderDetailSection({
+      title: 'Frequently Asked Questions',
+      body: faqItems ? renderFaqList(faqItems) : renderCmsBlock(faq)
+    }));
+  }
+  return sections.length ? `${sections.join('\n\n')}\n\n` : '';
+}
+
+/**
+ * Send workshop email via Resend.
+ * When the workshop has a date, an .ics event is attached (UID stable per
+ * order line, so a resend updates the customer's calendar entry).
+ */
+async function sendWorkshopEmail({ email, workshopData, customerData, templateId, logContext }) {
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = `Workshop Details: ${workshopData.name}`;
+  const deliverOptions = {
+    emailType: 'workshop',
+    subject,
+    logContext: { webflowOrderId: customerData.orderId, ...logContext }
+  };
+  const calendarEvent = createEmailCalendarEvent(workshopData, customerData);
+  const attachments = calendarEvent ? [createIcsAttachment(calendarEvent, 'workshop.ics')] : undefined;
+
+  try {
+    // Resend-hosted templates only exist on Resend; other transports get the built-in HTML.
+    if (templateId && getEmailTransport().supportsTemplates) {
+      const result = await deliverEmail({
+        from: fromEmail,
+        to: [email],
+        template_id: templateId,
+        template_data: {
+          workshop_name: workshopData.name,
+          workshop_email_content: sanitizeHtml(workshopData.guidelinesHtml).html || 'Workshop details will be provided soon.',
+          customer_name: customerData.customerName || 'Friend',
+          order_id: customerData.orderId
+        },
+        attachments
+      }, deliverOptions);
+
+      console.log(`Sent template email to ${email} using template ${templateId}`);
+      return result;
+    }
+
+    const htmlContent = createWorkshopEmailTemplate(workshopData, customerData);
+    
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: htmlContent,
+      attachments
+    }, deliverOptions);
+
+    console.log(`Sent custom email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending email to ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Subject line of the email telling a customer their booking was moved.
+ */
+function workshopTransferSubject(workshopName) {
+  return `You've been moved to ${workshopName}`;
+}
+
+/**
+ * Send the "you've been moved" email via Resend (email type 'reschedule'):
+ * the new workshop's details email, introduced with the workshop the booking
+ * was moved from. Like the details email, it attaches the new date's .ics event.
+ */
+async function sendWorkshopTransferEmail({ email, workshopData, customerData, previousWorkshop, logContext }) {
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = workshopTransferSubject(workshopData.name);
+  const calendarEvent = createEmailCalendarEvent(workshopData, customerData);
+
+  try {
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: createWorkshopEmailTemplate(workshopData, customerData, { previousWorkshop }),
+      attachments: calendarEvent ? [createIcsAttachment(calendarEvent, 'workshop.ics')] : undefined
+    }, {
+      emailType: 'reschedule',
+      subject,
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
+    });
+
+    console.log(`Sent reschedule email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending reschedule email to ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * How far off the workshop is, for a reminder sent offsetMinutes before it:
+ * "tomorrow", "in 7 days", "in 3 hours".
+ */
+function reminderLead(offsetMinutes) {
+  const days = offsetMinutes / (24 * 60);
+  if (Number.isInteger(days)) return days === 1 ? 'tomorrow' : `in ${days} days`;
+  const hours = Math.max(1, Math.round(offsetMinutes / 60));
+  return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+}
+
+/**
+ * Subject line of a workshop reminder.
+ */
+function workshopReminderSubject(workshopName, offsetMinutes) {
+  return `Reminder: ${workshopName} is ${reminderLead(offsetMinutes)}`;
+}
+
+/**
+ * Create HTML email template for a pre-workshop reminder: when and where, what
+ * to bring and parking, from the same fields as the workshop email.
+ */
+function createWorkshopReminderEmailTemplate(workshopData, customerData, { offsetMinutes }) {
+  const name = escapeHtml(workshopData.name);
+  const orderId = escapeHtml(customerData.orderId);
+  const { whatToBring, parking } = workshopData;
+  const firstName = greetingName(customerData);
+
+  const sections = [];
+  if (isProvided(whatToBring)) {
+    sections.push(renderDetailSection({ title: 'What to Bring', body: renderWhatToBring(whatToBring) }));
+  }
+  if (isProvided(parking)) {
+    sections.push(renderDetailSection({ title: 'Parking', body: renderCmsBlock(parking) }));
+  }
+  const details = sections.length ? `${sections.join('\n\n')}\n\n` : '';
+
+  return renderEmailLayout({
+    title: `Workshop Reminder - ${name}`,
+    styles: [...detailsEmailStyles('workshop', { trailingSpaces: true }), detailSectionStyles()],
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">Workshop Reminder</p>
+
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>Just a reminder that <strong>${name}</strong> is ${reminderLead(offsetMinutes)}. We can't wait to see you!</p>
+
+${renderWhenWhere(workshopData, customerData)}${details}${renderInfoTable({ title: 'Order Details', rows: [['Order ID:', orderId], ['Workshop:', name]] })}`,
+    footerLines: [
+      "If you have any questions or need to reschedule, please don't hesitate to reach out to us.",
+      'See you soon!'
+    ]
+  });
+}
+
+/**
+ * Send a pre-workshop reminder via Resend (email type 'reminder').
+ */
+async function sendWorkshopReminderEmail({ email, workshopData, customerData, offsetMinutes, logContext }) {
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = workshopReminderSubject(workshopData.name, offsetMinutes);
+
+  try {
+    const htmlContent = createWorkshopReminderEmailTemplate(workshopData, customerData, { offsetMinutes });
+
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: htmlContent
+    }, {
+      emailType: 'reminder',
+      subject,
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
+    });
+
+    console.log(`Sent reminder email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending reminder email to ${email}:`, error);
+    throw error;
+  }
+}
+
+// Shown when the workshop's CMS item has no care instructions.
+const DEFAULT_CARE_INSTRUCTIONS = `<ul><li>Your pieces will be finished and fired in the studio over the next few weeks; we'll let you know when they're ready to pick up.</li><li>Once home, hand-wash them with warm, soapy water.</li><li>Avoid sudden temperature changes, like moving a piece straight from the fridge into a hot oven.</li></ul>`;
+
+/**
+ * Subject line of a post-workshop follow-up.
+ */
+function workshopFollowUpSubject(workshopName) {
+  return `Thank you for joining ${workshopName}!`;
+}
+
+/**
+ * Create HTML email template for the post-workshop follow-up: thank you, care
+ * instructions for the pieces (CMS `careInstructions`, else a default), the
+ * feedback form (when feedbackUrl is set) and upcoming workshops on shopUrl.
+ */
+function createWorkshopFollowUpEmailTemplate(workshopData, customerData, { feedbackUrl, shopUrl }) {
+  const name = escapeHtml(workshopData.name);
+  const firstName = greetingName(customerData);
+  const careInstructions = isProvided(workshopData.careInstructions)
+    ? renderCmsBlock(workshopData.careInstructions)
+    : DEFAULT_CARE_INSTRUCTIONS;
+
+  const sections = [renderDetailSection({ title: 'Caring for Your Pieces', body: careInstructions })];
+  if (feedbackUrl) {
+    sections.push(renderDetailSection({
+      title: 'How Did We Do?',
+      body: `<p>We'd love to hear about your experience. It only takes a minute.</p>
+${renderButton({ href: escapeHtml(feedbackUrl), label: 'Share Your Feedback' })}`
+    }));
+  }
+  sections.push(renderDetailSection({
+    title: 'Come Back Soon',
+    body: `<p>Ready for your next project? Take a look at our upcoming workshops.</p>
+${renderButton({ href: escapeHtml(shopUrl), label: 'Upcoming Workshops' })}`
+  }));
+
+  return renderEmailLayout({
+    title: `Thank You - ${name}`,
+    styles: [...detailsEmailStyles('workshop', { trailingSpaces: true }), detailSectionStyles(), buttonStyles()],
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">Thank You</p>
+
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>Thank you for joining us for <strong>${name}</strong>! We hope you had a wonderful time in the studio.</p>
+
+${sections.join('\n\n')}`,
+    footerLines: [
+      "If you have any questions about your pieces, please don't hesitate to reach out to us.",
+      'We hope to see you again soon!'
+    ]
+  });
+}
+
+/**
+ * Send a post-workshop follow-up via Resend (email type 'follow_up').
+ */
+async function sendWorkshopFollowUpEmail({ email, workshopData, customerData, feedbackUrl, shopUrl, logContext }) {
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = workshopFollowUpSubject(workshopData.name);
+
+  try {
+    const htmlContent = createWorkshopFollowUpEmailTemplate(workshopData, customerData, { feedbackUrl, shopUrl });
+
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: htmlContent
+    }, {
+      emailType: 'follow_up',
+      subject,
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
+    });
+
+    console.log(`Sent follow-up email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending follow-up email to ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Subject line of the email telling someone on a waitlist that a seat opened up.
+ */
+function waitlistSeatSubject(workshopName) {
+  return `A seat just opened up: ${workshopName}`;
+}
+
+/**
+ * Create HTML email template for a waitlist notification: a seat was released
+ * in a full workshop, with its details and a link to book (bookingUrl).
+ */
+function createWaitlistSeatEmailTemplate(workshopData, customerData, { bookingUrl }) {
+  const name = escapeHtml(workshopData.name);
+  const firstName = greetingName(customerData);
+
+  return renderEmailLayout({
+    title: `Seat Available - ${name}`,
+    styles: [...detailsEmailStyles('workshop', { trailingSpaces: true }), buttonStyles()],
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">A Seat Is Available</p>
+
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>Good news! A seat just opened up in <strong>${name}</strong>, which you joined the waitlist for. Seats go to whoever books first, so grab it while you can.</p>
+
+${renderWhenWhere(workshopData, customerData)}${renderButton({ href: escapeHtml(bookingUrl), label: 'Book Your Seat' })}`,
+    footerLines: [
+      "If you're no longer interested, there's nothing you need to do.",
+      'We hope to see you in the studio!'
+    ]
+  });
+}
+
+/**
+ * Send a waitlist notification via Resend (email type 'waitlist').
+ */
+async function sendWaitlistSeatEmail({ email, workshopData, customerData, bookingUrl, logContext }) {
+  const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = waitlistSeatSubject(workshopData.name);
+
+  try {
+    const htmlContent = createWaitlistSeatEmailTemplate(workshopData, customerData, { bookingUrl });
+
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: htmlContent
+    }, {
+      emailType: 'waitlist',
+      subject,
+      logContext
+    });
+
+    console.log(`Sent waitlist email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending waitlist email to ${email}:`, error);
+    throw error;
+  }
+}
+
+const CAPACITY_ALERT_HEADLINES = {
+  threshold: 'is filling up',
+  full: 'is full',
+  oversold: 'is oversold'
+};
+
+/**
+ * Subject line of an internal capacity alert.
+ */
+function capacityAlertSubject(workshopName, level) {
+  return `[Capacity] ${workshopName} ${CAPACITY_ALERT_HEADLINES[level] || 'changed'}`;
+}
+
+/**
+ * Create HTML email template for the studio's capacity alert.
+ *
+ * @param {Object} params
+ * @param {string} params.workshopName
+ * @param {string} params.productId
+ * @param {string} [params.date] - workshop date from the CMS
+ * @param {'threshold'|'full'|'oversold'} params.level
+ * @param {number} params.seats - confirmed seats booked
+ * @param {number} params.capacity
+ */
+function createCapacityAlertEmailTemplate({ workshopName, productId, date, level, seats, capacity }) {
+  const name = escapeHtml(workshopName || productId);
+  const rows = [
+    ['Workshop:', name],
+    ['Booked:', `${seats} of ${capacity} seats`]
+  ];
+  if (isProvided(date)) rows.push(['Date:', formatWorkshopDate(date)]);
+  rows.push(['Product ID:', escapeHtml(productId)]);
+
+  const advice = {
+    threshold: 'Only a few seats are left.',
+    full: 'Every seat is booked. Consider marking the product as sold out in Webflow so new signups go to the waitlist.',
+    oversold: `${seats - capacity} more seat${seats - capacity === 1 ? ' was' : 's were'} sold than the class holds. Reach out to the latest customers before the class, or release a seat from the dashboard.`
+  }[level] || '';
+
+  return renderEmailLayout({
+    title: `Capacity Alert - ${name}`,
+    styles: detailsEmailStyles('workshop'),
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">Capacity Alert</p>
+
+            <p><strong>${name}</strong> ${CAPACITY_ALERT_HEADLINES[level] || 'changed'}. ${escapeHtml(advice)}</p>
+
+${renderInfoTable({ title: 'Bookings', rows })}`,
+    footerLines: ['This is an automatic notice from the workshop mailer.']
+  });
+}
+
+/**
+ * Send a capacity alert to the studio (not logged: it isn't a customer email).
+ *
+ * @param {Object} params - createCapacityAlertEmailTemplate() params, plus:
+ * @param {string[]} params.to - studio addresses
+ */
+async function sendCapacityAlertEmail({ to, ...alert }) {
+  const subject = capacityAlertSubject(alert.workshopName || alert.productId, alert.level);
+
+  try {
+    const result = await deliverEmail({
+      from: process.env.RESEND_FROM_EMAIL,
+      to,
+      subject,
+      html: createCapacityAlertEmailTemplate(alert)
+    }, { emailType: null });
+
+    console.log(`Sent capacity alert (${alert.level}) for workshop: ${alert.workshopName || alert.productId}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending capacity alert for workshop ${alert.productId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Subject line of the email telling a customer their workshop was cancelled.
+ */
+function workshopCancellationSubject(workshopName) {
+  return `Workshop Cancelled: ${workshopName}`;
+}
+
+/**
+ * Create HTML email template for a workshop the studio cancelled: the staff
+ * message (plain text, shown as written), and either the gift card credit
+ * issued for what the customer paid (`credit`) or an invitation to get in touch.
+ *
+ * @param {Object} workshopData - { name, date }
+ * @param {Object} customerData - { customerName }
+ * @param {Object} options
+ * @param {string} [options.message] - from the studio, plain text
+ * @param {{code: string, amountDisplay: string}|null} [options.credit]
+ * @param {string} options.shopUrl
+ */
+function createWorkshopCancellationEmailTemplate(workshopData, customerData, { message, credit, shopUrl }) {
+  const name = escapeHtml(workshopData.name);
+  const firstName = greetingName(customerData);
+  const when = isProvided(workshopData.date) ? ` on <strong>${formatWorkshopDate(workshopData.date)}</strong>` : '';
+
+  const sections = [];
+  if (isProvided(message)) {
+    sections.push(`            <div class="email-content">
+                <p>${escapeHtml(String(message).trim()).replace(/\r?\n/g, '<br>')}</p>
+            </div>`);
+  }
+  if (credit) {
+    const amount = escapeHtml(credit.amountDisplay);
+    sections.push(renderDetailSection({
+      title: 'Your Studio Credit',
+      body: `<p>We've issued you a ${amount} gift card for what you paid. Use it toward any workshop or purchase in our shop.</p>
+                <p class="credit-code" data-plain-text="prominent">${escapeHtml(credit.code)}</p>
+${renderButton({ href: escapeHtml(shopUrl), label: 'Find Another Workshop' })}`
+    }));
+  } else {
+    sections.push(renderDetailSection({
+      title: "What's Next",
+      body: `<p>Just reply to this email and we'll help you find another date or sort out a refund.</p>
+${renderButton({ href: escapeHtml(shopUrl), label: 'Upcoming Workshops' })}`
+    }));
+  }
+
+  return renderEmailLayout({
+    title: `Workshop Cancelled - ${name}`,
+    styles: [
+      ...detailsEmailStyles('workshop', { trailingSpaces: true }),
+      detailSectionStyles(),
+      buttonStyles(),
+      `
+        .credit-code {
+            margin: 15px 0;
+            padding: 15px;
+            background: ${BRAND_THEME.panelBackground};
+            font-family: ${BRAND_THEME.monoFontFamily};
+            font-size: 22px;
+            font-weight: 700;
+            letter-spacing: 2px;
+            text-align: center;
+            word-break: break-all;
+        }`
+    ],
+    content: `            <h2 class="workshop-title">${name}</h2>
+            <p class="workshop-subtitle">Workshop Cancelled</p>
+
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>We're sorry to let you know that <strong>${name}</strong>${when} has been cancelled.</p>
+
+${sections.join('\n\n')}`,
+    footerLines: [
+      "We're sorry for the inconvenience, and we hope to see you in the studio soon."
+    ]
+  });
+}
+
+/**
+ * Send a workshop cancellation notice via Resend (email type 'cancellation').
  */
-function getResendClient() {
-  const apiKey = process.env.RESEND_API_KEY;
+async function sendWorkshopCancellationEmail({ email, workshopData, customerData, message, credit, shopUrl, logContext }) {
   const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = workshopCancellationSubject(workshopData.name);
 
-  if (!apiKey || !fromEmail) {
-    throw new Error('Resend environment variables are required: RESEND_API_KEY, RESEND_FROM_EMAIL');
-  }
+  try {
+    const htmlContent = createWorkshopCancellationEmailTemplate(workshopData, customerData, { message, credit, shopUrl });
 
-  return new Resend(apiKey);
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject,
+      html: htmlContent
+    }, {
+      emailType: 'cancellation',
+      subject,
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
+    });
+
+    console.log(`Sent cancellation email to ${email} for workshop: ${workshopData.name}`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending cancellation email to ${email}:`, error);
+    throw error;
+  }
 }
 
 /**
- * Create HTML email template for workshop
+ * Subject line of the email confirming an order was refunded or cancelled.
  */
-function createWorkshopEmailTemplate(workshopData, customerData) {
-  const { name, guidelinesHtml } = workshopData;
-  const { customerName, orderId } = customerData;
-
-  const emailContent = guidelinesHtml || 'Workshop details will be provided soon.';
+function orderRefundSubject(orderId) {
+  return orderId ? `Your Order Has Been Cancelled (Order ${orderId})` : 'Your Order Has Been Cancelled';
+}
 
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Workshop Details - ${name}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 0;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background: white;
-            margin: 0;
-            padding: 0;
-        }
-        .header {
-            background: #274d5a;
-            text-align: center;
-            color: white;
-        }
-        .logo {
-            width: 100%;
-            height: 220px;
-            margin: 0;
-            background: #274d5a;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            overflow: hidden;
-        }
-        .logo img {
-            width: 100%;
-            height: 100%;
-            object-fit: contain;
-        }
-        .workshop-title {
-            color: #274d5a;
-            font-size: 28px;
-            font-weight: 600;
-            margin: 30px 0 10px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .workshop-subtitle {
-            color: #666;
-            font-size: 16px;
-            margin: 0 0 30px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .content-section {
-            padding: 30px;
-            background: white;
-        }
-        .email-content {
-            margin: 0 0 30px 0;
-            padding: 25px;
-            background: #f8f9fa;
-            border-left: 4px solid #274d5a;
-        }
-        .info-section {
-            margin: 0 0 30px 0;
-            padding: 25px;
-            background: #274d5a;
-            color: white;
-        }
-        .info-title {
-            font-size: 18px;
-            font-weight: 600;
-            color: white;
-            margin: 0 0 20px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .info-item {
-            margin: 15px 0;
-            display: flex;
-            align-items: flex-start;
-        }
-        .info-label {
-            font-weight: 600;
-            min-width: 100px;
-            color: #a8d4e0;
-            text-transform: uppercase;
-            font-size: 14px;
-            letter-spacing: 0.5px;
-        }
-        .info-value {
-            flex: 1;
-            color: white;
-        }
-        .footer {
-            background: #274d5a;
-            padding: 30px;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-        }
-        .footer p {
-            margin: 10px 0;
-        }
-        .signature {
-            color: #274d5a;
-            font-weight: 600;
-            margin-top: 20px;
-        }
-        h1, h2, h3 { 
-            color: #274d5a; 
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        p { margin: 15px 0; }
-        ul, ol { margin: 15px 0; padding-left: 25px; }
-        li { margin: 8px 0; }
-        strong { color: #274d5a; font-weight: 600; }
-        em { color: #666; }
-        a { color: #274d5a; text-decoration: none; font-weight: 600; }
-        a:hover { text-decoration: underline; }
-        .highlight {
-            background: #274d5a;
-            color: white;
-            padding: 20px;
-            margin: 20px 0;
-        }
-        .highlight strong {
-            color: white;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="logo">
-                <img src="https://cdn.prod.website-files.com/5d2b6c55187e93f15bc32a32/68be2adc42edee3a305903f6_katie-logo-square-white.jpg" alt="Katie Ann Clay Logo" />
-            </div>
-        </div>
+/**
+ * Create HTML email template confirming a refunded or cancelled order: what
+ * the order included, which gift card codes from it no longer work, and that
+ * any workshop seats were given up.
+ *
+ * @param {Object} customerData - { customerName, orderId }
+ * @param {Object} options
+ * @param {string[]} options.items - product names in the order
+ * @param {string[]} [options.voidedCodes] - gift card codes voided with the order
+ * @param {boolean} [options.releasedSeats] - workshop seats were released
+ */
+function createOrderRefundEmailTemplate(customerData, { items, voidedCodes = [], releasedSeats = false }) {
+  const orderId = escapeHtml(customerData.orderId);
+  const firstName = greetingName(customerData);
 
-        <div class="content-section">
-            <h2 class="workshop-title">${name}</h2>
-            <p class="workshop-subtitle">Workshop Details</p>
+  const sections = [];
+  if (voidedCodes.length) {
+    sections.push(renderDetailSection({
+      title: voidedCodes.length === 1 ? 'Gift Card Cancelled' : 'Gift Cards Cancelled',
+      body: `<p>The following gift card ${voidedCodes.length === 1 ? 'code' : 'codes'} from this order can no longer be used:</p>
+                <ul>${voidedCodes.map(code => `<li>${escapeHtml(code)}</li>`).join('')}</ul>`
+    }));
+  }
+  if (releasedSeats) {
+    sections.push(renderDetailSection({
+      title: 'Workshop Booking',
+      body: "<p>Your workshop booking has been cancelled and you won't receive any more reminders for it.</p>"
+    }));
+  }
 
-            <div class="email-content">
-                ${emailContent}
-            </div>
+  return renderEmailLayout({
+    title: `Order Cancelled - ${orderId}`,
+    styles: [
+      ...detailsEmailStyles('order', { trailingSpaces: true }),
+      detailSectionStyles()
+    ],
+    content: `            <h2 class="order-title">Order Cancelled</h2>
+            <p class="order-subtitle">Order ${orderId}</p>
 
-            <div class="info-section">
-                <h3 class="info-title">Order Details</h3>
-                <div class="info-item">
-                    <span class="info-label">Order ID:</span>
-                    <span class="info-value">${orderId}</span>
-                </div>
-                <div class="info-item">
-                    <span class="info-label">Workshop:</span>
-                    <span class="info-value">${name}</span>
-                </div>
-            </div>
-        </div>
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>This is to confirm that your order has been refunded and cancelled.</p>
 
-        <div class="footer">
-            <p>If you have any questions, please don't hesitate to reach out to us.</p>
-            <p>We look forward to seeing you at the workshop!</p>
-            <p class="signature">Best regards,<br>Katie Ann Clay</p>
-        </div>
-    </div>
-</body>
-</html>
-  `.trim();
+${sections.length ? `${sections.join('\n\n')}\n\n` : ''}${renderInfoTable({
+      title: 'Order Details',
+      rows: [['Order ID:', orderId], ...items.map(name => ['Item:', escapeHtml(name)])]
+    })}`,
+    footerLines: [
+      "If you think this is a mistake or have any questions, just reply to this email.",
+      'We hope to see you in the studio soon.'
+    ]
+  });
 }
 
 /**
- * Send workshop email via Resend
+ * Send the refunded/cancelled order confirmation via Resend (email type 'refund').
  */
-async function sendWorkshopEmail({ email, workshopData, customerData, templateId }) {
-  const resend = getResendClient();
+async function sendOrderRefundEmail({ email, customerData, items, voidedCodes, releasedSeats, logContext }) {
   const fromEmail = process.env.RESEND_FROM_EMAIL;
+  const subject = orderRefundSubject(customerData.orderId);
 
   try {
-    if (templateId) {
-      const result = await resend.emails.send({
-        from: fromEmail,
-        to: [email],
-        template_id: templateId,
-        template_data: {
-          workshop_name: workshopData.name,
-          workshop_email_content: workshopData.guidelinesHtml || 'Workshop details will be provided soon.',
-          customer_name: customerData.customerName || 'Friend',
-          order_id: customerData.orderId
-        }
-      });
-
-      console.log(`Sent template email to ${email} using template ${templateId}`);
-      return result;
-    }
+    const htmlContent = createOrderRefundEmailTemplate(customerData, { items, voidedCodes, releasedSeats });
 
-    const htmlContent = createWorkshopEmailTemplate(workshopData, customerData);
-    
-    const result = await resend.emails.send({
+    const result = await deliverEmail({
       from: fromEmail,
       to: [email],
-      subject: `Workshop Details: ${workshopData.name}`,
+      subject,
       html: htmlContent
+    }, {
+      emailType: 'refund',
+      subject,
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
     });
 
-    console.log(`Sent custom email to ${email} for workshop: ${workshopData.name}`);
+    console.log(`Sent refund email to ${email} for order: ${customerData.orderId}`);
     return result;
 
   } catch (error) {
-    console.error(`Error sending email to ${email}:`, error);
+    console.error(`Error sending refund email to ${email}:`, error);
     throw error;
   }
 }
 
 /**
- * Create HTML email template for retreat (passes and accommodations)
+ * Create HTML email template for retreat (passes and accommodations).
+ * With a date (and retreatData.productId), the dates are shown with
+ * add-to-calendar links; `endDate` makes it a multi-day event.
  */
 function createRetreatEmailTemplate(retreatData, customerData) {
-  const { name, guidelinesHtml } = retreatData;
-  const { customerName, orderId } = customerData;
-
-  const emailContent = guidelinesHtml || 'Retreat details will be provided soon.';
-
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Retreat Details - ${name}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 0;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background: white;
-            margin: 0;
-            padding: 0;
-        }
-        .header {
-            background: #274d5a;
-            text-align: center;
-            color: white;
-        }
-        .logo {
-            width: 100%;
-            height: 220px;
-            margin: 0;
-            background: #274d5a;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            overflow: hidden;
-        }
-        .logo img {
-            width: 100%;
-            height: 100%;
-            object-fit: contain;
-        }
-        .retreat-title {
-            color: #274d5a;
-            font-size: 28px;
-            font-weight: 600;
-            margin: 30px 0 10px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .retreat-subtitle {
-            color: #666;
-            font-size: 16px;
-            margin: 0 0 30px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .content-section {
-            padding: 30px;
-            background: white;
-        }
-        .email-content {
-            margin: 0 0 30px 0;
-            padding: 25px;
-            background: #f8f9fa;
-            border-left: 4px solid #274d5a;
-        }
-        .info-section {
-            margin: 0 0 30px 0;
-            padding: 25px;
-            background: #274d5a;
-            color: white;
-        }
-        .info-title {
-            font-size: 18px;
-            font-weight: 600;
-            color: white;
-            margin: 0 0 20px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .info-item {
-            margin: 15px 0;
-            display: flex;
-            align-items: flex-start;
-        }
-        .info-label {
-            font-weight: 600;
-            min-width: 100px;
-            color: #a8d4e0;
-            text-transform: uppercase;
-            font-size: 14px;
-            letter-spacing: 0.5px;
-        }
-        .info-value {
-            flex: 1;
-            color: white;
-        }
-        .footer {
-            background: #274d5a;
-            padding: 30px;
-            text-align: center;
-            color: #666;
-            font-size: 14px;
-        }
-        .footer p {
-            margin: 10px 0;
-        }
-        .signature {
-            color: #274d5a;
-            font-weight: 600;
-            margin-top: 20px;
-        }
-        h1, h2, h3 {
-            color: #274d5a;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        p { margin: 15px 0; }
-        ul, ol { margin: 15px 0; padding-left: 25px; }
-        li { margin: 8px 0; }
-        strong { color: #274d5a; font-weight: 600; }
-        em { color: #666; }
-        a { color: #274d5a; text-decoration: none; font-weight: 600; }
-        a:hover { text-decoration: underline; }
-        .highlight {
-            background: #274d5a;
-            color: white;
-            padding: 20px;
-            margin: 20px 0;
-        }
-        .highlight strong {
-            color: white;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="logo">
-                <img src="https://cdn.prod.website-files.com/5d2b6c55187e93f15bc32a32/68be2adc42edee3a305903f6_katie-logo-square-white.jpg" alt="Katie Ann Clay Logo" />
-            </div>
-        </div>
+  const name = escapeHtml(retreatData.name);
+  const orderId = escapeHtml(customerData.orderId);
+
+  // CMS content is sanitized where it's fetched (resolveGuidelines); again here for any other caller.
+  const emailContent = sanitizeHtml(retreatData.guidelinesHtml).html || 'Retreat details will be provided soon.';
+
+  const dates = renderRetreatDates(retreatData, customerData);
 
-        <div class="content-section">
-            <h2 class="retreat-title">${name}</h2>
+  return renderEmailLayout({
+    title: `Retreat Details - ${name}`,
+    styles: detailsEmailStyles('retreat'),
+    content: `            <h2 class="retreat-title">${name}</h2>
             <p class="retreat-subtitle">Retreat Details</p>
 
-            <div class="email-content">
+${dates}            <div class="email-content">
                 ${emailContent}
             </div>
 
-            <div class="info-section">
-                <h3 class="info-title">Order Details</h3>
-                <div class="info-item">
-                    <span class="info-label">Order ID:</span>
-                    <span class="info-value">${orderId}</span>
-                </div>
-                <div class="info-item">
-                    <span class="info-label">Item:</span>
-                    <span class="info-value">${name}</span>
-                </div>
-            </div>
-        </div>
+${renderInfoTable({ title: 'Order Details', rows: [['Order ID:', orderId], ['Item:', name]] })}`,
+    footerLines: [
+      "If you have any questions, please don't hesitate to reach out to us.",
+      'We look forward to seeing you at the retreat!'
+    ]
+  });
+}
+
+/**
+ * "Dates" table (dates, location, calendar links) for a retreat with a date,
+ * else ''.
+ */
+function renderRetreatDates(retreatData, customerData) {
+  const calendarEvent = createEmailCalendarEvent(retreatData, customerData);
+  if (!calendarEvent) return '';
+
+  const rows = [['Dates:', isProvided(retreatData.endDate)
+    ? `${formatWorkshopDate(retreatData.date)} &ndash; ${formatWorkshopDate(retreatData.endDate)}`
+    : formatWorkshopDate(retreatData.date)]];
+  if (isProvided(retreatData.location)) rows.push(['Location:', renderCmsField(retreatData.location)]);
+  rows.push(['Calendar:', renderCalendarLinks(calendarEvent)]);
+  return `${renderInfoTable({ title: 'Dates', rows })}
 
-        <div class="footer">
-            <p>If you have any questions, please don't hesitate to reach out to us.</p>
-            <p>We look forward to seeing you at the retreat!</p>
-            <p class="signature">Best regards,<br>Katie Ann Clay</p>
-        </div>
-    </div>
-</body>
-</html>
-  `.trim();
+`;
 }
 
 /**
  * Send retreat email via Resend
  */
-async function sendRetreatEmail({ email, retreatData, customerData }) {
-  const resend = getResendClient();
+async function sendRetreatEmail({ email, retreatData, customerData, logContext }) {
   const fromEmail = process.env.RETREAT_FROM_EMAIL || process.env.RESEND_FROM_EMAIL;
+  const calendarEvent = createEmailCalendarEvent(retreatData, customerData);
 
   try {
     const htmlContent = createRetreatEmailTemplate(retreatData, customerData);
 
-    const result = await resend.emails.send({
+    const result = await deliverEmail({
       from: fromEmail,
       to: [email],
       subject: `Retreat Details: ${retreatData.name}`,
-      html: htmlContent
+      html: htmlContent,
+      attachments: calendarEvent ? [createIcsAttachment(calendarEvent, 'retreat.ics')] : undefined
+    }, {
+      emailType: 'retreat',
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
     });
 
     console.log(`Sent retreat email to ${email} for: ${retreatData.name}`);
@@ -470,92 +1313,137 @@ async function sendRetreatEmail({ email, retreatData, customerData }) {
   }
 }
 
+/**
+ * Subject of the consolidated order email.
+ */
+function orderEmailSubject(orderId) {
+  return orderId ? `Your Booking Details (Order ${orderId})` : 'Your Booking Details';
+}
+
+/**
+ * One email for every workshop and retreat in an order: a section per item
+ * with the same details as its own email (when & where, the CMS guidelines,
+ * and for workshops the structured sections), then one order summary.
+ *
+ * @param {Array<{type: 'workshop'|'retreat', data: Object}>} items - data as
+ *   for createWorkshopEmailTemplate() / createRetreatEmailTemplate()
+ * @param {Object} customerData
+ */
+function createOrderEmailTemplate(items, customerData) {
+  const orderId = escapeHtml(customerData.orderId);
+  const firstName = greetingName(customerData);
+
+  const sections = items.map(({ type, data }) => {
+    const name = escapeHtml(data.name);
+    const fallback = type === 'retreat' ? 'Retreat details will be provided soon.' : 'Workshop details will be provided soon.';
+    const emailContent = sanitizeHtml(data.guidelinesHtml).html || fallback;
+    const when = type === 'retreat' ? renderRetreatDates(data, customerData) : renderWhenWhere(data, customerData);
+    const details = type === 'retreat' ? '' : renderWorkshopDetails(data);
+
+    return `            <h2 class="order-item-title">${name}</h2>
+            <p class="order-item-subtitle">${type === 'retreat' ? 'Retreat Details' : 'Workshop Details'}</p>
+
+${when}            <div class="email-content">
+                ${emailContent}
+            </div>
+
+${details}`;
+  });
+
+  return renderEmailLayout({
+    title: `Booking Details - Order ${orderId}`,
+    styles: [
+      ...detailsEmailStyles('order', { trailingSpaces: true }),
+      titleStyles(BRAND_THEME, { prefix: 'order-item', titleSize: '22px', subtitleSize: '14px' }),
+      detailSectionStyles()
+    ],
+    content: `            <h2 class="order-title">Your Booking Details</h2>
+            <p class="order-subtitle">${items.length} items in your order</p>
+
+            <p class="greeting">Hi ${firstName ? escapeHtml(firstName) : 'there'},</p>
+            <p>Thank you for your order! Here's everything you need to know about each booking.</p>
+
+${sections.join('')}${renderInfoTable({
+      title: 'Order Details',
+      rows: [['Order ID:', orderId], ...items.map(({ type, data }) => [type === 'retreat' ? 'Retreat:' : 'Workshop:', escapeHtml(data.name)])]
+    })}`,
+    footerLines: [
+      "If you have any questions, please don't hesitate to reach out to us.",
+      'We look forward to seeing you at the studio!'
+    ]
+  });
+}
+
+/**
+ * Send the consolidated order email, with an .ics attachment for every item
+ * that has a date (the same events as the items' own emails).
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {Array<{type: 'workshop'|'retreat', data: Object}>} params.items
+ * @param {Object} params.customerData
+ * @param {Object} [params.logContext] - for the 'failed' email_log row
+ */
+async function sendOrderEmail({ email, items, customerData, logContext }) {
+  const allRetreats = items.every(item => item.type === 'retreat');
+  const fromEmail = (allRetreats && process.env.RETREAT_FROM_EMAIL) || process.env.RESEND_FROM_EMAIL;
+  const attachments = items
+    .map(({ type, data }, index) => {
+      const calendarEvent = createEmailCalendarEvent(data, customerData);
+      return calendarEvent ? createIcsAttachment(calendarEvent, `${type}-${index + 1}.ics`) : null;
+    })
+    .filter(Boolean);
+
+  try {
+    const result = await deliverEmail({
+      from: fromEmail,
+      to: [email],
+      subject: orderEmailSubject(customerData.orderId),
+      html: createOrderEmailTemplate(items, customerData),
+      attachments: attachments.length ? attachments : undefined
+    }, {
+      emailType: allRetreats ? 'retreat' : 'workshop',
+      logContext: { webflowOrderId: customerData.orderId, ...logContext }
+    });
+
+    console.log(`Sent order email to ${email} for ${items.length} items`);
+    return result;
+
+  } catch (error) {
+    console.error(`Error sending order email to ${email}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Create HTML email template for gift card
  */
 function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, message, shopUrl, isRecipient = false }) {
   const greeting = escapeHtml(recipientName || 'Friend');
   const giftMessage = escapeHtml(message || '');
+  const amount = escapeHtml(amountDisplay);
+  const safeCode = escapeHtml(code);
+  const theme = BRAND_THEME;
 
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Gift Card - Katie Ann Clay</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 0;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background: white;
-            margin: 0;
-            padding: 0;
-        }
-        .header {
-            background: #274d5a;
-            text-align: center;
-            color: white;
-        }
-        .logo {
-            width: 100%;
-            height: 220px;
-            margin: 0;
-            background: #274d5a;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            overflow: hidden;
-        }
-        .logo img {
-            width: 100%;
-            height: 100%;
-            object-fit: contain;
-        }
-        .gift-card-title {
-            color: #274d5a;
-            font-size: 32px;
-            font-weight: 600;
-            margin: 30px 0 10px 0;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-        .gift-card-subtitle {
-            color: #666;
-            font-size: 18px;
-            margin: 0 0 30px 0;
-            letter-spacing: 0.5px;
-        }
-        .content-section {
-            padding: 30px;
-            background: white;
-        }
-        .gift-message {
-            margin: 0 0 30px 0;
-            padding: 25px;
-            background: #f8f9fa;
-            border-left: 4px solid #274d5a;
-            font-style: italic;
-            color: #555;
-        }
+  return renderEmailLayout({
+    title: 'Gift Card - Katie Ann Clay',
+    styles: [
+      baseStyles(theme),
+      titleStyles(theme, { prefix: 'gift-card', titleSize: '32px', subtitleSize: '18px', uppercaseSubtitle: false }),
+      contentSectionStyles(),
+      calloutStyles(theme, { className: 'gift-message', italic: true }),
+      `
         .code-section {
             margin: 0 0 30px 0;
             padding: 30px;
-            background: #274d5a;
+            background: ${theme.primaryColor};
             color: white;
             text-align: center;
         }
         .code-label {
             font-size: 14px;
             font-weight: 600;
-            color: #a8d4e0;
+            color: ${theme.accentColor};
             text-transform: uppercase;
             letter-spacing: 1px;
             margin: 0 0 15px 0;
@@ -565,7 +1453,7 @@ function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, messa
             font-weight: 700;
             color: white;
             letter-spacing: 3px;
-            font-family: 'Courier New', monospace;
+            font-family: ${theme.monoFontFamily};
             padding: 15px;
             background: rgba(255, 255, 255, 0.1);
             border-radius: 8px;
@@ -574,10 +1462,10 @@ function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, messa
         .instructions {
             margin: 0 0 30px 0;
             padding: 25px;
-            background: #f8f9fa;
+            background: ${theme.panelBackground};
         }
         .instructions h3 {
-            color: #274d5a;
+            color: ${theme.primaryColor};
             font-size: 18px;
             font-weight: 600;
             margin: 0 0 15px 0;
@@ -590,39 +1478,11 @@ function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, messa
         }
         .instructions li {
             margin: 10px 0;
-            color: #555;
-        }
-        .shop-button {
-            display: inline-block;
-            background: #274d5a;
-            color: white;
-            padding: 15px 40px;
-            text-decoration: none;
-            font-weight: 600;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-            border-radius: 4px;
-            margin: 20px 0;
-        }
-        .shop-button:hover {
-            background: #1d3a44;
-        }
-        .footer {
-            background: #274d5a;
-            padding: 30px;
-            text-align: center;
-            color: #a8d4e0;
-            font-size: 14px;
-        }
-        .footer p {
-            margin: 10px 0;
-            color: #a8d4e0;
-        }
-        .signature {
-            color: white;
-            font-weight: 600;
-            margin-top: 20px;
-        }
+            color: ${theme.softTextColor};
+        }`,
+      buttonStyles(theme),
+      footerStyles(theme, { textColor: theme.accentColor, paragraphColor: theme.accentColor, signatureColor: 'white' }),
+      `
         .forward-notice {
             margin: 0 0 30px 0;
             padding: 20px;
@@ -642,26 +1502,16 @@ function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, messa
             margin: 0;
             color: #856404;
             line-height: 1.5;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <div class="logo">
-                <img src="https://cdn.prod.website-files.com/5d2b6c55187e93f15bc32a32/68be2adc42edee3a305903f6_katie-logo-square-white.jpg" alt="Katie Ann Clay Logo" />
-            </div>
-        </div>
-
-        <div class="content-section">
-            <h1 class="gift-card-title">Gift Card</h1>
-            <p class="gift-card-subtitle">${isRecipient ? `Hi ${greeting}! You've received a ${amountDisplay} gift card to Katie Ann Clay!` : `You've received a ${amountDisplay} gift card to Katie Ann Clay!`}</p>
+        }`
+    ],
+    content: `            <h1 class="gift-card-title">Gift Card</h1>
+            <p class="gift-card-subtitle">${isRecipient ? `Hi ${greeting}! You've received a ${amount} gift card to Katie Ann Clay!` : `You've received a ${amount} gift card to Katie Ann Clay!`}</p>
 
             ${giftMessage ? `<div class="gift-message">"${giftMessage}"</div>` : ''}
 
             <div class="code-section">
                 <div class="code-label">Your Gift Card Code</div>
-                <div class="code-value">${code}</div>
+                <div class="code-value" data-plain-text="prominent">${safeCode}</div>
             </div>
 
             ${!isRecipient ? `
@@ -681,26 +1531,15 @@ function createGiftCardEmailTemplate({ recipientName, amountDisplay, code, messa
                 </ol>
             </div>
 
-            <div style="text-align: center;">
-                <a href="${shopUrl}" class="shop-button">Shop Now</a>
-            </div>
-        </div>
-
-        <div class="footer">
-            <p>If you have any questions about your gift card, please don't hesitate to reach out to us.</p>
-            <p class="signature">Best regards,<br>Katie Ann Clay</p>
-        </div>
-    </div>
-</body>
-</html>
-  `.trim();
+${renderButton({ href: escapeHtml(shopUrl), label: 'Shop Now' })}`,
+    footerLines: ["If you have any questions about your gift card, please don't hesitate to reach out to us."]
+  });
 }
 
 /**
  * Send gift card email via Resend
  */
-async function sendGiftCardEmail({ to, recipientName, amountDisplay, code, message, shopUrl, isRecipient = false }) {
-  const resend = getResendClient();
+async function sendGiftCardEmail({ to, recipientName, amountDisplay, code, message, shopUrl, isRecipient = false, logContext }) {
   const fromEmail = process.env.GIFT_CARD_FROM_EMAIL || process.env.RESEND_FROM_EMAIL;
   const fromName = process.env.GIFT_CARD_SENDER_NAME || 'Katie Ann Clay';
 
@@ -730,11 +1569,18 @@ async function sendGiftCardEmail({ to, recipientName, amountDisplay, code, messa
       hasHtmlContent: !!htmlContent
     });
     
-    const result = await resend.emails.send({
+    const result = await deliverEmail({
       from: `${fromName} <${fromEmail}>`,
       to: [to],
       subject: emailSubject,
       html: htmlContent
+    }, {
+      emailType: 'gift_card',
+      logContext: {
+        recipientRole: isRecipient ? 'recipient' : 'purchaser',
+        payload: { code, recipientName: recipientName || null, message: message || null, isRecipient },
+        ...logContext
+      }
     });
 
     console.log(`✅ Gift card email sent successfully:`, {
@@ -746,6 +1592,7 @@ async function sendGiftCardEmail({ to, recipientName, amountDisplay, code, messa
     return result;
 
   } catch (error) {
+    if (error instanceof EmailSuppressedError) throw error;
     console.error(`❌ Error sending gift card email to ${to}:`, {
       error: error.message,
       stack: error.stack,
@@ -761,11 +1608,10 @@ async function sendGiftCardEmail({ to, recipientName, amountDisplay, code, messa
  * Send a test email
  */
 async function sendTestEmail(email, subject = 'Test Email from Katie Ann Clay Mailer') {
-  const resend = getResendClient();
   const fromEmail = process.env.RESEND_FROM_EMAIL;
 
   try {
-    const result = await resend.emails.send({
+    const result = await deliverEmail({
       from: fromEmail,
       to: [email],
       subject: subject,
@@ -775,7 +1621,7 @@ async function sendTestEmail(email, subject = 'Test Email from Katie Ann Clay Ma
         <p>If you received this, the email system is working correctly!</p>
         <p><em>Sent at: ${new Date().toISOString()}</em></p>
       `
-    });
+    }, { emailType: null });
 
     console.log(`Sent test email to ${email}`);
     return result;
@@ -804,10 +1650,42 @@ async function getEmailStats() {
 }
 
 module.exports = {
+  EmailSuppressedError,
+  EmailSendError,
+  EmailRateLimitedError,
+  EmailValidationError,
+  EmailAuthError,
+  EmailServerError,
+  normalizeSendResult,
+  getEmailTransport,
+  deliverEmail,
   createWorkshopEmailTemplate,
   sendWorkshopEmail,
+  workshopTransferSubject,
+  sendWorkshopTransferEmail,
+  workshopReminderSubject,
+  createWorkshopReminderEmailTemplate,
+  sendWorkshopReminderEmail,
+  workshopFollowUpSubject,
+  createWorkshopFollowUpEmailTemplate,
+  sendWorkshopFollowUpEmail,
+  waitlistSeatSubject,
+  createWaitlistSeatEmailTemplate,
+  sendWaitlistSeatEmail,
+  capacityAlertSubject,
+  createCapacityAlertEmailTemplate,
+  sendCapacityAlertEmail,
+  workshopCancellationSubject,
+  createWorkshopCancellationEmailTemplate,
+  sendWorkshopCancellationEmail,
+  orderRefundSubject,
+  createOrderRefundEmailTemplate,
+  sendOrderRefundEmail,
   createRetreatEmailTemplate,
   sendRetreatEmail,
+  orderEmailSubject,
+  createOrderEmailTemplate,
+  sendOrderEmail,
   createGiftCardEmailTemplate,
   sendGiftCardEmail,
   sendTestEmail,
@@ -52,6 +52,12 @@ async function withBackoff(fn, options = {}) {
  * Default retry condition
  */
 function defaultShouldRetry(error) {
+  // Typed send errors from lib/resend.js (rate limited, validation, auth,
+  // server) say for themselves whether another attempt can help.
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
   if (error.response?.status === 429) {
     return true;
   }
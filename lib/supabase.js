@@ -138,6 +138,79 @@ async function markGiftCardSent({ codeId }) {
   }
 }
 
+/**
+ * Put an assigned (but never sent) gift card code back in the pool, e.g. when
+ * its email couldn't go out. Codes that were sent or voided are left alone.
+ * @param {string} codeId - Gift card code UUID
+ * @returns {Promise<boolean>} true if the code was released
+ */
+async function releaseGiftCardCode({ codeId }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('gift_card_codes')
+      .update({
+        status: 'unused',
+        webflow_order_id: null,
+        purchaser_email: null,
+        recipient_email: null,
+        recipient_name: null,
+        message: null,
+        line_item_key: null,
+        unit_index: null,
+        assigned_at: null
+      })
+      .eq('id', codeId)
+      .eq('status', 'assigned')
+      .select('id');
+
+    if (error) {
+      console.error('Error releasing gift card code:', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Error in releaseGiftCardCode:', error);
+    throw error;
+  }
+}
+
+/**
+ * Void every gift card code assigned to an order (the order was refunded or
+ * cancelled). Codes already voided are left as they are.
+ * @param {string} orderId - Webflow order ID
+ * @param {string} reason - e.g. 'refunded'
+ * @returns {Promise<Array>} The codes voided by this call
+ */
+async function voidOrderGiftCardCodes(orderId, reason) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('gift_card_codes')
+      .update({
+        status: 'void',
+        voided_at: new Date().toISOString(),
+        void_reason: reason
+      })
+      .eq('webflow_order_id', orderId)
+      .in('status', ['assigned', 'sent'])
+      .select();
+
+    if (error) {
+      console.error('Error voiding gift card codes:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in voidOrderGiftCardCodes:', error);
+    throw error;
+  }
+}
+
 /**
  * Get gift card product mapping by Webflow product ID
  * @param {string} webflowProductId - Webflow product ID
@@ -170,6 +243,83 @@ async function getGiftCardProduct(webflowProductId) {
   }
 }
 
+/**
+ * Get a gift card code by ID
+ * @param {string} codeId - Gift card code ID
+ * @returns {Promise<Object|null>} Gift card code, or null if it doesn't exist
+ */
+async function getGiftCardCode(codeId) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('gift_card_codes')
+      .select('*')
+      .eq('id', codeId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching gift card code:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getGiftCardCode:', error);
+    throw error;
+  }
+}
+
+/**
+ * The gift card code for one unit (0-based) of an order's gift card line item:
+ * the code already assigned to that unit, whatever its status (so a retried
+ * webhook sees which cards already went out), or else a newly assigned
+ * unused one. Throws "No unused gift card codes available" when the pool is
+ * empty.
+ * @param {Object} params
+ * @param {string} params.lineItemKey - order line item idempotency key
+ * @param {number} params.unitIndex
+ * @param {number} params.amountCents - Gift card amount in cents
+ * @param {Object} params.order - Order details
+ * @param {Object} params.purchaser - Purchaser information
+ * @param {Object} params.recipient - Recipient information (optional)
+ * @returns {Promise<Object>} The unit's gift card code
+ */
+async function assignGiftCardCodeForUnit({ lineItemKey, unitIndex, amountCents, order, purchaser, recipient = null }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase.rpc('assign_gift_card_code_for_unit', {
+      p_line_item_key: lineItemKey,
+      p_unit_index: unitIndex,
+      p_amount_cents: amountCents,
+      p_webflow_order_id: order.orderId || order.id,
+      p_purchaser_email: purchaser.email,
+      p_recipient_email: recipient?.email || null,
+      p_recipient_name: recipient?.name || null,
+      p_message: recipient?.message || null
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('No unused gift card codes available')) {
+        throw new Error(`No unused gift card codes available for $${(amountCents / 100).toFixed(2)}`);
+      }
+      console.error('Error assigning gift card code for unit:', error);
+      throw error;
+    }
+
+    const assignedCode = Array.isArray(data) ? data[0] : data;
+    if (!assignedCode || !assignedCode.code || !assignedCode.id) {
+      throw new Error('Invalid response from assign_gift_card_code_for_unit');
+    }
+
+    return assignedCode;
+  } catch (error) {
+    console.error('Error in assignGiftCardCodeForUnit:', error);
+    throw error;
+  }
+}
+
 /**
  * Atomically assign an unused gift card code to an order
  * This prevents race conditions by using a database function with SELECT FOR UPDATE SKIP LOCKED
@@ -404,8 +554,12 @@ module.exports = {
   getUnusedGiftCardCodes,
   assignGiftCardCode,
   assignUnusedGiftCardCodeAtomically,
+  assignGiftCardCodeForUnit,
   markGiftCardSent,
+  releaseGiftCardCode,
+  voidOrderGiftCardCodes,
   getGiftCardProduct,
+  getGiftCardCode,
   importGiftCardCodes,
   storeGiftCardRecipientInfo,
   getGiftCardRecipientInfo,
@@ -0,0 +1,183 @@
+/**
+ * Email suppression list.
+ *
+ * Addresses in `email_suppressions` never receive email: lib/resend.js checks
+ * here before every send. Entries come from hard bounces and spam complaints
+ * (Resend webhook) or are added by staff from the dashboard.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+
+const SUPPRESSION_REASONS = ['bounced', 'complained', 'manual'];
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Look up the suppression entry for an address.
+ * Fails open: if the lookup itself errors we log and return null, so a
+ * database problem can't stop every transactional email from going out.
+ *
+ * @param {string} email
+ * @returns {Promise<Object|null>} the suppression row, or null if not suppressed
+ */
+async function getSuppression(email) {
+  try {
+    const supabase = getSupabaseClient();
+
+    const { data, error } = await supabase
+      .from('email_suppressions')
+      .select('*')
+      .eq('email', normalizeEmail(email))
+      .maybeSingle();
+
+    if (error) {
+      console.warn('⚠️ Suppression lookup failed, sending anyway:', error.message);
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    console.warn('⚠️ Unexpected error checking suppression list, sending anyway:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Add an address to the suppression list. An existing entry is kept as-is.
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {'bounced'|'complained'|'manual'} params.reason
+ * @param {'resend_webhook'|'dashboard'} params.source
+ * @param {string} [params.note]
+ * @param {string} [params.createdBy] - dashboard user email
+ * @param {string} [params.emailEventId] - triggering email_events row
+ * @returns {Promise<Object>} the suppression row
+ */
+async function addSuppression({ email, reason, source, note, createdBy, emailEventId }) {
+  const supabase = getSupabaseClient();
+
+  try {
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      throw new Error(`Invalid suppression reason: ${reason}`);
+    }
+
+    const row = {
+      email: normalizeEmail(email),
+      reason,
+      source,
+      note: note || null,
+      created_by: createdBy || null,
+      email_event_id: emailEventId || null
+    };
+
+    const { error } = await supabase
+      .from('email_suppressions')
+      .upsert(row, { onConflict: 'email', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('Error adding suppression:', error);
+      throw error;
+    }
+
+    const { data, error: fetchError } = await supabase
+      .from('email_suppressions')
+      .select('*')
+      .eq('email', row.email)
+      .single();
+
+    if (fetchError) {
+      console.error('Error fetching suppression:', fetchError);
+      throw fetchError;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in addSuppression:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an address from the suppression list.
+ *
+ * @param {string} email
+ * @returns {Promise<boolean>} true if an entry was removed
+ */
+async function removeSuppression(email) {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('email_suppressions')
+      .delete()
+      .eq('email', normalizeEmail(email))
+      .select('email');
+
+    if (error) {
+      console.error('Error removing suppression:', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Error in removeSuppression:', error);
+    throw error;
+  }
+}
+
+/**
+ * A search term as a literal inside an ILIKE pattern: its `%` and `_` would
+ * otherwise match any characters (e.g. "a_b" matching "axb").
+ */
+function escapeLikePattern(term) {
+  return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * List suppressed addresses, newest first.
+ *
+ * @param {Object} params
+ * @param {string} [params.search] - matches email
+ * @param {number} [params.limit=50]
+ * @param {number} [params.offset=0]
+ * @returns {Promise<{suppressions: Array, total: number}>}
+ */
+async function listSuppressions({ search, limit = 50, offset = 0 } = {}) {
+  const supabase = getSupabaseClient();
+
+  try {
+    let query = supabase
+      .from('email_suppressions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      query = query.ilike('email', `%${escapeLikePattern(search)}%`);
+    }
+
+    const { data, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing suppressions:', error);
+      throw error;
+    }
+
+    return { suppressions: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error in listSuppressions:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  normalizeEmail,
+  getSuppression,
+  addSuppression,
+  removeSuppression,
+  listSuppressions
+};
@@ -0,0 +1,358 @@
+/**
+ * Moving a booking to another workshop date.
+ *
+ * transferAttendee() is used from the dashboard when a customer reschedules
+ * under the reschedule policy: the booking's attendee row moves to the new
+ * workshop's roster, its reminders are rescheduled for the new date, the move
+ * is recorded in workshop_transfers (with the staff member and reason), and
+ * the customer gets a "you've been moved" email with the new workshop's
+ * details (email_type 'reschedule').
+ *
+ * Only bookings made through the order ledger can be moved, since the roster
+ * and reminders are keyed by the order line item. The booking keeps its line
+ * item key wherever it moves.
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient } = require('./supabase.js');
+const { sendWorkshopTransferEmail, createWorkshopEmailTemplate, workshopTransferSubject, EmailSuppressedError } = require('./resend.js');
+const { getProduct, resolveGuidelines, isWorkshopProduct, isRetreatProduct } = require('./webflow.js');
+const { getAttendee, moveAttendee } = require('./attendees.js');
+const { checkWorkshopCapacity, handleSeatsReleased } = require('./capacity.js');
+const { markWaitlistBooked } = require('./waitlist.js');
+const { moveWorkshopReminders } = require('./reminders.js');
+const { getEventTimes } = require('./calendar.js');
+const { withBackoff } = require('./retry.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+
+// Email types whose email_log rows point at a workshop booking.
+const BOOKING_EMAIL_TYPES = ['workshop', 'reminder', 'reschedule'];
+
+/**
+ * A move that can't be made as asked. `statusCode` is the HTTP status the
+ * dashboard endpoint responds with.
+ */
+class TransferError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TransferError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Same key the order webhook uses for the line item.
+ */
+function lineItemKey(orderId, customerEmail, productId) {
+  return crypto
+    .createHash('sha256')
+    .update(`${orderId}-${customerEmail}-${productId}`)
+    .digest('hex');
+}
+
+/**
+ * The line item key of the booking an email_log row was sent for. A
+ * reschedule email records the key in its payload, since the booking's
+ * product is no longer the one it was ordered as.
+ */
+async function keyFromEmailLog(emailLogId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('email_log')
+    .select('id, email_type, to_email, webflow_order_id, product_id, payload')
+    .eq('id', emailLogId)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error loading email ${emailLogId}:`, error);
+    throw error;
+  }
+  if (!data) {
+    throw new TransferError('Email not found', 404);
+  }
+  if (!BOOKING_EMAIL_TYPES.includes(data.email_type)) {
+    throw new TransferError(`A ${data.email_type} email isn't for a workshop booking`);
+  }
+  if (data.payload?.idempotencyKey) {
+    return data.payload.idempotencyKey;
+  }
+  if (!data.webflow_order_id || !data.product_id) {
+    throw new TransferError('This email has no order to move', 409);
+  }
+  return lineItemKey(data.webflow_order_id, data.to_email, data.product_id);
+}
+
+async function getLineItem(idempotencyKey) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('order_line_items')
+    .select('idempotency_key, webflow_order_id, product_id, product_name, quantity, customer_email, status, orders(payload)')
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error loading line item ${idempotencyKey.substring(0, 8)}...:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * The workshop a booking can move to, with its details for the email.
+ */
+async function resolveTargetWorkshop(productId) {
+  let product;
+  let skus;
+  try {
+    ({ product, skus } = await withBackoff(() => getProduct(process.env.WEBFLOW_SITE_ID, productId)));
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new TransferError('Workshop product not found', 404);
+    }
+    throw error;
+  }
+  if (!product || !(await isWorkshopProduct(product, { skus })) || await isRetreatProduct(product, { skus })) {
+    throw new TransferError('Bookings can only be moved to another workshop');
+  }
+
+  const guidelines = await withBackoff(() =>
+    resolveGuidelines(process.env.WEBFLOW_SITE_ID, { productId })
+  );
+  if (guidelines.sanitizeReport) {
+    console.warn(`⚠️ Stripped unsafe content from workshop ${productId}`, guidelines.sanitizeReport);
+  }
+
+  return {
+    guidelines,
+    workshopData: {
+      productId,
+      name: guidelines.name || product.fieldData?.name || product.name,
+      date: guidelines.date || 'TBD',
+      location: guidelines.location || 'TBD',
+      guidelinesHtml: guidelines.guidelinesHtml || 'Guidelines coming soon...',
+      duration: guidelines.duration,
+      whatToBring: guidelines.whatToBring,
+      parking: guidelines.parking,
+      reschedulePolicy: guidelines.reschedulePolicy,
+      faq: guidelines.faq
+    }
+  };
+}
+
+async function updateTransfer(id, update) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_transfers')
+    .update(update)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error updating workshop transfer ${id}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Send the "you've been moved" email for a recorded transfer and record how
+ * it went. Never throws: the booking has already moved.
+ */
+async function sendTransferEmail(transfer, { workshopData, guidelines, previousWorkshop }) {
+  const customerData = {
+    customerName: transfer.customer_name || 'Workshop Participant',
+    orderId: transfer.webflow_order_id
+  };
+  const payload = {
+    productId: transfer.to_product_id,
+    orderId: transfer.webflow_order_id,
+    customerName: customerData.customerName,
+    name: workshopData.name,
+    idempotencyKey: transfer.idempotency_key,
+    transferId: transfer.id,
+    previousProductId: transfer.from_product_id,
+    previousName: previousWorkshop.name,
+    previousDate: previousWorkshop.date,
+    contentSource: guidelines.source,
+    cmsItemId: guidelines.cmsItemId || null,
+    ...(guidelines.sanitizeReport && { sanitized: guidelines.sanitizeReport })
+  };
+
+  try {
+    const result = await sendWorkshopTransferEmail({
+      email: transfer.customer_email,
+      workshopData,
+      customerData,
+      previousWorkshop,
+      logContext: { productId: transfer.to_product_id, payload }
+    });
+
+    const logged = await logEmail({
+      emailType: 'reschedule',
+      toEmail: transfer.customer_email,
+      subject: workshopTransferSubject(workshopData.name),
+      resendMessageId: resendMessageId(result),
+      webflowOrderId: transfer.webflow_order_id,
+      productId: transfer.to_product_id,
+      html: createWorkshopEmailTemplate(workshopData, customerData, { previousWorkshop }),
+      payload,
+      triggeredBy: transfer.triggered_by
+    });
+
+    return await updateTransfer(transfer.id, { email_status: 'sent', email_log_id: logged?.id || null, error: null });
+  } catch (error) {
+    const suppressed = error instanceof EmailSuppressedError;
+    if (suppressed) {
+      console.warn(`🚫 ${error.message}`);
+    } else {
+      console.error(`Error sending reschedule email for transfer ${transfer.id}:`, error.message);
+    }
+    try {
+      return await updateTransfer(transfer.id, { email_status: suppressed ? 'skipped' : 'failed', error: error.message });
+    } catch (updateError) {
+      console.warn(`⚠️ Could not record the reschedule email outcome for transfer ${transfer.id}:`, updateError?.message);
+      return { ...transfer, email_status: suppressed ? 'skipped' : 'failed', error: error.message };
+    }
+  }
+}
+
+/**
+ * Move a booking to another workshop and email the customer.
+ *
+ * The booking is found by its line item key, or by an email that was sent for
+ * it (its workshop details, a reminder, or an earlier reschedule email).
+ *
+ * @param {Object} params
+ * @param {string} [params.idempotencyKey] - order line item key
+ * @param {string} [params.emailLogId] - email_log row of the booking
+ * @param {string} params.toProductId - the workshop to move to
+ * @param {string} [params.reason] - internal note
+ * @param {string} params.triggeredBy - dashboard user
+ * @returns {Promise<{transfer: Object, reminders: number}>} the recorded
+ *   workshop_transfers row (with the email outcome) and how many reminders are
+ *   now scheduled
+ * @throws {TransferError} when the booking can't be moved there
+ */
+async function transferAttendee({ idempotencyKey, emailLogId, toProductId, reason, triggeredBy }) {
+  const key = idempotencyKey || (emailLogId && await keyFromEmailLog(emailLogId));
+  if (!key) {
+    throw new TransferError('Missing idempotencyKey or emailLogId');
+  }
+
+  const lineItem = await getLineItem(key);
+  if (!lineItem || lineItem.status !== 'succeeded') {
+    throw new TransferError('No processed order line item found for this booking', 404);
+  }
+
+  const attendee = await getAttendee(key);
+  if (attendee?.status === 'cancelled') {
+    throw new TransferError('This booking has been cancelled and can no longer be moved', 409);
+  }
+
+  const fromProductId = attendee?.product_id || lineItem.product_id;
+  if (fromProductId === toProductId) {
+    throw new TransferError('The booking is already in this workshop', 409);
+  }
+
+  const quantity = attendee?.quantity || lineItem.quantity || 1;
+  const customerEmail = attendee?.customer_email || lineItem.customer_email;
+  const orderPayload = lineItem.orders?.payload;
+  const customerName = attendee?.customer_name ||
+    orderPayload?.customerInfo?.fullName || orderPayload?.customer?.name || orderPayload?.customer?.firstName || null;
+
+  const { workshopData, guidelines } = await resolveTargetWorkshop(toProductId);
+
+  const previousWorkshop = {
+    name: attendee?.workshop_name || lineItem.product_name || 'your previous workshop',
+    date: attendee?.event_date || null
+  };
+  const eventTimes = getEventTimes(guidelines);
+  const moved = {
+    productId: toProductId,
+    workshopName: workshopData.name,
+    eventDate: guidelines.date,
+    eventStart: eventTimes?.start || null,
+    eventEnd: eventTimes?.end || null
+  };
+
+  // Checks the seats left and moves the booking together, so two moves into
+  // the last seat can't both succeed. Workshops without a capacity aren't
+  // limited; a booking made before the roster existed joins the new roster.
+  const move = await moveAttendee(key, moved, {
+    orderId: lineItem.webflow_order_id,
+    customerName,
+    customerEmail,
+    quantity
+  });
+  if (move.result === 'full') {
+    throw new TransferError(
+      `Not enough seats left in this workshop (${move.seatsAvailable} of ${move.capacity} available)`,
+      409
+    );
+  }
+  if (move.result !== 'moved') {
+    throw new TransferError('This booking is not confirmed (released?)', 409);
+  }
+  console.log(`🔁 Booking ${key.substring(0, 8)}... moved from workshop ${fromProductId} to ${toProductId} by ${triggeredBy}`);
+
+  let reminders = 0;
+  try {
+    reminders = await moveWorkshopReminders({
+      idempotencyKey: key,
+      orderId: lineItem.webflow_order_id,
+      productId: toProductId,
+      customerEmail,
+      customerName: customerName || 'Workshop Participant',
+      workshopName: workshopData.name,
+      eventStart: moved.eventStart
+    });
+  } catch (error) {
+    console.warn(`⚠️ Could not move reminders of booking ${key.substring(0, 8)}...:`, error?.message);
+  }
+
+  await handleSeatsReleased(fromProductId);
+  await markWaitlistBooked(toProductId, customerEmail);
+  await checkWorkshopCapacity({ productId: toProductId, workshopName: workshopData.name, date: guidelines.date });
+
+  const supabase = getSupabaseClient();
+  const { data: transfer, error } = await supabase
+    .from('workshop_transfers')
+    .insert({
+      idempotency_key: key,
+      webflow_order_id: lineItem.webflow_order_id,
+      customer_email: customerEmail,
+      customer_name: customerName,
+      quantity,
+      from_product_id: fromProductId,
+      from_workshop_name: previousWorkshop.name,
+      from_event_date: previousWorkshop.date,
+      to_product_id: toProductId,
+      to_workshop_name: workshopData.name,
+      to_event_date: guidelines.date || null,
+      reason: reason || null,
+      triggered_by: triggeredBy
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error recording transfer of booking ${key.substring(0, 8)}...:`, error);
+    throw error;
+  }
+
+  return {
+    transfer: await sendTransferEmail(transfer, { workshopData, guidelines, previousWorkshop }),
+    reminders
+  };
+}
+
+module.exports = {
+  TransferError,
+  transferAttendee
+};
@@ -1,5 +1,5 @@
 /**
- * Small shared helpers used by the dashboard API endpoints.
+ * Small shared helpers used by the API endpoints.
  */
 
 const EMAIL_RE = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
@@ -32,9 +32,71 @@ async function readBody(req) {
   try { return JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch { return {}; }
 }
 
+/**
+ * Read the raw request body as a string, for endpoints that verify a signature
+ * over the exact bytes sent. The route must turn off the platform's body
+ * parser (`config.api.bodyParser = false`): a body that was already parsed
+ * can't be turned back into those bytes, so it's an error rather than
+ * re-serialized.
+ */
+async function readRawBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body && typeof req.body === 'object') {
+    throw new Error('Request body was already parsed; disable the body parser for this route');
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Client IP of a request, for rate limiting.
+ */
+function getClientIP(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+         req.headers['x-real-ip'] ||
+         req.connection?.remoteAddress ||
+         'unknown';
+}
+
+/**
+ * Simple in-memory, per-instance rate limiter for public endpoints. Returns a
+ * function that takes a key (usually the client IP) and returns false once it
+ * made more than `max` requests in the current window.
+ *
+ * @param {Object} params
+ * @param {number} params.windowMs
+ * @param {number} params.max - requests allowed per window
+ * @returns {(key: string) => boolean}
+ */
+function createRateLimiter({ windowMs, max }) {
+  const rateLimitMap = new Map();
+
+  return function checkRateLimit(key) {
+    const now = Date.now();
+    const limit = rateLimitMap.get(key);
+
+    if (!limit || now > limit.resetAt) {
+      rateLimitMap.set(key, { count: 1, resetAt: now + windowMs });
+      return true;
+    }
+
+    if (limit.count >= max) {
+      return false;
+    }
+
+    limit.count++;
+    return true;
+  };
+}
+
 module.exports = {
   EMAIL_RE,
   isValidEmail,
   amountDisplayFromCents,
-  readBody
+  readBody,
+  readRawBody,
+  getClientIP,
+  createRateLimiter
 };
@@ -0,0 +1,274 @@
+/**
+ * Workshop waitlist.
+ *
+ * People join the waitlist of a full workshop through /api/workshop/waitlist.
+ * When seats are released (see lib/capacity.js), notifyWaitlist() claims the
+ * first people waiting, one per free seat, and emails them a link to book
+ * (email_type 'waitlist'). A waitlisted person who then books the workshop is
+ * marked 'booked' by the order webhook.
+ *
+ * addToWaitlist(), closeWaitlist() and the claim throw on database errors;
+ * notifyWaitlist() and markWaitlistBooked() never throw, so they can't fail the
+ * release or order that triggered them.
+ */
+
+const { getSupabaseClient } = require('./supabase.js');
+const { sendWaitlistSeatEmail, createWaitlistSeatEmailTemplate, waitlistSeatSubject, EmailSuppressedError } = require('./resend.js');
+const { getProduct, resolveGuidelines } = require('./webflow.js');
+const { withBackoff } = require('./retry.js');
+const { logEmail, resendMessageId } = require('./emailLog.js');
+
+const WAITLIST_STATUSES = ['waiting', 'notified', 'booked', 'removed'];
+
+const DEFAULT_SHOP_URL = 'https://www.katieannclay.com/shop-filters';
+
+/**
+ * Add someone to a workshop's waitlist. Signing up twice keeps the original
+ * place in line.
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {string} params.email
+ * @param {string} [params.name]
+ * @returns {Promise<{entry: Object, created: boolean}>}
+ */
+async function addToWaitlist({ productId, email, name }) {
+  const supabase = getSupabaseClient();
+  const normalized = String(email).trim().toLowerCase();
+
+  const { data, error } = await supabase
+    .from('workshop_waitlist')
+    .upsert({
+      product_id: productId,
+      email: normalized,
+      name: name || null
+    }, { onConflict: 'product_id,email', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    console.error('Error adding to workshop waitlist:', error);
+    throw error;
+  }
+  if (data?.length) return { entry: data[0], created: true };
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('workshop_waitlist')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('email', normalized)
+    .single();
+
+  if (fetchError) {
+    console.error('Error reading workshop waitlist entry:', fetchError);
+    throw fetchError;
+  }
+
+  // Someone notified earlier (or removed) who signs up again waits again.
+  if (existing.status === 'notified' || existing.status === 'removed') {
+    const { data: requeued, error: updateError } = await supabase
+      .from('workshop_waitlist')
+      .update({ status: 'waiting', notified_at: null })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error re-adding to workshop waitlist:', updateError);
+      throw updateError;
+    }
+    return { entry: requeued, created: false };
+  }
+
+  return { entry: existing, created: false };
+}
+
+/**
+ * Atomically claim the first `limit` people waiting for a workshop (they
+ * become 'notified').
+ *
+ * @param {string} productId
+ * @param {number} limit
+ * @returns {Promise<Object[]>} workshop_waitlist rows
+ */
+async function claimWaitlistEntries(productId, limit) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase.rpc('claim_waitlist_entries', {
+    p_product_id: productId,
+    p_limit: limit
+  });
+
+  if (error) {
+    console.error('Error claiming workshop waitlist entries:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+async function updateWaitlistEntry(id, update) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('workshop_waitlist')
+    .update(update)
+    .eq('id', id);
+
+  if (error) {
+    console.warn(`⚠️ Failed to update waitlist entry ${id}:`, error.message);
+  }
+}
+
+/**
+ * Mark a customer's waitlist entry for a workshop as booked. Never throws.
+ *
+ * @param {string} productId
+ * @param {string} email
+ */
+async function markWaitlistBooked(productId, email) {
+  if (!productId || !email) return;
+  try {
+    const supabase = getSupabaseClient();
+
+    const { error } = await supabase
+      .from('workshop_waitlist')
+      .update({ status: 'booked' })
+      .eq('product_id', productId)
+      .eq('email', String(email).trim().toLowerCase())
+      .in('status', ['waiting', 'notified']);
+
+    if (error) {
+      console.warn('⚠️ Failed to mark waitlist entry as booked:', error.message);
+    }
+  } catch (error) {
+    console.warn('⚠️ Unexpected error marking waitlist entry as booked:', error?.message);
+  }
+}
+
+/**
+ * Take everyone still waiting off a workshop's waitlist (the workshop was
+ * cancelled, so no seat will open up).
+ *
+ * @param {string} productId
+ * @returns {Promise<number>} how many entries were removed
+ */
+async function closeWaitlist(productId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('workshop_waitlist')
+    .update({ status: 'removed' })
+    .eq('product_id', productId)
+    .eq('status', 'waiting')
+    .select('id');
+
+  if (error) {
+    console.error(`Error closing waitlist for workshop ${productId}:`, error);
+    throw error;
+  }
+
+  return data?.length || 0;
+}
+
+/**
+ * Product page of a workshop on the Webflow site (same origin as SHOP_URL),
+ * or SHOP_URL itself when the product's slug can't be read.
+ */
+async function workshopBookingUrl(productId) {
+  const shopUrl = process.env.SHOP_URL || DEFAULT_SHOP_URL;
+  try {
+    const response = await withBackoff(() => getProduct(process.env.WEBFLOW_SITE_ID, productId));
+    const slug = response?.product?.fieldData?.slug;
+    if (slug) return new URL(`/product/${encodeURIComponent(slug)}`, shopUrl).toString();
+  } catch (error) {
+    console.warn(`⚠️ Could not read product ${productId} for its booking link:`, error.message);
+  }
+  return shopUrl;
+}
+
+/**
+ * Email the first `seats` people waiting for a workshop that a seat is free.
+ * A failed send puts the person back in line; a suppressed address is removed
+ * from the waitlist. Never throws.
+ *
+ * @param {Object} params
+ * @param {string} params.productId
+ * @param {number} params.seats - free seats
+ * @returns {Promise<number>} how many people were emailed
+ */
+async function notifyWaitlist({ productId, seats }) {
+  if (!(seats > 0)) return 0;
+
+  let notified = 0;
+  try {
+    const entries = await claimWaitlistEntries(productId, seats);
+    if (!entries.length) return 0;
+
+    let guidelines;
+    try {
+      guidelines = await withBackoff(() =>
+        resolveGuidelines(process.env.WEBFLOW_SITE_ID, { productId })
+      );
+    } catch (error) {
+      // Nobody was emailed: put everyone back in line for the next release.
+      await Promise.all(entries.map(entry => updateWaitlistEntry(entry.id, { status: 'waiting', notified_at: null })));
+      throw error;
+    }
+    const workshopData = {
+      productId,
+      name: guidelines.name,
+      date: guidelines.date,
+      duration: guidelines.duration,
+      location: guidelines.location
+    };
+    const bookingUrl = await workshopBookingUrl(productId);
+
+    for (const entry of entries) {
+      const customerData = { customerName: entry.name };
+      const payload = { productId, name: workshopData.name, customerName: entry.name, waitlistId: entry.id, bookingUrl };
+      try {
+        const result = await sendWaitlistSeatEmail({
+          email: entry.email,
+          workshopData,
+          customerData,
+          bookingUrl,
+          logContext: { productId, payload }
+        });
+
+        const logged = await logEmail({
+          emailType: 'waitlist',
+          toEmail: entry.email,
+          subject: waitlistSeatSubject(workshopData.name),
+          resendMessageId: resendMessageId(result),
+          productId,
+          html: createWaitlistSeatEmailTemplate(workshopData, customerData, { bookingUrl }),
+          payload
+        });
+
+        await updateWaitlistEntry(entry.id, { email_log_id: logged?.id || null });
+        notified += 1;
+      } catch (error) {
+        if (error instanceof EmailSuppressedError) {
+          await updateWaitlistEntry(entry.id, { status: 'removed' });
+        } else {
+          console.error(`Error emailing waitlist entry ${entry.id}:`, error.message);
+          await updateWaitlistEntry(entry.id, { status: 'waiting', notified_at: null });
+        }
+      }
+    }
+
+    console.log(`📣 Notified ${notified} of ${entries.length} waitlisted customer(s) for workshop ${productId}`);
+  } catch (error) {
+    console.error(`Error notifying waitlist for workshop ${productId}:`, error.message);
+  }
+
+  return notified;
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  addToWaitlist,
+  markWaitlistBooked,
+  notifyWaitlist,
+  closeWaitlist
+};
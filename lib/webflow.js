@@ -2,90 +2,365 @@
  * Webflow API integration
  */
 
-const axios = require('axios');
-
-const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
+const { getWebflowClient, cachedGet } = require('./webflowClient.js');
+const { withBackoff } = require('./retry.js');
+const { looksLikeHtml, sanitizeHtml } = require('./htmlSanitizer.js');
+const { productMatchesType } = require('./productRules.js');
 
 /**
- * Get Webflow API client
+ * Fetch product details from Webflow (cached briefly; see lib/webflowClient.js)
  */
-function getWebflowClient() {
-  const token = process.env.WEBFLOW_API_TOKEN;
-  if (!token) {
-    throw new Error('WEBFLOW_API_TOKEN environment variable is required');
+async function getProduct(siteId, productId) {
+  try {
+    return await cachedGet(`/sites/${siteId}/products/${productId}`);
+  } catch (error) {
+    console.error(`Error fetching product ${productId}:`, error.response?.data || error.message);
+    throw error;
   }
-
-  return axios.create({
-    baseURL: WEBFLOW_API_BASE,
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    }
-  });
 }
 
 /**
- * Fetch product details from Webflow
+ * Fetch an ecommerce order from Webflow (its current status, e.g. 'refunded')
  */
-async function getProduct(siteId, productId) {
+async function getOrder(siteId, orderId) {
   const client = getWebflowClient();
-  
+
   try {
-    const response = await client.get(`/sites/${siteId}/products/${productId}`);
+    const response = await client.get(`/sites/${siteId}/orders/${orderId}`);
     return response.data;
   } catch (error) {
-    console.error(`Error fetching product ${productId}:`, error.response?.data || error.message);
+    console.error(`Error fetching order ${orderId}:`, error.response?.data || error.message);
     throw error;
   }
 }
 
+// Webflow order statuses that mean the customer is no longer coming.
+const CANCELLED_ORDER_STATUSES = ['refunded', 'dispute-lost'];
+
 /**
- * Fetch CMS collection item
+ * Whether a Webflow order (from getOrder) was refunded or lost to a dispute
  */
-async function getWorkshopCmsItem(siteId, collectionId, itemId) {
+function isOrderCancelled(order) {
+  return CANCELLED_ORDER_STATUSES.includes(order?.status);
+}
+
+// Webflow's maximum page size for products, CMS items and orders.
+const PAGE_SIZE = 100;
+const MAX_PAGE_CONCURRENCY = 5;
+
+/**
+ * Iterate every item of a paginated Webflow list endpoint, page by page.
+ * After the first page (which gives the total), up to `concurrency` further
+ * pages are fetched ahead; items are still yielded in order. Every page is
+ * retried with backoff, since a caller can only retry the whole listing. A
+ * page that still fails throws its error (with `offset` set to the page's
+ * offset) when the iteration reaches it.
+ *
+ * @param {string} path - e.g. `/sites/${siteId}/products`
+ * @param {Object} [options]
+ * @param {string} [options.itemsKey='items'] - response field holding the page's items
+ * @param {Object} [options.params] - extra query parameters
+ * @param {number} [options.concurrency=2] - pages fetched at once (max 5)
+ */
+async function* paginate(path, { itemsKey = 'items', params = {}, concurrency = 2 } = {}) {
   const client = getWebflowClient();
-  
-  try {
-    const response = await client.get(`/sites/${siteId}/collections/${collectionId}/items/${itemId}`);
+  const getPage = async offset => {
+    const response = await client.get(path, { params: { ...params, offset, limit: PAGE_SIZE } });
     return response.data;
+  };
+  const fetchPage = offset => withBackoff(() => getPage(offset)).catch(error => {
+    console.error(`Error fetching ${path} at offset ${offset}:`, error.response?.data || error.message);
+    error.offset = offset;
+    throw error;
+  });
+
+  const first = await fetchPage(0);
+  const firstItems = first[itemsKey] || [];
+  yield* firstItems;
+
+  // Step by what the first page actually held, in case Webflow caps pages lower.
+  const step = firstItems.length;
+  const total = first.pagination?.total;
+  if (!step) return;
+
+  if (typeof total !== 'number') {
+    let offset = step;
+    let items = firstItems;
+    while (items.length === step) {
+      items = (await fetchPage(offset))[itemsKey] || [];
+      yield* items;
+      offset += items.length;
+    }
+    return;
+  }
+
+  const parallel = Math.min(Math.max(Number(concurrency) || 1, 1), MAX_PAGE_CONCURRENCY);
+  const pending = [];
+  let nextOffset = step;
+  const fetchAhead = () => {
+    if (nextOffset >= total) return;
+    // Settled into a result, so a page that fails while an earlier one is
+    // being consumed (or after the caller stops early) isn't an unhandled
+    // rejection; its error is thrown when the iteration reaches it.
+    pending.push(fetchPage(nextOffset).then(data => ({ data }), error => ({ error })));
+    nextOffset += step;
+  };
+
+  for (let i = 0; i < parallel; i++) fetchAhead();
+  while (pending.length) {
+    const page = await pending.shift();
+    if (page.error) throw page.error;
+    fetchAhead();
+    yield* page.data[itemsKey] || [];
+  }
+}
+
+/**
+ * Iterate a site's products, as `{ product, skus }` (like getProduct).
+ *
+ * @param {string} siteId
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - pages fetched at once
+ */
+async function* iterateProducts(siteId, { concurrency } = {}) {
+  yield* paginate(`/sites/${siteId}/products`, { concurrency });
+}
+
+/**
+ * Iterate the items of a CMS collection (drafts and archived items included).
+ *
+ * @param {string} collectionId
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - pages fetched at once
+ */
+async function* iterateCmsItems(collectionId, { concurrency } = {}) {
+  yield* paginate(`/collections/${collectionId}/items`, { concurrency });
+}
+
+function orderTime(order) {
+  const time = Date.parse(order.acceptedOn || order.createdOn || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Iterate a site's ecommerce orders, newest first (the order Webflow lists
+ * them in). With `since`, paging stops at the first order older than it.
+ *
+ * @param {string} siteId
+ * @param {Object} [options]
+ * @param {string|string[]} [options.status] - only orders with this status (or any of these),
+ *   e.g. 'unfulfilled', 'refunded'
+ * @param {Date|string} [options.since] - only orders accepted at or after this time
+ * @param {Date|string} [options.until] - only orders accepted before this time
+ * @param {number} [options.concurrency] - pages fetched at once
+ */
+async function* iterateOrders(siteId, { status, since, until, concurrency } = {}) {
+  const statuses = status ? [].concat(status) : null;
+  const from = since ? new Date(since).getTime() : null;
+  const to = until ? new Date(until).getTime() : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    throw new Error('Invalid order date range');
+  }
+
+  // Webflow filters by one status itself; several are filtered here.
+  const params = statuses?.length === 1 ? { status: statuses[0] } : {};
+  // New orders arriving mid-listing shift later pages, so skip repeats.
+  const seen = new Set();
+
+  for await (const order of paginate(`/sites/${siteId}/orders`, { itemsKey: 'orders', params, concurrency })) {
+    const id = order.orderId || order.id;
+    if (id && seen.has(id)) continue;
+    if (id) seen.add(id);
+
+    if (statuses && !statuses.includes(order.status)) continue;
+    if (from !== null || to !== null) {
+      const time = orderTime(order);
+      if (time === null) continue;
+      // Every order after this one is older still.
+      if (from !== null && time < from) return;
+      if (to !== null && time >= to) continue;
+    }
+    yield order;
+  }
+}
+
+/**
+ * Fetch CMS collection item (cached briefly, like products)
+ */
+async function getWorkshopCmsItem(siteId, collectionId, itemId) {
+  try {
+    return await cachedGet(`/collections/${collectionId}/items/${itemId}`);
   } catch (error) {
     console.error(`Error fetching CMS item ${itemId}:`, error.response?.data || error.message);
     throw error;
   }
 }
 
+// How long the product -> Workshops CMS item mapping is trusted before the
+// collection is listed again (picks up newly linked or edited items).
+const WORKSHOP_INDEX_TTL_MS = 5 * 60 * 1000;
+
+let workshopIndex = null;
+
+/**
+ * Index the Workshops CMS collection by linked product (`product_ref`
+ * reference field) and by slug. Drafts and archived items are skipped.
+ * Cached per instance for WORKSHOP_INDEX_TTL_MS.
+ */
+async function getWorkshopIndex(collectionId) {
+  if (workshopIndex && workshopIndex.collectionId === collectionId && workshopIndex.expiresAt > Date.now()) {
+    return workshopIndex;
+  }
+
+  const byProductRef = new Map();
+  const bySlug = new Map();
+
+  try {
+    for await (const item of iterateCmsItems(collectionId)) {
+      if (item.isDraft || item.isArchived) continue;
+      const refs = [].concat(item.fieldData?.product_ref || []);
+      refs.forEach(ref => { if (!byProductRef.has(ref)) byProductRef.set(ref, item.id); });
+      if (item.fieldData?.slug && !bySlug.has(item.fieldData.slug)) {
+        bySlug.set(item.fieldData.slug, item.id);
+      }
+    }
+  } catch (error) {
+    console.error(`Error listing CMS collection ${collectionId}:`, error.response?.data || error.message);
+    throw error;
+  }
+
+  workshopIndex = { collectionId, byProductRef, bySlug, expiresAt: Date.now() + WORKSHOP_INDEX_TTL_MS };
+  return workshopIndex;
+}
+
+/**
+ * Find the Workshops CMS item for a product: the item whose `product_ref`
+ * references it, else the item with the same slug as the product.
+ *
+ * @returns {Promise<{cmsItemId: string, matchedBy: 'product_ref'|'slug'}|null>}
+ *   null when no item matches or WEBFLOW_WORKSHOPS_COLLECTION_ID isn't set
+ */
+async function findWorkshopCmsItem(siteId, productId, { product } = {}) {
+  const collectionId = process.env.WEBFLOW_WORKSHOPS_COLLECTION_ID;
+  if (!collectionId || !productId) return null;
+
+  const index = await getWorkshopIndex(collectionId);
+
+  if (index.byProductRef.has(productId)) {
+    return { cmsItemId: index.byProductRef.get(productId), matchedBy: 'product_ref' };
+  }
+
+  if (!index.bySlug.size) return null;
+  const productData = product || (await getProduct(siteId, productId)).product;
+  const slug = productData?.fieldData?.slug || productData?.slug;
+  if (slug && index.bySlug.has(slug)) {
+    return { cmsItemId: index.bySlug.get(slug), matchedBy: 'slug' };
+  }
+
+  return null;
+}
+
+// Content fields that may hold CMS rich text.
+const RICH_TEXT_FIELDS = ['guidelinesHtml', 'location', 'whatToBring', 'parking', 'reschedulePolicy', 'faq', 'careInstructions'];
+
+/**
+ * Sanitize the rich-text fields of resolved content in place. Returns what was
+ * stripped, keyed by field, or null if nothing was.
+ */
+function sanitizeContentFields(content) {
+  const reports = {};
+  for (const field of RICH_TEXT_FIELDS) {
+    if (!looksLikeHtml(content[field])) continue;
+    const { html, report } = sanitizeHtml(content[field]);
+    content[field] = html;
+    if (report) reports[field] = report;
+  }
+  return Object.keys(reports).length ? reports : null;
+}
+
 /**
- * Resolve workshop guidelines from product or CMS
+ * Resolve workshop guidelines from product or CMS.
+ * For a workshop without an explicit cmsItemId, the Workshops CMS item linked
+ * to the product is looked up (findWorkshopCmsItem); product fields are used
+ * when there is none, when that lookup fails, and for other product types
+ * (retreats aren't in the Workshops collection). From the product, the dates
+ * come from its 'start-date' (or 'date'), 'end-date' and 'duration' fields.
+ * `source` ('cms' | 'product'),
+ * `cmsItemId` and `matchedBy` say which was used. Rich-text fields are
+ * sanitized; `sanitizeReport` lists what was stripped, by field (null if
+ * nothing), for the email_log payload.
+ *
+ * @param {string} siteId
+ * @param {Object} options
+ * @param {string} options.productId
+ * @param {string} [options.cmsItemId] - use this Workshops CMS item
+ * @param {'workshop'|'retreat'} [options.type='workshop']
  */
-async function resolveGuidelines(siteId, { productId, cmsItemId }) {
+async function resolveGuidelines(siteId, { productId, cmsItemId, type = 'workshop' }) {
   try {
-    if (cmsItemId && process.env.WEBFLOW_WORKSHOPS_COLLECTION_ID) {
-      const cmsItem = await getWorkshopCmsItem(siteId, process.env.WEBFLOW_WORKSHOPS_COLLECTION_ID, cmsItemId);
-      
-      return {
+    let content;
+    let matchedBy = cmsItemId ? 'explicit' : null;
+    let cmsItem = null;
+    const collectionId = process.env.WEBFLOW_WORKSHOPS_COLLECTION_ID;
+
+    if (cmsItemId && collectionId) {
+      cmsItem = await getWorkshopCmsItem(siteId, collectionId, cmsItemId);
+    } else if (!cmsItemId && type === 'workshop') {
+      // The product's own fields will do, so a CMS listing that fails (rate
+      // limit, outage, wrong collection id) doesn't fail the email.
+      try {
+        const match = await findWorkshopCmsItem(siteId, productId);
+        if (match) {
+          cmsItem = await getWorkshopCmsItem(siteId, collectionId, match.cmsItemId);
+          cmsItemId = match.cmsItemId;
+          matchedBy = match.matchedBy;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Workshops CMS lookup failed for product ${productId}, using product fields:`, error.response?.data || error.message);
+      }
+    }
+
+    if (cmsItem) {
+      content = {
         name: cmsItem.fieldData?.name || cmsItem.name,
         slug: cmsItem.fieldData?.slug || cmsItem.slug,
         guidelinesHtml: cmsItem.fieldData?.guidelines_richtext || cmsItem.fieldData?.guidelines,
         location: cmsItem.fieldData?.location,
         date: cmsItem.fieldData?.date,
+        endDate: cmsItem.fieldData?.end_date,
         duration: cmsItem.fieldData?.duration,
         parking: cmsItem.fieldData?.parking,
         whatToBring: cmsItem.fieldData?.what_to_bring,
         reschedulePolicy: cmsItem.fieldData?.reschedule_policy,
         faq: cmsItem.fieldData?.faq,
-        source: 'cms'
+        careInstructions: cmsItem.fieldData?.care_instructions,
+        source: 'cms',
+        cmsItemId,
+        matchedBy
+      };
+    } else {
+      const productResponse = await getProduct(siteId, productId);
+      const product = productResponse.product;
+      const fields = product.fieldData || {};
+
+      // Retreats aren't in the Workshops collection, so their dates (for the
+      // calendar event) come from the product's own date fields.
+      content = {
+        name: fields.name || product.name,
+        slug: fields.slug || product.slug,
+        guidelinesHtml: fields['workshop-email-content'] || fields['long-description'] || product.customFields?.guidelines_richtext || product.customFields?.guidelines,
+        location: fields.location || product.customFields?.location,
+        date: fields['start-date'] || fields.date || product.customFields?.start_date || product.customFields?.date,
+        endDate: fields['end-date'] || product.customFields?.end_date,
+        duration: fields.duration || product.customFields?.duration,
+        source: 'product',
+        cmsItemId: null,
+        matchedBy: null
       };
     }
 
-    const productResponse = await getProduct(siteId, productId);
-    const product = productResponse.product;
-    
-    return {
-      name: product.fieldData?.name || product.name,
-      slug: product.fieldData?.slug || product.slug,
-      guidelinesHtml: product.fieldData?.['workshop-email-content'] || product.fieldData?.['long-description'] || product.customFields?.guidelines_richtext || product.customFields?.guidelines,
-      source: 'product'
-    };
+    content.sanitizeReport = sanitizeContentFields(content);
+    return content;
 
   } catch (error) {
     console.error('Error resolving guidelines:', error);
@@ -94,63 +369,38 @@ async function resolveGuidelines(siteId, { productId, cmsItemId }) {
 }
 
 /**
- * Check if a product is a workshop
+ * Check if a product is a workshop (any enabled 'workshop' classification
+ * rule matches it; see lib/productRules.js). Pass the product's `skus` from
+ * getProduct for SKU prefix rules to apply.
  */
-function isWorkshopProduct(product) {
-  const fieldData = product.fieldData || {};
-  
-  const isService = fieldData['ec-product-type'] === 'c599e43b1a1c34d5a323aedf75d3adf6';
-  
-  const hasWorkshopCategory = fieldData.category && 
-    fieldData.category.includes('66e8d658ede37e2f7706b996');
-  
-  return isService || hasWorkshopCategory;
+async function isWorkshopProduct(product, { skus } = {}) {
+  return productMatchesType('workshop', product, { skus });
 }
 
 /**
  * Check if a product is a retreat (pass or accommodation)
  */
-function isRetreatProduct(product) {
-  const fieldData = product.fieldData || {};
-  const categories = fieldData.category || [];
-
-  const retreatPassesCategory = process.env.WEBFLOW_RETREAT_PASSES_CATEGORY_ID;
-  const accommodationsCategory = process.env.WEBFLOW_RETREAT_ACCOMMODATIONS_CATEGORY_ID;
-
-  return categories.some(c => c === retreatPassesCategory || c === accommodationsCategory);
+async function isRetreatProduct(product, { skus } = {}) {
+  return productMatchesType('retreat', product, { skus });
 }
 
 /**
  * Check if a product is a gift card
  */
-function isGiftCardProduct(product) {
-  const fieldData = product.fieldData || {};
-  
-  // Primary method: Check if product belongs to gift-cards category
-  const giftCardCategoryId = process.env.WEBFLOW_GIFT_CARDS_CATEGORY_ID || '692231be383c8c6deb011c7f';
-  const hasGiftCardCategory = fieldData.category && 
-    fieldData.category.includes(giftCardCategoryId);
-  
-  if (hasGiftCardCategory) {
-    return true;
-  }
-  
-  // Fallback method: Check product name pattern
-  const productName = fieldData.name || product.name || '';
-  const isGiftCardByName = /gift\s*card/i.test(productName);
-  
-  return isGiftCardByName;
+async function isGiftCardProduct(product, { skus } = {}) {
+  return productMatchesType('gift_card', product, { skus });
 }
 
 /**
- * Get all products from a site
+ * Get all products from a site (every page), as `{ product, skus }`
  */
 async function getAllProducts(siteId) {
-  const client = getWebflowClient();
-  
+  const items = [];
   try {
-    const response = await client.get(`/sites/${siteId}/products`);
-    return response.data.items;
+    for await (const item of iterateProducts(siteId)) {
+      items.push(item);
+    }
+    return items;
   } catch (error) {
     console.error('Error fetching products:', error.response?.data || error.message);
     throw error;
@@ -159,10 +409,16 @@ async function getAllProducts(siteId) {
 
 module.exports = {
   getProduct,
+  getOrder,
+  isOrderCancelled,
   getWorkshopCmsItem,
+  findWorkshopCmsItem,
   resolveGuidelines,
   isWorkshopProduct,
   isRetreatProduct,
   isGiftCardProduct,
-  getAllProducts
+  getAllProducts,
+  iterateProducts,
+  iterateCmsItems,
+  iterateOrders
 };
@@ -0,0 +1,174 @@
+/**
+ * Shared Webflow API client.
+ *
+ * One axios instance per process (not per call), with a per-request timeout,
+ * and Webflow's rate limit headers honored: once `X-RateLimit-Remaining`
+ * reaches 0 or a 429 names a `Retry-After`, requests wait (up to
+ * MAX_RATE_LIMIT_WAIT_MS) before going out, and a 429 is retried once the
+ * wait is over. Product and CMS item lookups go through cachedGet, an
+ * in-process TTL cache where concurrent lookups of the same path share one
+ * request.
+ */
+
+const axios = require('axios');
+
+const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Webflow's rate limit window; how long to hold off when the remaining count
+// hits 0 and the response doesn't say when to retry.
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+// Longer waits aren't worth holding a serverless invocation for: the request
+// goes out (or the 429 is thrown) and the caller's retry handles it.
+const MAX_RATE_LIMIT_WAIT_MS = 15 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 2;
+
+let shared = null;
+let blockedUntil = 0;
+const cache = new Map();
+const inFlight = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function timeoutMs() {
+  return Number(process.env.WEBFLOW_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+function cacheTtlMs() {
+  const ttl = Number(process.env.WEBFLOW_CACHE_TTL_MS);
+  return Number.isFinite(ttl) && process.env.WEBFLOW_CACHE_TTL_MS !== '' ? ttl : DEFAULT_CACHE_TTL_MS;
+}
+
+/**
+ * Milliseconds a `Retry-After` header (seconds or an HTTP date) asks for, or
+ * null without one.
+ */
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function noteRateLimit(headers) {
+  const remaining = headers?.['x-ratelimit-remaining'];
+  if (remaining === undefined || remaining === null || remaining === '') return;
+
+  if (Number(remaining) <= 0) {
+    const wait = retryAfterMs(headers) ?? RATE_LIMIT_WINDOW_MS;
+    blockedUntil = Math.max(blockedUntil, Date.now() + wait);
+  }
+}
+
+async function waitForRateLimit(config) {
+  const wait = Math.min(blockedUntil - Date.now(), MAX_RATE_LIMIT_WAIT_MS);
+  if (wait > 0) {
+    console.warn(`⚠️ Webflow rate limit reached, waiting ${wait}ms before ${config.method?.toUpperCase()} ${config.url}`);
+    await sleep(wait);
+  }
+  return config;
+}
+
+function createClient(token) {
+  const instance = axios.create({
+    baseURL: WEBFLOW_API_BASE,
+    timeout: timeoutMs(),
+    // Timeouts fail with ETIMEDOUT (which withBackoff retries), not ECONNABORTED
+    transitional: { clarifyTimeoutError: true },
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  instance.interceptors.request.use(waitForRateLimit);
+  instance.interceptors.response.use(
+    response => {
+      noteRateLimit(response.headers);
+      return response;
+    },
+    async error => {
+      const { response, config } = error;
+      if (response) noteRateLimit(response.headers);
+
+      if (response?.status === 429 && config) {
+        const wait = retryAfterMs(response.headers);
+        const retries = config.rateLimitRetries || 0;
+        if (wait !== null && wait <= MAX_RATE_LIMIT_WAIT_MS && retries < MAX_RATE_LIMIT_RETRIES) {
+          blockedUntil = Math.max(blockedUntil, Date.now() + wait);
+          console.warn(`⚠️ Webflow rate limited ${config.url}, retrying after ${wait}ms`);
+          return instance.request({ ...config, rateLimitRetries: retries + 1 });
+        }
+      }
+
+      throw error;
+    }
+  );
+
+  return instance;
+}
+
+/**
+ * The shared Webflow API client (an axios instance).
+ */
+function getWebflowClient() {
+  const token = process.env.WEBFLOW_API_TOKEN;
+  if (!token) {
+    throw new Error('WEBFLOW_API_TOKEN environment variable is required');
+  }
+
+  if (!shared || shared.token !== token || shared.timeout !== timeoutMs()) {
+    shared = { token, timeout: timeoutMs(), instance: createClient(token) };
+  }
+  return shared.instance;
+}
+
+/**
+ * GET a Webflow API path and return the response body, cached for
+ * WEBFLOW_CACHE_TTL_MS (default 60s; 0 turns caching off). Concurrent calls
+ * for the same path share one request; failures aren't cached. The returned
+ * object is shared between callers, so treat it as read-only.
+ *
+ * @param {string} path - e.g. `/sites/${siteId}/products/${productId}`
+ * @returns {Promise<Object>}
+ */
+async function cachedGet(path) {
+  const hit = cache.get(path);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.data;
+  }
+  if (inFlight.has(path)) {
+    return inFlight.get(path);
+  }
+
+  const request = getWebflowClient().get(path)
+    .then(response => {
+      const ttl = cacheTtlMs();
+      if (ttl > 0) {
+        cache.delete(path);
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+          cache.delete(cache.keys().next().value);
+        }
+        cache.set(path, { data: response.data, expiresAt: Date.now() + ttl });
+      }
+      return response.data;
+    })
+    .finally(() => inFlight.delete(path));
+
+  inFlight.set(path, request);
+  return request;
+}
+
+module.exports = {
+  getWebflowClient,
+  cachedGet
+};
@@ -0,0 +1,154 @@
+-- Order Processing Ledger
+-- Durable record of every Webflow order webhook and each of its line items.
+-- Replaces the in-memory dedupe cache in the order webhook, which was lost on
+-- every cold start and not shared between concurrent serverless instances.
+-- Line items are keyed by the sha256 idempotency key the handler already
+-- computes (orderId-customerEmail-productId) and are claimed atomically, so two
+-- instances can never process the same line item.
+
+-- ============================================
+-- 1. Tables
+-- ============================================
+CREATE TABLE IF NOT EXISTS orders (
+  webflow_order_id TEXT PRIMARY KEY,
+  customer_email TEXT,
+  trigger_type TEXT,                          -- Webflow webhook triggerType, when known
+  status TEXT NOT NULL DEFAULT 'received',    -- 'received' | 'processing' | 'succeeded' | 'failed'
+  line_item_count INTEGER NOT NULL DEFAULT 0,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb, -- order data as received from Webflow
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS order_line_items (
+  idempotency_key TEXT PRIMARY KEY,           -- sha256(orderId-customerEmail-productId)
+  webflow_order_id TEXT NOT NULL REFERENCES orders(webflow_order_id),
+  product_id TEXT,
+  product_name TEXT,
+  quantity INTEGER,
+  customer_email TEXT,
+  status TEXT NOT NULL DEFAULT 'received',    -- 'received' | 'processing' | 'succeeded' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  result JSONB,                               -- handler result for the line item
+  error TEXT,
+  claimed_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_orders_updated_at
+  BEFORE UPDATE ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_line_items_updated_at
+  BEFORE UPDATE ON order_line_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE orders
+  ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('received', 'processing', 'succeeded', 'failed'));
+
+ALTER TABLE order_line_items
+  ADD CONSTRAINT order_line_items_status_check
+  CHECK (status IN ('received', 'processing', 'succeeded', 'failed'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_orders_received_at ON orders(received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_order_line_items_order_id ON order_line_items(webflow_order_id);
+CREATE INDEX IF NOT EXISTS idx_order_line_items_status ON order_line_items(status);
+
+-- ============================================
+-- 4. Atomic claim
+-- ============================================
+-- Claims a line item for processing. Creates the order and line item rows on
+-- first sight, then moves the line item to 'processing' only if it is
+-- 'received', 'failed', or a 'processing' claim older than p_stale_after_seconds
+-- (an instance that died mid-flight). The conditional UPDATE takes a row lock,
+-- so when two instances race, the loser re-checks the row after the winner
+-- commits, sees 'processing', and gets claimed = false.
+CREATE OR REPLACE FUNCTION claim_order_line_item(
+  p_idempotency_key TEXT,
+  p_webflow_order_id TEXT,
+  p_product_id TEXT DEFAULT NULL,
+  p_customer_email TEXT DEFAULT NULL,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS TABLE (
+  claimed BOOLEAN,
+  current_status TEXT,
+  attempt_count INTEGER
+) AS $$
+DECLARE
+  v_claimed BOOLEAN := FALSE;
+BEGIN
+  INSERT INTO orders (webflow_order_id, customer_email)
+  VALUES (p_webflow_order_id, p_customer_email)
+  ON CONFLICT ON CONSTRAINT orders_pkey DO NOTHING;
+
+  INSERT INTO order_line_items (idempotency_key, webflow_order_id, product_id, customer_email)
+  VALUES (p_idempotency_key, p_webflow_order_id, p_product_id, p_customer_email)
+  ON CONFLICT ON CONSTRAINT order_line_items_pkey DO NOTHING;
+
+  UPDATE order_line_items
+  SET
+    status = 'processing',
+    attempts = order_line_items.attempts + 1,
+    claimed_at = NOW(),
+    error = NULL
+  WHERE order_line_items.idempotency_key = p_idempotency_key
+    AND (
+      order_line_items.status IN ('received', 'failed')
+      OR (
+        order_line_items.status = 'processing'
+        AND order_line_items.claimed_at < NOW() - make_interval(secs => p_stale_after_seconds)
+      )
+    );
+
+  v_claimed := FOUND;
+
+  RETURN QUERY
+  SELECT
+    v_claimed,
+    order_line_items.status,
+    order_line_items.attempts
+  FROM order_line_items
+  WHERE order_line_items.idempotency_key = p_idempotency_key;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_line_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to orders"
+  ON orders
+  FOR ALL
+  USING (false);
+
+CREATE POLICY "Block anon access to order_line_items"
+  ON order_line_items
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE orders IS
+  'Every Webflow order webhook received, with its overall processing status. Accessible only via service_role key (server-side).';
+COMMENT ON TABLE order_line_items IS
+  'Processing ledger per order line item, keyed by the webhook idempotency key. Claimed atomically via claim_order_line_item().';
+COMMENT ON COLUMN order_line_items.attempts IS
+  'Number of times the line item has been claimed for processing.';
@@ -0,0 +1,53 @@
+-- Email Delivery Events
+-- Full history of Resend webhook events (delivered, bounced, opened, complained,
+-- ...) for every email we send, ingested by /api/resend/events. Each event is
+-- matched to its email_log row by Resend message id, and the row's last_event
+-- is kept up to date so the dashboard can filter on delivery status.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS email_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  svix_id TEXT UNIQUE NOT NULL,          -- webhook message id; makes redelivery idempotent
+  event_type TEXT NOT NULL,              -- Resend type without the 'email.' prefix, e.g. 'bounced'
+  resend_message_id TEXT,
+  email_log_id UUID REFERENCES email_log(id),
+  to_email TEXT,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb, -- full webhook body
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- When last_event was recorded, so late-arriving events don't overwrite newer ones.
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMPTZ;
+
+-- ============================================
+-- 2. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_email_events_message_id ON email_events(resend_message_id) WHERE resend_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_events_email_log_id ON email_events(email_log_id) WHERE email_log_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_events_type ON email_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_email_log_message_id ON email_log(resend_message_id) WHERE resend_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_log_last_event ON email_log(last_event) WHERE last_event IS NOT NULL;
+
+-- ============================================
+-- 3. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE email_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to email_events"
+  ON email_events
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 4. Comments
+-- ============================================
+COMMENT ON TABLE email_events IS
+  'Resend delivery event history (webhook). Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN email_events.svix_id IS
+  'Resend webhook message id (svix-id header). Redelivered events are ignored.';
+COMMENT ON COLUMN email_log.last_event_at IS
+  'Time of the Resend event stored in last_event.';
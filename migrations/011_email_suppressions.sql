@@ -0,0 +1,57 @@
+-- Email Suppression List
+-- Addresses we must not send to: hard bounces and spam complaints (added
+-- automatically from Resend webhook events) plus anything staff add by hand.
+-- Checked by lib/resend.js before every send; a suppressed send is recorded in
+-- email_log as 'failed' instead of going out.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS email_suppressions (
+  email TEXT PRIMARY KEY,               -- always stored lowercased
+  reason TEXT NOT NULL,                 -- 'bounced' | 'complained' | 'manual'
+  source TEXT NOT NULL,                 -- 'resend_webhook' | 'dashboard'
+  note TEXT,
+  created_by TEXT,                      -- dashboard user email, for manual entries
+  email_event_id UUID REFERENCES email_events(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE email_suppressions
+  ADD CONSTRAINT email_suppressions_reason_check
+  CHECK (reason IN ('bounced', 'complained', 'manual'));
+
+ALTER TABLE email_suppressions
+  ADD CONSTRAINT email_suppressions_source_check
+  CHECK (source IN ('resend_webhook', 'dashboard'));
+
+ALTER TABLE email_suppressions
+  ADD CONSTRAINT email_suppressions_email_lowercase
+  CHECK (email = LOWER(email));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_created_at ON email_suppressions(created_at DESC);
+
+-- ============================================
+-- 4. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE email_suppressions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to email_suppressions"
+  ON email_suppressions
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 5. Comments
+-- ============================================
+COMMENT ON TABLE email_suppressions IS
+  'Addresses that must not receive email (bounces, complaints, manual). Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN email_suppressions.email_event_id IS
+  'The Resend webhook event that caused an automatic suppression.';
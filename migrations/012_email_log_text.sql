@@ -0,0 +1,8 @@
+-- Store the plain-text alternative sent with each email, next to its HTML, so
+-- the dashboard can show both. Populated at send time; historical rows and
+-- Resend backfills stay NULL.
+
+ALTER TABLE email_log ADD COLUMN IF NOT EXISTS text_body TEXT;
+
+COMMENT ON COLUMN email_log.text_body IS
+  'Plain-text part of the email (generated from the rendered HTML at send time).';
@@ -0,0 +1,120 @@
+-- Workshop Reminders
+-- Pre-workshop reminder emails. When the order webhook successfully processes a
+-- workshop line item with a known date, one row per reminder offset (e.g. 7
+-- days and 1 day before) is scheduled here. A cron-invoked endpoint
+-- (/api/cron/reminders) claims the due rows atomically, sends them and logs
+-- them to email_log as email_type 'reminder'. Orders refunded in Webflow are
+-- skipped at send time.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT NOT NULL REFERENCES order_line_items(idempotency_key),
+  webflow_order_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  customer_name TEXT,
+  workshop_name TEXT,
+  event_start TIMESTAMPTZ NOT NULL,           -- workshop start as known when scheduled
+  offset_minutes INTEGER NOT NULL,            -- how long before event_start to send
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'scheduled',   -- 'scheduled' | 'sending' | 'sent' | 'skipped' | 'cancelled' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,                                -- why it was skipped or cancelled
+  error TEXT,                                 -- last send error
+  email_log_id UUID REFERENCES email_log(id),
+  claimed_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT workshop_reminders_line_item_offset_key UNIQUE (idempotency_key, offset_minutes)
+);
+
+CREATE TRIGGER update_workshop_reminders_updated_at
+  BEFORE UPDATE ON workshop_reminders
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_reminders
+  ADD CONSTRAINT workshop_reminders_status_check
+  CHECK (status IN ('scheduled', 'sending', 'sent', 'skipped', 'cancelled', 'failed'));
+
+ALTER TABLE workshop_reminders
+  ADD CONSTRAINT workshop_reminders_offset_check
+  CHECK (offset_minutes > 0);
+
+-- Reminders are logged alongside the other transactional emails.
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_reminders_due
+  ON workshop_reminders(send_at)
+  WHERE status IN ('scheduled', 'sending');
+CREATE INDEX IF NOT EXISTS idx_workshop_reminders_order_id ON workshop_reminders(webflow_order_id);
+CREATE INDEX IF NOT EXISTS idx_workshop_reminders_product_id ON workshop_reminders(product_id);
+
+-- ============================================
+-- 4. Atomic claim
+-- ============================================
+-- Claims up to p_limit due reminders: 'scheduled' ones whose send_at has
+-- passed, and 'sending' claims older than p_stale_after_seconds (an invocation
+-- that died mid-send). SKIP LOCKED lets overlapping cron runs split the work
+-- instead of sending the same reminder twice.
+CREATE OR REPLACE FUNCTION claim_due_workshop_reminders(
+  p_limit INTEGER DEFAULT 50,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF workshop_reminders AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE workshop_reminders
+  SET
+    status = 'sending',
+    attempts = workshop_reminders.attempts + 1,
+    claimed_at = NOW()
+  WHERE workshop_reminders.id IN (
+    SELECT r.id
+    FROM workshop_reminders r
+    WHERE (r.status = 'scheduled' AND r.send_at <= NOW())
+       OR (
+         r.status = 'sending'
+         AND r.claimed_at < NOW() - make_interval(secs => p_stale_after_seconds)
+       )
+    ORDER BY r.send_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING workshop_reminders.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_reminders"
+  ON workshop_reminders
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE workshop_reminders IS
+  'Scheduled pre-workshop reminder emails, one per workshop line item and offset. Claimed via claim_due_workshop_reminders(). Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_reminders.offset_minutes IS
+  'How long before the workshop start the reminder is sent (e.g. 10080 = 7 days).';
+COMMENT ON COLUMN workshop_reminders.reason IS
+  'Why the reminder was skipped or cancelled (e.g. order_refunded, event_passed, suppressed).';
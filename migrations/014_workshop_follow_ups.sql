@@ -0,0 +1,113 @@
+-- Workshop Follow-ups
+-- Thank-you / feedback email sent a few days after a workshop ends. The daily
+-- cron endpoint (/api/cron/follow-ups) looks up the date of every workshop
+-- product with processed line items, and for workshops that ended
+-- WORKSHOP_FOLLOW_UP_DAYS ago claims each of their line items here before
+-- sending, so a line item is followed up at most once. Sends are logged to
+-- email_log as email_type 'follow_up'.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_follow_ups (
+  idempotency_key TEXT PRIMARY KEY REFERENCES order_line_items(idempotency_key),
+  webflow_order_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  workshop_end TIMESTAMPTZ,                   -- end of the workshop being followed up
+  status TEXT NOT NULL DEFAULT 'pending',     -- 'pending' | 'sending' | 'sent' | 'skipped' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,                                -- why it was skipped
+  error TEXT,                                 -- last send error
+  email_log_id UUID REFERENCES email_log(id),
+  claimed_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_workshop_follow_ups_updated_at
+  BEFORE UPDATE ON workshop_follow_ups
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_follow_ups
+  ADD CONSTRAINT workshop_follow_ups_status_check
+  CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed'));
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder', 'follow_up'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_follow_ups_status ON workshop_follow_ups(status);
+CREATE INDEX IF NOT EXISTS idx_workshop_follow_ups_product_id ON workshop_follow_ups(product_id);
+-- The cron endpoint lists processed workshop line items per product.
+CREATE INDEX IF NOT EXISTS idx_order_line_items_product_id ON order_line_items(product_id);
+
+-- ============================================
+-- 4. Atomic claim
+-- ============================================
+-- Claims a line item's follow-up for sending. Creates the row on first sight,
+-- then moves it to 'sending' only if it is 'pending', 'failed' with attempts
+-- left, or a 'sending' claim older than p_stale_after_seconds. Returns whether
+-- this caller got the claim.
+CREATE OR REPLACE FUNCTION claim_workshop_follow_up(
+  p_idempotency_key TEXT,
+  p_webflow_order_id TEXT,
+  p_product_id TEXT,
+  p_to_email TEXT,
+  p_workshop_end TIMESTAMPTZ DEFAULT NULL,
+  p_max_attempts INTEGER DEFAULT 3,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  INSERT INTO workshop_follow_ups (idempotency_key, webflow_order_id, product_id, to_email, workshop_end)
+  VALUES (p_idempotency_key, p_webflow_order_id, p_product_id, p_to_email, p_workshop_end)
+  ON CONFLICT ON CONSTRAINT workshop_follow_ups_pkey DO NOTHING;
+
+  UPDATE workshop_follow_ups
+  SET
+    status = 'sending',
+    attempts = workshop_follow_ups.attempts + 1,
+    claimed_at = NOW(),
+    workshop_end = COALESCE(p_workshop_end, workshop_follow_ups.workshop_end)
+  WHERE workshop_follow_ups.idempotency_key = p_idempotency_key
+    AND (
+      workshop_follow_ups.status = 'pending'
+      OR (workshop_follow_ups.status = 'failed' AND workshop_follow_ups.attempts < p_max_attempts)
+      OR (
+        workshop_follow_ups.status = 'sending'
+        AND workshop_follow_ups.claimed_at < NOW() - make_interval(secs => p_stale_after_seconds)
+      )
+    );
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_follow_ups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_follow_ups"
+  ON workshop_follow_ups
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE workshop_follow_ups IS
+  'Post-workshop follow-up email per workshop line item, claimed via claim_workshop_follow_up() so each is sent at most once. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_follow_ups.reason IS
+  'Why the follow-up was skipped (e.g. order_refunded, suppressed).';
@@ -0,0 +1,104 @@
+-- Workshop Attendees
+-- One row per workshop seat booking (order line item), recorded by the order
+-- webhook when it processes a workshop. The dashboard lists workshops with
+-- their attendee counts (list_workshop_rosters()) and shows / exports the
+-- roster of each one for the studio check-in table. The workshop's name and
+-- date are copied from the CMS when the order is processed.
+-- Orders processed before this migration are not in the roster.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_attendees (
+  idempotency_key TEXT PRIMARY KEY REFERENCES order_line_items(idempotency_key),
+  webflow_order_id TEXT NOT NULL,
+  product_id TEXT NOT NULL,
+  workshop_name TEXT,
+  event_date TEXT,                            -- workshop date as entered in the CMS
+  event_start TIMESTAMPTZ,                    -- parsed event_date, when it is a valid date
+  customer_name TEXT,
+  customer_email TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1,        -- seats booked on this line item
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_workshop_attendees_updated_at
+  BEFORE UPDATE ON workshop_attendees
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_attendees
+  ADD CONSTRAINT workshop_attendees_quantity_check
+  CHECK (quantity > 0);
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_attendees_product_id ON workshop_attendees(product_id);
+CREATE INDEX IF NOT EXISTS idx_workshop_attendees_event_start ON workshop_attendees(event_start);
+
+-- ============================================
+-- 4. Workshop list
+-- ============================================
+-- One row per workshop (product) with its booking counts. Name and date come
+-- from the most recently recorded attendee, so a date changed in the CMS shows
+-- once the next seat is booked. p_scope:
+--   'upcoming' - undated workshops and those starting after a day ago (so
+--                today's classes stay listed while they run), soonest first
+--   'past'     - workshops that started more than a day ago, latest first
+--   'all'      - everything, soonest first
+CREATE OR REPLACE FUNCTION list_workshop_rosters(p_scope TEXT DEFAULT 'upcoming')
+RETURNS TABLE (
+  product_id TEXT,
+  workshop_name TEXT,
+  event_date TEXT,
+  event_start TIMESTAMPTZ,
+  order_count BIGINT,
+  seat_count BIGINT,
+  last_booked_at TIMESTAMPTZ
+) AS $$
+  WITH workshops AS (
+    SELECT
+      a.product_id,
+      (array_agg(a.workshop_name ORDER BY a.created_at DESC))[1] AS workshop_name,
+      (array_agg(a.event_date ORDER BY a.created_at DESC))[1] AS event_date,
+      (array_agg(a.event_start ORDER BY a.created_at DESC))[1] AS event_start,
+      COUNT(DISTINCT a.webflow_order_id) AS order_count,
+      SUM(a.quantity) AS seat_count,
+      MAX(a.created_at) AS last_booked_at
+    FROM workshop_attendees a
+    GROUP BY a.product_id
+  )
+  SELECT w.product_id, w.workshop_name, w.event_date, w.event_start, w.order_count, w.seat_count, w.last_booked_at
+  FROM workshops w
+  WHERE p_scope = 'all'
+    OR (p_scope = 'upcoming' AND (w.event_start IS NULL OR w.event_start >= NOW() - INTERVAL '1 day'))
+    OR (p_scope = 'past' AND w.event_start < NOW() - INTERVAL '1 day')
+  ORDER BY
+    CASE WHEN p_scope = 'past' THEN w.event_start END DESC,
+    w.event_start ASC NULLS LAST,
+    w.workshop_name ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_attendees ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_attendees"
+  ON workshop_attendees
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE workshop_attendees IS
+  'Workshop seat bookings per order line item, for the dashboard roster and check-in export. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_attendees.quantity IS
+  'Seats booked on the line item (Webflow line item count).';
@@ -0,0 +1,175 @@
+-- Workshop Capacity and Waitlist
+-- Seats per workshop are configured in `workshop_capacity` (one row per
+-- Webflow product, added by hand like gift_card_products). The order webhook
+-- counts confirmed seats in workshop_attendees after recording each booking and
+-- emails the studio (STUDIO_ALERT_EMAIL) once when a class reaches its alert
+-- threshold, fills up, or oversells. People can join the waitlist of a full
+-- workshop (/api/workshop/waitlist); when a seat is released from the
+-- dashboard, the first people waiting are emailed (email_type 'waitlist').
+
+-- ============================================
+-- 1. Tables
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_capacity (
+  webflow_product_id TEXT PRIMARY KEY,
+  label TEXT,                                 -- for whoever edits the table
+  capacity INTEGER NOT NULL,                  -- wheels / seats in the class
+  alert_threshold INTEGER,                    -- booked seats that trigger a "filling up" alert (NULL: none)
+  alerted_level TEXT,                         -- last alert sent: NULL | 'threshold' | 'full' | 'oversold'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workshop_waitlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL REFERENCES workshop_capacity(webflow_product_id),
+  email TEXT NOT NULL,                        -- lowercased
+  name TEXT,
+  status TEXT NOT NULL DEFAULT 'waiting',     -- 'waiting' | 'notified' | 'booked' | 'removed'
+  notified_at TIMESTAMPTZ,
+  email_log_id UUID REFERENCES email_log(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, email)
+);
+
+-- A released seat is kept on the roster as 'cancelled' and no longer counted.
+ALTER TABLE workshop_attendees ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'confirmed';
+ALTER TABLE workshop_attendees ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE workshop_attendees ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+CREATE TRIGGER update_workshop_capacity_updated_at
+  BEFORE UPDATE ON workshop_capacity
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_workshop_waitlist_updated_at
+  BEFORE UPDATE ON workshop_waitlist
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_capacity
+  ADD CONSTRAINT workshop_capacity_capacity_check
+  CHECK (capacity > 0);
+
+ALTER TABLE workshop_capacity
+  ADD CONSTRAINT workshop_capacity_alerted_level_check
+  CHECK (alerted_level IS NULL OR alerted_level IN ('threshold', 'full', 'oversold'));
+
+ALTER TABLE workshop_waitlist
+  ADD CONSTRAINT workshop_waitlist_status_check
+  CHECK (status IN ('waiting', 'notified', 'booked', 'removed'));
+
+ALTER TABLE workshop_attendees
+  ADD CONSTRAINT workshop_attendees_status_check
+  CHECK (status IN ('confirmed', 'cancelled'));
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder', 'follow_up', 'waitlist'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_waitlist_product_status ON workshop_waitlist(product_id, status, created_at);
+
+-- ============================================
+-- 4. Workshop list (now with capacity)
+-- ============================================
+-- As in 015, counting confirmed seats only, plus the configured capacity and
+-- the number of people waiting.
+DROP FUNCTION IF EXISTS list_workshop_rosters(TEXT);
+
+CREATE OR REPLACE FUNCTION list_workshop_rosters(p_scope TEXT DEFAULT 'upcoming')
+RETURNS TABLE (
+  product_id TEXT,
+  workshop_name TEXT,
+  event_date TEXT,
+  event_start TIMESTAMPTZ,
+  order_count BIGINT,
+  seat_count BIGINT,
+  last_booked_at TIMESTAMPTZ,
+  capacity INTEGER,
+  waitlist_count BIGINT
+) AS $$
+  WITH workshops AS (
+    SELECT
+      a.product_id,
+      (array_agg(a.workshop_name ORDER BY a.created_at DESC))[1] AS workshop_name,
+      (array_agg(a.event_date ORDER BY a.created_at DESC))[1] AS event_date,
+      (array_agg(a.event_start ORDER BY a.created_at DESC))[1] AS event_start,
+      COUNT(DISTINCT a.webflow_order_id) FILTER (WHERE a.status = 'confirmed') AS order_count,
+      COALESCE(SUM(a.quantity) FILTER (WHERE a.status = 'confirmed'), 0) AS seat_count,
+      MAX(a.created_at) AS last_booked_at
+    FROM workshop_attendees a
+    GROUP BY a.product_id
+  )
+  SELECT
+    w.product_id, w.workshop_name, w.event_date, w.event_start, w.order_count, w.seat_count, w.last_booked_at,
+    c.capacity,
+    (SELECT COUNT(*) FROM workshop_waitlist l WHERE l.product_id = w.product_id AND l.status = 'waiting') AS waitlist_count
+  FROM workshops w
+  LEFT JOIN workshop_capacity c ON c.webflow_product_id = w.product_id
+  WHERE p_scope = 'all'
+    OR (p_scope = 'upcoming' AND (w.event_start IS NULL OR w.event_start >= NOW() - INTERVAL '1 day'))
+    OR (p_scope = 'past' AND w.event_start < NOW() - INTERVAL '1 day')
+  ORDER BY
+    CASE WHEN p_scope = 'past' THEN w.event_start END DESC,
+    w.event_start ASC NULLS LAST,
+    w.workshop_name ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 5. Atomic waitlist claim
+-- ============================================
+-- Moves the first p_limit people waiting for a workshop to 'notified' and
+-- returns them, so two releases at once never email the same person.
+CREATE OR REPLACE FUNCTION claim_waitlist_entries(p_product_id TEXT, p_limit INTEGER DEFAULT 1)
+RETURNS SETOF workshop_waitlist AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE workshop_waitlist
+  SET status = 'notified', notified_at = NOW()
+  WHERE workshop_waitlist.id IN (
+    SELECT l.id
+    FROM workshop_waitlist l
+    WHERE l.product_id = p_product_id
+      AND l.status = 'waiting'
+    ORDER BY l.created_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING workshop_waitlist.*;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 6. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_capacity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workshop_waitlist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_capacity"
+  ON workshop_capacity
+  FOR ALL
+  USING (false);
+
+CREATE POLICY "Block anon access to workshop_waitlist"
+  ON workshop_waitlist
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 7. Comments
+-- ============================================
+COMMENT ON TABLE workshop_capacity IS
+  'Seats per workshop product, with the alert threshold and the last capacity alert sent. Accessible only via service_role key (server-side).';
+COMMENT ON TABLE workshop_waitlist IS
+  'People waiting for a seat in a full workshop; emailed in signup order when a seat is released. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_capacity.alerted_level IS
+  'Highest capacity alert already sent (threshold < full < oversold); lowered again when seats are released.';
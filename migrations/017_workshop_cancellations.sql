@@ -0,0 +1,144 @@
+-- Workshop Cancellations
+-- When the studio cancels a workshop date from the dashboard, one
+-- `workshop_cancellations` row records who cancelled it, why, and whether
+-- customers get a gift card credit for what they paid. Every purchaser gets a
+-- `workshop_cancellation_notices` row, claimed before their email is sent (and
+-- their credit code assigned), so running the cancellation again only retries
+-- the notices that failed and never emails or credits anyone twice.
+-- Cancellation emails are logged with email_type 'cancellation'.
+
+-- ============================================
+-- 1. Tables
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_cancellations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id TEXT NOT NULL UNIQUE,            -- a workshop date is cancelled once
+  workshop_name TEXT,
+  event_date TEXT,                            -- workshop date as entered in the CMS
+  reason TEXT,                                -- internal note
+  message TEXT,                               -- shown to customers in the email
+  issue_credit BOOLEAN NOT NULL DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'processing',  -- 'processing' | 'completed' | 'completed_with_errors'
+  purchaser_count INTEGER NOT NULL DEFAULT 0,
+  notified_count INTEGER NOT NULL DEFAULT 0,
+  credited_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  triggered_by TEXT NOT NULL,                 -- dashboard user who cancelled
+  last_run_by TEXT,                           -- dashboard user who last ran / retried it
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workshop_cancellation_notices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cancellation_id UUID NOT NULL REFERENCES workshop_cancellations(id),
+  idempotency_key TEXT NOT NULL,              -- the purchase's line item key
+  webflow_order_id TEXT,
+  to_email TEXT NOT NULL,
+  customer_name TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  amount_cents INTEGER,                       -- paid for the workshop (NULL: unknown)
+  gift_card_code_id UUID REFERENCES gift_card_codes(id),
+  status TEXT NOT NULL DEFAULT 'pending',     -- 'pending' | 'sending' | 'sent' | 'skipped' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,                                -- why it was skipped
+  error TEXT,                                 -- last failure
+  email_log_id UUID REFERENCES email_log(id),
+  claimed_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (cancellation_id, idempotency_key)
+);
+
+CREATE TRIGGER update_workshop_cancellations_updated_at
+  BEFORE UPDATE ON workshop_cancellations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_workshop_cancellation_notices_updated_at
+  BEFORE UPDATE ON workshop_cancellation_notices
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_cancellations
+  ADD CONSTRAINT workshop_cancellations_status_check
+  CHECK (status IN ('processing', 'completed', 'completed_with_errors'));
+
+ALTER TABLE workshop_cancellation_notices
+  ADD CONSTRAINT workshop_cancellation_notices_status_check
+  CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed'));
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder', 'follow_up', 'waitlist', 'cancellation'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_cancellation_notices_status ON workshop_cancellation_notices(cancellation_id, status);
+CREATE INDEX IF NOT EXISTS idx_order_line_items_product ON order_line_items(product_id, status);
+
+-- ============================================
+-- 4. Atomic claim
+-- ============================================
+-- Moves a notice to 'sending' if it is 'pending', 'failed', or a 'sending'
+-- claim older than p_stale_after_seconds (a run that died mid-flight). Returns
+-- false when it was already sent/skipped or another run is sending it.
+CREATE OR REPLACE FUNCTION claim_cancellation_notice(
+  p_id UUID,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE workshop_cancellation_notices
+  SET
+    status = 'sending',
+    attempts = workshop_cancellation_notices.attempts + 1,
+    claimed_at = NOW(),
+    error = NULL
+  WHERE workshop_cancellation_notices.id = p_id
+    AND (
+      workshop_cancellation_notices.status IN ('pending', 'failed')
+      OR (
+        workshop_cancellation_notices.status = 'sending'
+        AND workshop_cancellation_notices.claimed_at < NOW() - make_interval(secs => p_stale_after_seconds)
+      )
+    );
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_cancellations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workshop_cancellation_notices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_cancellations"
+  ON workshop_cancellations
+  FOR ALL
+  USING (false);
+
+CREATE POLICY "Block anon access to workshop_cancellation_notices"
+  ON workshop_cancellation_notices
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE workshop_cancellations IS
+  'Workshop dates cancelled by the studio, with who cancelled them and the outcome of notifying purchasers. Accessible only via service_role key (server-side).';
+COMMENT ON TABLE workshop_cancellation_notices IS
+  'One cancellation email (and optional gift card credit) per purchaser of a cancelled workshop. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_cancellation_notices.gift_card_code_id IS
+  'Credit code assigned to this purchaser; stored before the email is sent, so a retry reuses it instead of assigning another.';
\ No newline at end of file
@@ -0,0 +1,78 @@
+-- Workshop Transfers
+-- Staff can move a customer's booking to another workshop date from the
+-- dashboard (under the reschedule policy). Each move is recorded here with
+-- the old and new workshop, the staff member and the reason. The attendee row
+-- and reminders move with the customer, and they get a "you've been moved"
+-- email with the new workshop's details (email_type 'reschedule').
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT NOT NULL,              -- the booking's line item key (kept across moves)
+  webflow_order_id TEXT,
+  customer_email TEXT NOT NULL,
+  customer_name TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  from_product_id TEXT NOT NULL,
+  from_workshop_name TEXT,
+  from_event_date TEXT,                       -- workshop dates as entered in the CMS
+  to_product_id TEXT NOT NULL,
+  to_workshop_name TEXT,
+  to_event_date TEXT,
+  reason TEXT,
+  triggered_by TEXT NOT NULL,                 -- dashboard user who moved the booking
+  email_status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed' | 'skipped'
+  email_log_id UUID REFERENCES email_log(id),
+  error TEXT,                                 -- why the email wasn't sent
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_workshop_transfers_updated_at
+  BEFORE UPDATE ON workshop_transfers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_transfers
+  ADD CONSTRAINT workshop_transfers_email_status_check
+  CHECK (email_status IN ('pending', 'sent', 'failed', 'skipped'));
+
+ALTER TABLE workshop_transfers
+  ADD CONSTRAINT workshop_transfers_products_check
+  CHECK (from_product_id <> to_product_id);
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder', 'follow_up', 'waitlist', 'cancellation', 'reschedule'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_transfers_key ON workshop_transfers(idempotency_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workshop_transfers_from_product ON workshop_transfers(from_product_id);
+CREATE INDEX IF NOT EXISTS idx_workshop_transfers_to_product ON workshop_transfers(to_product_id);
+
+-- ============================================
+-- 4. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_transfers"
+  ON workshop_transfers
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 5. Comments
+-- ============================================
+COMMENT ON TABLE workshop_transfers IS
+  'Bookings moved to another workshop date by staff, with who moved them and why. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_transfers.idempotency_key IS
+  'Line item key of the original booking. The attendee row and reminders keep this key when they move, so later moves of the same booking share it.';
\ No newline at end of file
@@ -0,0 +1,148 @@
+-- Workshop Guests
+-- When one buyer books several seats of a workshop, the product page form
+-- (/api/workshop/guests) collects the name and email of each other person
+-- coming, before checkout, the same way gift card recipients are collected
+-- (006_gift_card_recipient_info). The order webhook claims the purchaser's
+-- latest submission for the line item and emails each guest their own
+-- workshop details (email_log recipient_role 'attendee'). Claimed rows are kept
+-- as the order's guest list and shown on the roster.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS workshop_guests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id TEXT NOT NULL,                   -- form submission (cart token, session, etc.)
+  purchaser_email TEXT NOT NULL,              -- lowercased; matched to the order
+  product_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 1,        -- order the guests were entered in
+  name TEXT,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',     -- 'pending' | 'claimed' | 'sent' | 'failed' | 'skipped'
+  idempotency_key TEXT REFERENCES order_line_items(idempotency_key), -- set when an order claims the guest
+  webflow_order_id TEXT,
+  email_log_id UUID REFERENCES email_log(id),
+  error TEXT,                                 -- why the guest's email wasn't sent
+  expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '24 hours', -- unclaimed submissions only
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_workshop_guests_updated_at
+  BEFORE UPDATE ON workshop_guests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE workshop_guests
+  ADD CONSTRAINT workshop_guests_status_check
+  CHECK (status IN ('pending', 'claimed', 'sent', 'failed', 'skipped'));
+
+ALTER TABLE workshop_guests
+  ADD CONSTRAINT check_workshop_guest_email_format
+  CHECK (email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$');
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_recipient_role_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_recipient_role_check
+  CHECK (recipient_role IS NULL OR recipient_role IN ('purchaser', 'recipient', 'attendee'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_guests_purchaser_product ON workshop_guests(purchaser_email, product_id, created_at DESC)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_workshop_guests_session ON workshop_guests(session_id, product_id);
+CREATE INDEX IF NOT EXISTS idx_workshop_guests_key ON workshop_guests(idempotency_key);
+CREATE INDEX IF NOT EXISTS idx_workshop_guests_expires ON workshop_guests(expires_at);
+
+-- ============================================
+-- 4. Claim + cleanup
+-- ============================================
+-- Links the purchaser's most recent unexpired submission for the product to
+-- the line item (at most p_limit guests, in the order they were entered), then
+-- returns the line item's guests that still need their email: the ones just
+-- claimed, plus any left 'claimed' or 'failed' by an earlier attempt. A line
+-- item that already has guests doesn't claim another submission.
+CREATE OR REPLACE FUNCTION claim_workshop_guests(
+  p_idempotency_key TEXT,
+  p_webflow_order_id TEXT,
+  p_purchaser_email TEXT,
+  p_product_id TEXT,
+  p_limit INTEGER
+)
+RETURNS SETOF workshop_guests AS $$
+DECLARE
+  v_session_id TEXT;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM workshop_guests WHERE idempotency_key = p_idempotency_key) THEN
+    SELECT session_id INTO v_session_id
+    FROM workshop_guests
+    WHERE status = 'pending'
+      AND purchaser_email = LOWER(p_purchaser_email)
+      AND product_id = p_product_id
+      AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF v_session_id IS NOT NULL THEN
+      UPDATE workshop_guests
+      SET
+        status = 'claimed',
+        idempotency_key = p_idempotency_key,
+        webflow_order_id = p_webflow_order_id,
+        expires_at = NULL
+      WHERE id IN (
+        SELECT id FROM workshop_guests
+        WHERE session_id = v_session_id
+          AND product_id = p_product_id
+          AND status = 'pending'
+        ORDER BY position
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+      );
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  SELECT * FROM workshop_guests
+  WHERE idempotency_key = p_idempotency_key
+    AND status IN ('claimed', 'failed')
+  ORDER BY position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deletes submissions that no order claimed in time.
+CREATE OR REPLACE FUNCTION cleanup_expired_workshop_guests()
+RETURNS INTEGER AS $$
+DECLARE
+  deleted_count INTEGER;
+BEGIN
+  DELETE FROM workshop_guests
+  WHERE status = 'pending' AND expires_at < NOW();
+
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE workshop_guests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to workshop_guests"
+  ON workshop_guests
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE workshop_guests IS
+  'The other people coming on a multi-seat workshop booking, collected before checkout and emailed their own workshop details. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN workshop_guests.idempotency_key IS
+  'Line item that claimed the guest (NULL while the submission waits for its order).';
@@ -0,0 +1,120 @@
+-- Order Refunds
+-- Webflow sends an `ecomm_order_changed` webhook when an order is refunded or
+-- a dispute is lost. The order webhook records the transition in
+-- `order_refunds` (claimed before anything is done, so a retried webhook
+-- never does it twice), voids the gift card codes assigned to the order,
+-- releases its workshop seats and stops their reminders and follow-ups. The
+-- customer is told by a 'refund' email unless ORDER_REFUND_EMAILS=false; that
+-- email_log row carries the transition (Webflow status, voided codes,
+-- released seats) in its payload.
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS order_refunds (
+  webflow_order_id TEXT PRIMARY KEY,
+  webflow_status TEXT NOT NULL,               -- Webflow order status, e.g. 'refunded', 'dispute-lost'
+  customer_email TEXT,
+  status TEXT NOT NULL DEFAULT 'processing',  -- 'processing' | 'completed' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  voided_code_count INTEGER NOT NULL DEFAULT 0,
+  released_seat_count INTEGER NOT NULL DEFAULT 0,
+  email_status TEXT,                          -- 'sent' | 'skipped' | 'failed' (NULL: refund emails off)
+  email_log_id UUID REFERENCES email_log(id),
+  error TEXT,                                 -- last failure
+  claimed_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_order_refunds_updated_at
+  BEFORE UPDATE ON order_refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE gift_card_codes ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+ALTER TABLE gift_card_codes ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE order_refunds
+  ADD CONSTRAINT order_refunds_status_check
+  CHECK (status IN ('processing', 'completed', 'failed'));
+
+ALTER TABLE order_refunds
+  ADD CONSTRAINT order_refunds_email_status_check
+  CHECK (email_status IS NULL OR email_status IN ('sent', 'skipped', 'failed'));
+
+ALTER TABLE gift_card_codes DROP CONSTRAINT IF EXISTS gift_card_codes_status_check;
+ALTER TABLE gift_card_codes
+  ADD CONSTRAINT gift_card_codes_status_check
+  CHECK (status IN ('unused', 'assigned', 'sent', 'invalid', 'void'));
+
+ALTER TABLE email_log DROP CONSTRAINT IF EXISTS email_log_type_check;
+ALTER TABLE email_log
+  ADD CONSTRAINT email_log_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card', 'reminder', 'follow_up', 'waitlist', 'cancellation', 'reschedule', 'refund'));
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_order_refunds_status ON order_refunds(status);
+CREATE INDEX IF NOT EXISTS idx_order_refunds_created_at ON order_refunds(created_at DESC);
+
+-- ============================================
+-- 4. Claim
+-- ============================================
+-- Records the refund and claims it for processing. Returns the row when the
+-- caller should process it: a new refund, one that failed, or one whose
+-- 'processing' claim is older than p_stale_after_seconds. Returns nothing when
+-- the refund is completed or another instance is working on it.
+CREATE OR REPLACE FUNCTION claim_order_refund(
+  p_webflow_order_id TEXT,
+  p_webflow_status TEXT,
+  p_customer_email TEXT,
+  p_stale_after_seconds INTEGER DEFAULT 600
+)
+RETURNS SETOF order_refunds AS $$
+BEGIN
+  RETURN QUERY
+  WITH claimed AS (
+    INSERT INTO order_refunds (webflow_order_id, webflow_status, customer_email, status, attempts, claimed_at)
+    VALUES (p_webflow_order_id, p_webflow_status, p_customer_email, 'processing', 1, NOW())
+    ON CONFLICT (webflow_order_id) DO UPDATE
+    SET
+      webflow_status = EXCLUDED.webflow_status,
+      status = 'processing',
+      attempts = order_refunds.attempts + 1,
+      claimed_at = NOW(),
+      error = NULL
+    WHERE order_refunds.status = 'failed'
+      OR (
+        order_refunds.status = 'processing'
+        AND order_refunds.claimed_at < NOW() - make_interval(secs => p_stale_after_seconds)
+      )
+    RETURNING *
+  )
+  SELECT * FROM claimed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 5. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE order_refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to order_refunds"
+  ON order_refunds
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 6. Comments
+-- ============================================
+COMMENT ON TABLE order_refunds IS
+  'Webflow orders refunded or lost to a dispute, and what was undone for each. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN gift_card_codes.status IS
+  'Code status: unused, assigned, sent, invalid, or void (its order was refunded).';
@@ -0,0 +1,77 @@
+-- Product Classification Rules
+-- Which Webflow products the order webhook treats as workshops, retreats or
+-- gift cards (and so which email they get). A product belongs to an email type
+-- when any enabled rule for that type matches it; the webhook's product
+-- handlers settle products that match more than one type (retreats first, then
+-- gift cards, then workshops). Edited from the dashboard; lib/productRules.js
+-- caches the rules for a minute per instance.
+--
+-- Retreat and gift card categories aren't seeded (the ids differ per site):
+-- until a category rule is added for the type, WEBFLOW_RETREAT_PASSES_CATEGORY_ID,
+-- WEBFLOW_RETREAT_ACCOMMODATIONS_CATEGORY_ID and WEBFLOW_GIFT_CARDS_CATEGORY_ID
+-- still supply them (gift cards default to the shop's category,
+-- 692231be383c8c6deb011c7f, when the variable is unset).
+
+-- ============================================
+-- 1. Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS product_classification_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email_type TEXT NOT NULL,        -- 'workshop' | 'retreat' | 'gift_card'
+  match_type TEXT NOT NULL,        -- 'category' | 'product_type' | 'sku_prefix' | 'name_pattern' | 'product_id'
+  match_value TEXT NOT NULL,       -- id, SKU prefix, or a case-insensitive regex for name_pattern
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  note TEXT,
+  created_by TEXT,                 -- dashboard user email (NULL for seeded rules)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (email_type, match_type, match_value)
+);
+
+CREATE TRIGGER update_product_classification_rules_updated_at
+  BEFORE UPDATE ON product_classification_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 2. Constraints
+-- ============================================
+ALTER TABLE product_classification_rules
+  ADD CONSTRAINT product_classification_rules_email_type_check
+  CHECK (email_type IN ('workshop', 'retreat', 'gift_card'));
+
+ALTER TABLE product_classification_rules
+  ADD CONSTRAINT product_classification_rules_match_type_check
+  CHECK (match_type IN ('category', 'product_type', 'sku_prefix', 'name_pattern', 'product_id'));
+
+ALTER TABLE product_classification_rules
+  ADD CONSTRAINT product_classification_rules_match_value_check
+  CHECK (LENGTH(TRIM(match_value)) > 0);
+
+-- ============================================
+-- 3. Seed (the rules previously hard-coded in lib/webflow.js)
+-- ============================================
+INSERT INTO product_classification_rules (email_type, match_type, match_value, note) VALUES
+  ('workshop', 'product_type', 'c599e43b1a1c34d5a323aedf75d3adf6', 'Webflow "Service" product type'),
+  ('workshop', 'category', '66e8d658ede37e2f7706b996', 'Workshops category'),
+  ('gift_card', 'name_pattern', 'gift\s*card', 'Anything named "gift card"')
+ON CONFLICT (email_type, match_type, match_value) DO NOTHING;
+
+-- ============================================
+-- 4. Row Level Security (defense-in-depth)
+-- ============================================
+-- service_role/secret keys BYPASS RLS entirely, so server-side access still works.
+ALTER TABLE product_classification_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Block anon access to product_classification_rules"
+  ON product_classification_rules
+  FOR ALL
+  USING (false);
+
+-- ============================================
+-- 5. Comments
+-- ============================================
+COMMENT ON TABLE product_classification_rules IS
+  'Rules mapping Webflow products to the email type the order webhook sends. Accessible only via service_role key (server-side).';
+COMMENT ON COLUMN product_classification_rules.match_value IS
+  'category/product_type/product_id: exact Webflow id; sku_prefix: case-insensitive SKU prefix; name_pattern: case-insensitive regular expression.';
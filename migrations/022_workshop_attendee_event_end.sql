@@ -0,0 +1,38 @@
+-- Workshop End on the Roster
+-- When a workshop ends (from its CMS date, end date and duration, as in the
+-- calendar event) is stored on each attendee row when the order is processed
+-- or the booking is moved. The follow-ups cron selects the bookings whose
+-- workshop ended in its window by this column, instead of resolving every
+-- workshop booked in the last year from Webflow on each run.
+
+-- ============================================
+-- 1. Column
+-- ============================================
+ALTER TABLE workshop_attendees ADD COLUMN IF NOT EXISTS event_end TIMESTAMPTZ;
+
+-- ============================================
+-- 2. Backfill
+-- ============================================
+-- Rows recorded before this migration: the end as lib/calendar.js works it out
+-- without an end date or duration (all-day dates last the day, timed ones two
+-- hours).
+UPDATE workshop_attendees
+SET event_end = CASE
+  WHEN event_date ~ '^\d{4}-\d{2}-\d{2}$' THEN event_start + INTERVAL '1 day'
+  ELSE event_start + INTERVAL '120 minutes'
+END
+WHERE event_end IS NULL
+  AND event_start IS NOT NULL;
+
+-- ============================================
+-- 3. Indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_workshop_attendees_event_end
+  ON workshop_attendees(event_end)
+  WHERE status = 'confirmed';
+
+-- ============================================
+-- 4. Comments
+-- ============================================
+COMMENT ON COLUMN workshop_attendees.event_end IS
+  'When the workshop ends (exclusive for all-day workshops); NULL when it has no usable date. Used to schedule follow-ups.';
@@ -0,0 +1,86 @@
+-- Gift Card Codes per Unit
+-- Each gift card an order line bought (its "unit", 0-based) is tied to the
+-- code assigned for it, keyed by the order line item's idempotency key. When
+-- Webflow retries a gift card line item that partly went out, the codes
+-- already sent are not assigned or emailed again, and a unit whose code was
+-- assigned but not sent gets that same code.
+
+-- ============================================
+-- 1. Columns
+-- ============================================
+ALTER TABLE gift_card_codes ADD COLUMN IF NOT EXISTS line_item_key TEXT;   -- order_line_items.idempotency_key
+ALTER TABLE gift_card_codes ADD COLUMN IF NOT EXISTS unit_index INTEGER;   -- which of the line item's gift cards
+
+-- ============================================
+-- 2. Indexes
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gift_card_codes_line_item_unit
+  ON gift_card_codes(line_item_key, unit_index)
+  WHERE line_item_key IS NOT NULL;
+
+-- ============================================
+-- 3. Assign per unit
+-- ============================================
+-- The code of one unit of a gift card line item: the one already tied to it
+-- (whatever its status), or else the oldest unused code of that amount, which
+-- is assigned and tied to it. Raises like assign_unused_gift_card_code when
+-- the pool is empty.
+CREATE OR REPLACE FUNCTION assign_gift_card_code_for_unit(
+  p_line_item_key TEXT,
+  p_unit_index INTEGER,
+  p_amount_cents INTEGER,
+  p_webflow_order_id TEXT,
+  p_purchaser_email TEXT,
+  p_recipient_email TEXT DEFAULT NULL,
+  p_recipient_name TEXT DEFAULT NULL,
+  p_message TEXT DEFAULT NULL
+)
+RETURNS SETOF gift_card_codes AS $$
+DECLARE
+  v_code_id UUID;
+BEGIN
+  SELECT gift_card_codes.id INTO v_code_id
+  FROM gift_card_codes
+  WHERE gift_card_codes.line_item_key = p_line_item_key
+    AND gift_card_codes.unit_index = p_unit_index;
+
+  IF v_code_id IS NULL THEN
+    SELECT gift_card_codes.id INTO v_code_id
+    FROM gift_card_codes
+    WHERE gift_card_codes.status = 'unused'
+      AND gift_card_codes.amount_cents = p_amount_cents
+    ORDER BY gift_card_codes.created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED;
+
+    IF v_code_id IS NULL THEN
+      RAISE EXCEPTION 'No unused gift card codes available for amount: % cents', p_amount_cents;
+    END IF;
+
+    UPDATE gift_card_codes
+    SET
+      status = 'assigned',
+      webflow_order_id = p_webflow_order_id,
+      purchaser_email = p_purchaser_email,
+      recipient_email = p_recipient_email,
+      recipient_name = p_recipient_name,
+      message = p_message,
+      line_item_key = p_line_item_key,
+      unit_index = p_unit_index,
+      assigned_at = NOW(),
+      updated_at = NOW()
+    WHERE gift_card_codes.id = v_code_id;
+  END IF;
+
+  RETURN QUERY
+  SELECT * FROM gift_card_codes WHERE gift_card_codes.id = v_code_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 4. Comments
+-- ============================================
+COMMENT ON COLUMN gift_card_codes.line_item_key IS
+  'Order line item (order_line_items.idempotency_key) the code was assigned for; NULL for codes assigned another way or released.';
+COMMENT ON COLUMN gift_card_codes.unit_index IS
+  'Which of that line item''s gift cards (0-based) the code is.';
@@ -0,0 +1,86 @@
+-- Atomic Booking Moves
+-- Moving a booking to another workshop date checks the new workshop's seats
+-- and moves the attendee row in one transaction. The workshop's capacity row
+-- is locked while seats are counted, so two moves into the last seat at once
+-- can't both get it.
+
+-- ============================================
+-- 1. RPC
+-- ============================================
+-- Moves the booking's attendee row to p_product_id, or adds it to that roster
+-- when the booking predates the roster. Returns one row:
+--   result          - 'moved' | 'full' (not enough seats; nothing changed) |
+--                     'not_confirmed' (the booking was released or cancelled)
+--   seats_available - seats the workshop had left for the booking (NULL when
+--                     it has no capacity)
+--   capacity        - the workshop's capacity (NULL when it has none)
+CREATE OR REPLACE FUNCTION move_workshop_attendee(
+  p_idempotency_key TEXT,
+  p_product_id TEXT,
+  p_workshop_name TEXT,
+  p_event_date TEXT,
+  p_event_start TIMESTAMPTZ,
+  p_event_end TIMESTAMPTZ,
+  p_webflow_order_id TEXT,
+  p_customer_name TEXT,
+  p_customer_email TEXT,
+  p_quantity INTEGER
+)
+RETURNS TABLE(result TEXT, seats_available INTEGER, capacity INTEGER) AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_booked INTEGER;
+  v_status TEXT;
+  v_found BOOLEAN;
+BEGIN
+  SELECT c.capacity INTO v_capacity
+  FROM workshop_capacity c
+  WHERE c.webflow_product_id = p_product_id
+  FOR UPDATE;
+
+  SELECT a.status INTO v_status
+  FROM workshop_attendees a
+  WHERE a.idempotency_key = p_idempotency_key
+  FOR UPDATE;
+  v_found := FOUND;
+
+  IF v_found AND v_status <> 'confirmed' THEN
+    RETURN QUERY SELECT 'not_confirmed'::TEXT, NULL::INTEGER, v_capacity;
+    RETURN;
+  END IF;
+
+  IF v_capacity IS NOT NULL THEN
+    SELECT COALESCE(SUM(a.quantity), 0) INTO v_booked
+    FROM workshop_attendees a
+    WHERE a.product_id = p_product_id
+      AND a.status = 'confirmed'
+      AND a.idempotency_key <> p_idempotency_key;
+
+    IF v_capacity - v_booked < p_quantity THEN
+      RETURN QUERY SELECT 'full'::TEXT, GREATEST(0, v_capacity - v_booked)::INTEGER, v_capacity;
+      RETURN;
+    END IF;
+  END IF;
+
+  IF v_found THEN
+    UPDATE workshop_attendees
+    SET
+      product_id = p_product_id,
+      workshop_name = p_workshop_name,
+      event_date = p_event_date,
+      event_start = p_event_start,
+      event_end = p_event_end
+    WHERE workshop_attendees.idempotency_key = p_idempotency_key;
+  ELSE
+    INSERT INTO workshop_attendees (
+      idempotency_key, webflow_order_id, product_id, workshop_name, event_date,
+      event_start, event_end, customer_name, customer_email, quantity
+    ) VALUES (
+      p_idempotency_key, p_webflow_order_id, p_product_id, p_workshop_name, p_event_date,
+      p_event_start, p_event_end, p_customer_name, p_customer_email, GREATEST(1, p_quantity)
+    );
+  END IF;
+
+  RETURN QUERY SELECT 'moved'::TEXT, (v_capacity - v_booked)::INTEGER, v_capacity;
+END;
+$$ LANGUAGE plpgsql;
@@ -2,45 +2,52 @@
 /**
  * Check Webflow Orders
  * Queries Webflow API to find recent orders, especially gift card orders
+ *
+ * Usage:
+ *   node scripts/check-webflow-orders.js                  gift card orders from the last 30 days
+ *   node scripts/check-webflow-orders.js --days 90        ... from the last 90 days
+ *   node scripts/check-webflow-orders.js --all            ... from every order ever placed
+ *   node scripts/check-webflow-orders.js --status refunded   only orders with this status
+ *   node scripts/check-webflow-orders.js <orderId>        one order
  */
 
 require('dotenv').config();
-const axios = require('axios');
+const { getOrder, iterateOrders } = require('../lib/webflow');
 
-const WEBFLOW_API_BASE = 'https://api.webflow.com/v2';
+const DEFAULT_DAYS = 30;
 
-function getWebflowClient() {
-  const token = process.env.WEBFLOW_API_TOKEN;
+const GIFT_CARD_PRODUCT_IDS = [
+  '692249f1d31c7799c916ba62', // $25
+  '69224a5905f83c411c539e32', // $50
+  '69224a9a9ff642a6c601e31f', // $75
+  '69224ad55e493982669727ce', // $105
+  '69224b080e6c6c565eb4ab7c'  // $210
+];
+
+function getSiteId() {
   const siteId = process.env.WEBFLOW_SITE_ID;
-  
-  if (!token || !siteId) {
+
+  if (!process.env.WEBFLOW_API_TOKEN || !siteId) {
     throw new Error('WEBFLOW_API_TOKEN and WEBFLOW_SITE_ID environment variables are required');
   }
 
-  return {
-    client: axios.create({
-      baseURL: WEBFLOW_API_BASE,
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    }),
-    siteId
-  };
+  return siteId;
 }
 
-async function getRecentOrders(limit = 50) {
-  const { client, siteId } = getWebflowClient();
-  
+/**
+ * Every order (all pages) accepted in the last `days` days (all orders when
+ * days is null), optionally only those with `status`.
+ */
+async function getRecentOrders({ days = DEFAULT_DAYS, status } = {}) {
+  const siteId = getSiteId();
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
   try {
-    // Webflow v2 API for orders
-    const response = await client.get(`/sites/${siteId}/orders`, {
-      params: {
-        limit: limit
-      }
-    });
-    
-    return response.data.orders || [];
+    const orders = [];
+    for await (const order of iterateOrders(siteId, { since, status })) {
+      orders.push(order);
+    }
+    return orders;
   } catch (error) {
     console.error('Error fetching orders:', error.response?.data || error.message);
     throw error;
@@ -48,15 +55,7 @@ async function getRecentOrders(limit = 50) {
 }
 
 async function getOrderById(orderId) {
-  const { client, siteId } = getWebflowClient();
-  
-  try {
-    const response = await client.get(`/sites/${siteId}/orders/${orderId}`);
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching order ${orderId}:`, error.response?.data || error.message);
-    throw error;
-  }
+  return getOrder(getSiteId(), orderId);
 }
 
 function isGiftCardOrder(order) {
@@ -65,16 +64,8 @@ function isGiftCardOrder(order) {
   }
   
   // Check if any item is a gift card
-  const giftCardProductIds = [
-    '692249f1d31c7799c916ba62', // $25
-    '69224a5905f83c411c539e32', // $50
-    '69224a9a9ff642a6c601e31f', // $75
-    '69224ad55e493982669727ce', // $105
-    '69224b080e6c6c565eb4ab7c'  // $210
-  ];
-  
   return order.purchasedItems.some(item => 
-    giftCardProductIds.includes(item.productId)
+    GIFT_CARD_PRODUCT_IDS.includes(item.productId)
   );
 }
 
@@ -83,16 +74,9 @@ function formatOrder(order) {
   const orderId = order.orderId || order.id || 'N/A';
   const orderDate = order.acceptedOn || order.createdOn || 'N/A';
   
-  const giftCardItems = order.purchasedItems?.filter(item => {
-    const giftCardProductIds = [
-      '692249f1d31c7799c916ba62', // $25
-      '69224a5905f83c411c539e32', // $50
-      '69224a9a9ff642a6c601e31f', // $75
-      '69224ad55e493982669727ce', // $105
-      '69224b080e6c6c565eb4ab7c'  // $210
-    ];
-    return giftCardProductIds.includes(item.productId);
-  }) || [];
+  const giftCardItems = order.purchasedItems?.filter(item =>
+    GIFT_CARD_PRODUCT_IDS.includes(item.productId)
+  ) || [];
   
   return {
     orderId,
@@ -105,12 +89,13 @@ function formatOrder(order) {
   };
 }
 
-async function findGiftCardOrders() {
-  console.log('\n🔍 Fetching recent orders from Webflow...\n');
+async function findGiftCardOrders({ days = DEFAULT_DAYS, status } = {}) {
+  const range = days ? `from the last ${days} day(s)` : 'from all time';
+  console.log(`\n🔍 Fetching orders ${range}${status ? ` with status ${status}` : ''} from Webflow...\n`);
   
   try {
-    const orders = await getRecentOrders(50);
-    console.log(`✅ Found ${orders.length} recent order(s)\n`);
+    const orders = await getRecentOrders({ days, status });
+    console.log(`✅ Found ${orders.length} order(s) ${range}\n`);
     
     const giftCardOrders = orders.filter(isGiftCardOrder);
     
@@ -190,17 +175,29 @@ async function findSpecificOrder(orderId) {
   }
 }
 
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
 // Main execution
 async function main() {
   const args = process.argv.slice(2);
   
-  if (args.length > 0 && args[0] !== '--all') {
+  if (args.length > 0 && !args[0].startsWith('--')) {
     // Specific order ID
     await findSpecificOrder(args[0]);
-  } else {
-    // Find all gift card orders
-    await findGiftCardOrders();
+    return;
   }
+
+  const daysArg = optionValue(args, '--days');
+  const days = args.includes('--all') ? null : (daysArg === undefined ? DEFAULT_DAYS : Number(daysArg));
+  if (days !== null && !(days > 0)) {
+    throw new Error('--days must be a positive number');
+  }
+
+  // Find gift card orders
+  await findGiftCardOrders({ days, status: optionValue(args, '--status') });
 }
 
 if (require.main === module) {
@@ -30,8 +30,8 @@ function validateRow(row, rowIndex) {
   }
 
   // Validate optional fields
-  if (row.status && !['unused', 'assigned', 'sent', 'invalid'].includes(row.status)) {
-    errors.push(`Row ${rowIndex}: 'status' must be one of: unused, assigned, sent, invalid`);
+  if (row.status && !['unused', 'assigned', 'sent', 'invalid', 'void'].includes(row.status)) {
+    errors.push(`Row ${rowIndex}: 'status' must be one of: unused, assigned, sent, invalid, void`);
   }
 
   return errors;
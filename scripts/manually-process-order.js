@@ -7,7 +7,7 @@
 require('dotenv').config();
 const { getSupabaseClient, assignUnusedGiftCardCodeAtomically, markGiftCardSent, getGiftCardProduct } = require('../lib/supabase');
 const { sendGiftCardEmail } = require('../lib/resend');
-const { getProduct, isGiftCardProduct } = require('../lib/webflow');
+const { getProduct, getOrder, isGiftCardProduct } = require('../lib/webflow');
 const { withBackoff } = require('../lib/retry');
 
 async function manuallyProcessOrder(orderId) {
@@ -44,19 +44,9 @@ async function manuallyProcessOrder(orderId) {
   
   // Fetch order from Webflow
   console.log('📥 Fetching order details from Webflow...');
-  const axios = require('axios');
-  const client = axios.create({
-    baseURL: 'https://api.webflow.com/v2',
-    headers: {
-      'Authorization': `Bearer ${process.env.WEBFLOW_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-  
   let order;
   try {
-    const response = await client.get(`/sites/${process.env.WEBFLOW_SITE_ID}/orders/${orderId}`);
-    order = response.data;
+    order = await withBackoff(() => getOrder(process.env.WEBFLOW_SITE_ID, orderId));
   } catch (error) {
     console.error(`❌ Error fetching order: ${error.response?.data || error.message}`);
     throw error;
@@ -87,7 +77,7 @@ async function manuallyProcessOrder(orderId) {
       getProduct(process.env.WEBFLOW_SITE_ID, productId)
     );
     
-    const isGiftCard = isGiftCardProduct(productResponse.product);
+    const isGiftCard = await isGiftCardProduct(productResponse.product, { skus: productResponse.skus });
     
     if (!isGiftCard) {
       console.log(`   ⏭️  Skipping - not a gift card product`);
@@ -147,16 +137,14 @@ async function sendGiftCardForCode(giftCardCode) {
   
   console.log(`   📧 Sending email to ${giftCardCode.purchaser_email}...`);
   
-  const emailResult = await withBackoff(() => 
-    sendGiftCardEmail({
-      to: giftCardCode.purchaser_email,
-      recipientName,
-      amountDisplay,
-      code: giftCardCode.code,
-      message: giftCardCode.message || null,
-      shopUrl
-    })
-  );
+  const emailResult = await sendGiftCardEmail({
+    to: giftCardCode.purchaser_email,
+    recipientName,
+    amountDisplay,
+    code: giftCardCode.code,
+    message: giftCardCode.message || null,
+    shopUrl
+  });
   
   console.log(`   ✅ Email sent! (Resend ID: ${emailResult?.id || 'unknown'})`);
   